@@ -0,0 +1,165 @@
+/**
+ * Condition Analysis
+ * Evaluates a builder against sample contexts and reports coverage and likely mistakes
+ */
+
+import { isComposite } from './dependencies.js';
+import { readPath } from './paths.js';
+
+/**
+ * Creates an issue entry
+ * @param {string} type - Issue type
+ * @param {string} name - Condition (or group) the issue is about
+ * @param {string} message - Human-readable description
+ * @param {Object} details - Extra fields
+ * @returns {Object} { type, name, message, ...details }
+ */
+function issue(type, name, message, details = {}) {
+  return { type, name, message, ...details };
+}
+
+/**
+ * Evaluates a builder's conditions against every sample context and reports:
+ * - coverage: how many conditions matched at least one sample
+ * - per-condition match counts, errors and the context paths function checks read
+ * - issues: unreachable (static false), never-matched and always-matched conditions, duplicate names,
+ *   names without an endpoint mapping, read paths that no sample supplies, exclusive-group matches
+ *   tied at the top priority, and checks that threw
+ * @param {Object} builder - Environment name builder instance
+ * @param {Array<Object>} sampleContexts - Runtime contexts to evaluate (merged like evaluate() does)
+ * @param {Object} options - Analysis options
+ * @param {Object|Array<string>} options.endpoints - Endpoint map (as for createEndpointResolver) or list of
+ *   mapped names; every condition name should have an entry
+ * @returns {Object} { samples, coverage: { conditions, matched, ratio }, conditions, issues }
+ */
+export function analyze(builder, sampleContexts = [], options = {}) {
+  if (!builder || typeof builder.explain !== 'function') {
+    throw new Error('analyze() requires an environment name builder');
+  }
+  if (!Array.isArray(sampleContexts)) {
+    throw new Error('analyze() expects an array of sample contexts');
+  }
+  const { endpoints } = options || {};
+  const groups = builder._options?.groups ?? {};
+
+  const stats = builder.conditions.map((condition, index) => ({
+    name: condition.name,
+    index,
+    type: isComposite(condition.check) ? 'composite' : typeof condition.check === 'function' ? 'function' : 'static',
+    matches: 0,
+    errors: 0,
+    reads: new Set(),
+    supplied: new Set()
+  }));
+  const issues = [];
+  const errorMessages = new Map();
+  const overlaps = new Map();
+
+  sampleContexts.forEach((sample, sampleIndex) => {
+    // Conflicts are reported below rather than thrown, so every sample is analyzed
+    const report = builder.explain(sample, { trackReads: true, onConflict: 'first' });
+
+    report.conditions.forEach((entry, index) => {
+      const stat = stats[index];
+      if (entry.result) {
+        stat.matches++;
+      }
+      if (entry.error) {
+        stat.errors++;
+        if (!errorMessages.has(index)) {
+          errorMessages.set(index, entry.error.message);
+        }
+      }
+      for (const path of entry.reads ?? []) {
+        stat.reads.add(path);
+        if (readPath(report.context, path) !== undefined) {
+          stat.supplied.add(path);
+        }
+      }
+    });
+
+    // Several top-priority matches in one exclusive group; evaluate() throws unless onConflict is 'first'
+    const byGroup = new Map();
+    report.conditions.forEach((entry, index) => {
+      const condition = builder.conditions[index];
+      if (entry.result && groups[condition.group] === 'exclusive') {
+        byGroup.set(condition.group, [...(byGroup.get(condition.group) ?? []), condition]);
+      }
+    });
+    for (const [group, members] of byGroup) {
+      const top = Math.max(...members.map(({ priority = 0 }) => priority));
+      const names = [...new Set(members.filter(({ priority = 0 }) => priority === top).map(({ name }) => name))];
+      if (names.length > 1) {
+        const key = `${group}\u0000${names.join('\u0000')}`;
+        if (!overlaps.has(key)) {
+          overlaps.set(key, { group, names, samples: [] });
+        }
+        overlaps.get(key).samples.push(sampleIndex);
+      }
+    }
+  });
+
+  const sampleCount = sampleContexts.length;
+  const seen = new Map();
+  for (const stat of stats) {
+    const condition = builder.conditions[stat.index];
+    seen.set(stat.name, (seen.get(stat.name) ?? 0) + 1);
+
+    if (stat.type === 'static' && !condition.check) {
+      issues.push(issue('unreachable', stat.name, `Condition '${stat.name}' can never match: its check is ${JSON.stringify(condition.check) ?? String(condition.check)}`));
+    } else if (sampleCount > 0 && stat.matches === 0) {
+      issues.push(issue('never-matched', stat.name, `Condition '${stat.name}' matched none of the ${sampleCount} samples`));
+    } else if (sampleCount > 0 && stat.matches === sampleCount) {
+      issues.push(issue('always-matched', stat.name, `Condition '${stat.name}' matched all ${sampleCount} samples`));
+    }
+    if (stat.errors > 0) {
+      issues.push(issue('error', stat.name, `Condition '${stat.name}' threw in ${stat.errors} of ${sampleCount} samples: ${errorMessages.get(stat.index)}`));
+    }
+    for (const path of [...stat.reads].filter((read) => !stat.supplied.has(read))) {
+      issues.push(issue('unsupplied-key', stat.name, `Condition '${stat.name}' reads '${path}', which no sample supplies`, { key: path }));
+    }
+  }
+
+  for (const [name, count] of seen) {
+    if (count > 1) {
+      issues.push(issue('duplicate-name', name, `Condition name '${name}' is used by ${count} conditions`));
+    }
+  }
+
+  if (endpoints !== undefined) {
+    const mapped = new Set(Array.isArray(endpoints) ? endpoints : Object.keys(endpoints ?? {}));
+    for (const name of seen.keys()) {
+      if (!mapped.has(name)) {
+        issues.push(issue('unmapped-name', name, `Condition name '${name}' has no endpoint mapping`));
+      }
+    }
+  }
+
+  for (const { group, names, samples } of overlaps.values()) {
+    issues.push(issue(
+      'exclusive-overlap',
+      group,
+      `Exclusive group '${group}' matched ${names.map((name) => `'${name}'`).join(', ')} together in ${samples.length} sample(s)`,
+      { names, samples }
+    ));
+  }
+
+  const matched = stats.filter(({ matches }) => matches > 0).length;
+  return {
+    samples: sampleCount,
+    coverage: {
+      conditions: stats.length,
+      matched,
+      ratio: stats.length > 0 ? matched / stats.length : 1
+    },
+    conditions: stats.map(({ name, index, type, matches, errors, reads }) => ({
+      name,
+      index,
+      type,
+      matches,
+      errors,
+      reads: [...reads].sort()
+    })),
+    issues
+  };
+}
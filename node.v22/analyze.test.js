@@ -0,0 +1,134 @@
+/**
+ * Tests for Condition Analysis
+ */
+
+import createEnvironmentNameBuilder, { analyze, allOf } from './index.js';
+
+describe('analyze()', () => {
+  const samples = [
+    { stage: 'production', region: 'eu' },
+    { stage: 'production', region: 'us' },
+    { stage: 'staging', region: 'eu' }
+  ];
+
+  test('should report coverage and per-condition match counts', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.stage === 'production', name: 'prod' },
+      { check: (ctx) => ctx.region === 'eu', name: 'eu' },
+      { check: (ctx) => ctx.stage === 'dev', name: 'dev' }
+    ]);
+
+    const report = analyze(builder, samples);
+    expect(report.samples).toBe(3);
+    expect(report.coverage).toEqual({ conditions: 3, matched: 2, ratio: 2 / 3 });
+    expect(report.conditions.map(({ name, matches, reads }) => ({ name, matches, reads }))).toEqual([
+      { name: 'prod', matches: 2, reads: ['stage'] },
+      { name: 'eu', matches: 2, reads: ['region'] },
+      { name: 'dev', matches: 0, reads: ['stage'] }
+    ]);
+    expect(report.issues).toEqual([
+      { type: 'never-matched', name: 'dev', message: "Condition 'dev' matched none of the 3 samples" }
+    ]);
+  });
+
+  test('should flag static false, always-matched and duplicate conditions', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: false, name: 'disabled' },
+      { check: (ctx) => !!ctx.stage, name: 'staged' },
+      { check: (ctx) => ctx.region === 'us', name: 'us' },
+      { check: (ctx) => ctx.region === 'eu', name: 'us' }
+    ]);
+
+    const types = analyze(builder, samples).issues.map(({ type, name }) => `${type}:${name}`);
+    expect(types).toEqual(['unreachable:disabled', 'always-matched:staged', 'duplicate-name:us']);
+  });
+
+  test('should flag keys that no sample supplies', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.stage === 'production' || ctx.tenant?.tier === 'gold', name: 'priority' }
+    ]);
+
+    const issues = analyze(builder, samples).issues.filter(({ type }) => type === 'unsupplied-key');
+    expect(issues).toEqual([{
+      type: 'unsupplied-key',
+      name: 'priority',
+      key: 'tenant',
+      message: "Condition 'priority' reads 'tenant', which no sample supplies"
+    }]);
+  });
+
+  test('should treat builder context as supplied', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.app.version === '2', name: 'v2' }
+    ]).withContext({ app: { version: '2' } });
+
+    expect(analyze(builder, samples).issues.filter(({ type }) => type === 'unsupplied-key')).toEqual([]);
+  });
+
+  test('should report overlapping matches in exclusive groups', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.stage === 'production', name: 'prod', group: 'stage' },
+      { check: (ctx) => ctx.region === 'eu', name: 'eu-prod', group: 'stage' },
+      { check: (ctx) => ctx.region === 'eu', name: 'eu', group: 'region' }
+    ], [], { groups: { stage: 'exclusive' } });
+
+    const overlaps = analyze(builder, samples).issues.filter(({ type }) => type === 'exclusive-overlap');
+    expect(overlaps).toEqual([{
+      type: 'exclusive-overlap',
+      name: 'stage',
+      names: ['prod', 'eu-prod'],
+      samples: [0],
+      message: "Exclusive group 'stage' matched 'prod', 'eu-prod' together in 1 sample(s)"
+    }]);
+  });
+
+  test('should not report exclusive matches resolved by priority', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.stage === 'production', name: 'prod', group: 'stage' },
+      { check: (ctx) => ctx.region === 'eu', name: 'eu-prod', group: 'stage', priority: 1 }
+    ], [], { groups: { stage: 'exclusive' } });
+
+    expect(analyze(builder, samples).issues.filter(({ type }) => type === 'exclusive-overlap')).toEqual([]);
+  });
+
+  test('should report names without an endpoint mapping', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.stage === 'production', name: 'prod' },
+      { check: (ctx) => ctx.stage === 'staging', name: 'staging' },
+      { check: allOf('prod', 'staging'), name: 'both' }
+    ]);
+
+    const unmapped = (endpoints) => analyze(builder, samples, { endpoints })
+      .issues.filter(({ type }) => type === 'unmapped-name').map(({ name }) => name);
+    expect(unmapped({ prod: 'https://api.example.com', staging: 'https://staging.example.com' })).toEqual(['both']);
+    expect(unmapped(['prod'])).toEqual(['staging', 'both']);
+    expect(unmapped(undefined)).toEqual([]);
+  });
+
+  test('should report checks that throw', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.user.id > 0, name: 'user' }
+    ]);
+
+    const report = analyze(builder, [{ user: { id: 1 } }, {}]);
+    expect(report.conditions[0]).toMatchObject({ matches: 1, errors: 1 });
+    expect(report.issues).toContainEqual({
+      type: 'error',
+      name: 'user',
+      message: expect.stringMatching(/^Condition 'user' threw in 1 of 2 samples: /)
+    });
+  });
+
+  test('should not report match issues without samples', () => {
+    const builder = createEnvironmentNameBuilder([{ check: (ctx) => ctx.stage, name: 'staged' }]);
+
+    const report = analyze(builder, []);
+    expect(report.coverage).toEqual({ conditions: 1, matched: 0, ratio: 0 });
+    expect(report.issues).toEqual([]);
+  });
+
+  test('should reject invalid arguments', () => {
+    expect(() => analyze({}, [])).toThrow('analyze() requires an environment name builder');
+    expect(() => analyze(createEnvironmentNameBuilder([]), {})).toThrow('analyze() expects an array of sample contexts');
+  });
+});
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * env-name command-line entry point
+ */
+
+import { main } from '../cli.js';
+
+process.exitCode = await main(process.argv.slice(2));
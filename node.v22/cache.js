@@ -0,0 +1,247 @@
+/**
+ * Evaluation Cache
+ * Memoizes condition results keyed on a fingerprint of the context values conditions actually read
+ */
+
+const SEPARATOR = '\u0000';
+const DEFAULT_MAX_SIZE = 1000;
+
+/**
+ * Checks whether a value should be traversed with a tracking proxy
+ * (plain objects, arrays and process.env; class instances such as URL or Date are fingerprinted whole)
+ * @param {*} value - Value to test
+ * @returns {boolean} True for plain objects, arrays and process.env
+ */
+function isTraversable(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return Array.isArray(value) || proto === Object.prototype || proto === null || value === process.env;
+}
+
+/**
+ * Creates a fingerprint function; identities of functions and opaque objects get stable ids
+ * @returns {Function} (value) => string
+ */
+function createFingerprinter() {
+  const ids = new WeakMap();
+  let nextId = 0;
+  const idOf = (value) => {
+    if (!ids.has(value)) {
+      ids.set(value, ++nextId);
+    }
+    return ids.get(value);
+  };
+
+  return function fingerprint(value) {
+    if (value === null) return 'null';
+    switch (typeof value) {
+      case 'undefined': return 'u';
+      case 'string': return `s:${value}`;
+      case 'number': return `n:${value}`;
+      case 'boolean': return `b:${value}`;
+      case 'bigint': return `i:${value}`;
+      case 'symbol': return `y:${value.toString()}`;
+      case 'function': return `f:${idOf(value)}`;
+      default:
+        if (value instanceof URL || value instanceof Date || value instanceof RegExp) {
+          return `o:${value.constructor.name}:${String(value)}`;
+        }
+        // JSON cannot see inside Maps, Sets or class instances, so those compare by identity
+        if (!isTraversable(value)) {
+          return `o:${idOf(value)}`;
+        }
+        try {
+          return `j:${JSON.stringify(value)}`;
+        } catch {
+          return `o:${idOf(value)}`;
+        }
+    }
+  };
+}
+
+/**
+ * Checks whether a property must be returned as-is by a proxy (non-configurable, non-writable)
+ * @param {Object} obj - Owner object
+ * @param {string} key - Property key
+ * @returns {boolean} True for frozen properties
+ */
+function isFrozenProperty(obj, key) {
+  const descriptor = Reflect.getOwnPropertyDescriptor(obj, key);
+  return !!descriptor && !descriptor.configurable && !descriptor.writable;
+}
+
+/**
+ * Describes a property read: traversed objects only record their shape, since
+ * the reads made inside them are recorded separately
+ * @param {Object} obj - Owner object
+ * @param {string} key - Property key
+ * @param {*} value - Value read
+ * @param {Function} fingerprint - Fingerprint function
+ * @returns {string} Fingerprint of the read
+ */
+function describeRead(obj, key, value, fingerprint) {
+  if (isTraversable(value) && !isFrozenProperty(obj, key)) {
+    return Array.isArray(value) ? 't:array' : 't:object';
+  }
+  return fingerprint(value);
+}
+
+/**
+ * Reads a probe from a raw (untracked) context
+ * @param {Object} ctx - Evaluation context
+ * @param {Object} probe - { segments, kind } where kind is 'get', 'has' or 'keys'
+ * @param {Function} fingerprint - Fingerprint function
+ * @returns {string} Fingerprint of the probed value
+ */
+function readProbe(ctx, { segments, kind }, fingerprint) {
+  let target = ctx;
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (target === null || typeof target !== 'object') {
+      return 'missing';
+    }
+    target = target[segments[i]];
+  }
+
+  if (target === null || typeof target !== 'object') {
+    return 'missing';
+  }
+  if (kind === 'get') {
+    const key = segments[segments.length - 1];
+    return describeRead(target, key, target[key], fingerprint);
+  }
+  return kind === 'has'
+    ? `b:${segments[segments.length - 1] in target}`
+    : `k:${JSON.stringify(Reflect.ownKeys(target).filter((key) => typeof key === 'string'))}`;
+}
+
+/**
+ * Wraps a context in a proxy that records every value read through it
+ * @param {Object} ctx - Evaluation context
+ * @param {Function} fingerprint - Fingerprint function (default: records no values)
+ * @param {Set<symbol>} volatileKeys - Keys whose values change on every read (such as a clock)
+ * @returns {Object} { proxy, probes, state } where probes maps a probe key to { segments, kind, value }
+ *   and state.volatile is set once a volatile key is read
+ */
+export function trackReads(ctx, fingerprint = () => '', volatileKeys = new Set()) {
+  const probes = new Map();
+  const state = { volatile: false };
+  const record = (segments, kind, value) => {
+    probes.set(`${kind}:${JSON.stringify(segments)}`, { segments, kind, value });
+  };
+
+  const wrap = (target, prefix) => new Proxy(target, {
+    get(obj, key, receiver) {
+      const value = Reflect.get(obj, key, receiver);
+      if (typeof key === 'symbol') {
+        if (volatileKeys.has(key)) {
+          state.volatile = true;
+        }
+        return value;
+      }
+
+      const segments = [...prefix, key];
+      record(segments, 'get', describeRead(obj, key, value, fingerprint));
+      // Proxy invariants require frozen properties to be returned as-is; describeRead fingerprints them whole
+      return isTraversable(value) && !isFrozenProperty(obj, key) ? wrap(value, segments) : value;
+    },
+    has(obj, key) {
+      const result = Reflect.has(obj, key);
+      if (typeof key !== 'symbol') {
+        record([...prefix, key], 'has', `b:${result}`);
+      }
+      return result;
+    },
+    ownKeys(obj) {
+      const keys = Reflect.ownKeys(obj);
+      record([...prefix, '*'], 'keys', `k:${JSON.stringify(keys.filter((key) => typeof key === 'string'))}`);
+      return keys;
+    }
+  });
+
+  return { proxy: wrap(ctx, []), probes, state };
+}
+
+/**
+ * Creates an evaluation cache
+ * @param {Object} options - Cache options
+ * @param {number} options.maxSize - Maximum number of cached results (default: 1000)
+ * @param {Array<symbol>} options.volatileKeys - Context keys that make a result uncacheable when read
+ * @returns {Object} Cache with match(), invalidate() and stats()
+ */
+export function createEvaluationCache({ maxSize = DEFAULT_MAX_SIZE, volatileKeys = [] } = {}) {
+  if (!Number.isInteger(maxSize) || maxSize < 1) {
+    throw new Error("Option 'cache.maxSize' must be a positive integer");
+  }
+
+  const fingerprint = createFingerprinter();
+  const volatile = new Set(volatileKeys);
+  const readSets = new Map(); // read-set key -> { probes, results } where results maps fingerprints to values
+  const entries = new Map(); // read-set key + fingerprint -> { readSetKey, valuesKey }, oldest first
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    /**
+     * Returns a cached result for the context, or computes and stores one
+     * @param {Object} ctx - Evaluation context
+     * @param {Function} compute - (trackedCtx) => result, run on a miss
+     * @returns {*} Cached or computed result
+     */
+    match(ctx, compute) {
+      for (const { probes, results } of readSets.values()) {
+        const valuesKey = probes.map((probe) => readProbe(ctx, probe, fingerprint)).join(SEPARATOR);
+        if (results.has(valuesKey)) {
+          hits++;
+          return results.get(valuesKey);
+        }
+      }
+
+      misses++;
+      const { proxy, probes, state } = trackReads(ctx, fingerprint, volatile);
+      const result = compute(proxy);
+      if (state.volatile) {
+        // Depends on something other than the context values, e.g. the current time
+        return result;
+      }
+
+      const ordered = [...probes.keys()].sort();
+      const readSetKey = ordered.join(SEPARATOR);
+      if (!readSets.has(readSetKey)) {
+        readSets.set(readSetKey, { probes: ordered.map((probeKey) => probes.get(probeKey)), results: new Map() });
+      }
+      const valuesKey = ordered.map((probeKey) => probes.get(probeKey).value).join(SEPARATOR);
+      readSets.get(readSetKey).results.set(valuesKey, result);
+      entries.set(readSetKey + SEPARATOR + valuesKey, { readSetKey, valuesKey });
+
+      // Evict the oldest entry once full, with its read set once no result uses it
+      if (entries.size > maxSize) {
+        const [oldestKey, oldest] = entries.entries().next().value;
+        entries.delete(oldestKey);
+        const { results } = readSets.get(oldest.readSetKey);
+        results.delete(oldest.valuesKey);
+        if (results.size === 0) {
+          readSets.delete(oldest.readSetKey);
+        }
+      }
+      return result;
+    },
+
+    /**
+     * Drops every cached result
+     */
+    invalidate() {
+      readSets.clear();
+      entries.clear();
+    },
+
+    /**
+     * Reports cache statistics
+     * @returns {Object} { hits, misses, size }
+     */
+    stats() {
+      return { hits, misses, size: entries.size };
+    }
+  };
+}
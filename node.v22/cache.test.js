@@ -0,0 +1,184 @@
+/**
+ * Tests for Evaluation Cache
+ */
+
+import createEnvironmentNameBuilder from './index.js';
+
+describe('Evaluation cache', () => {
+  const countingBuilder = (options = { cache: true }) => {
+    const calls = { tier: 0, region: 0 };
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => { calls.tier++; return ctx.tier === 'premium'; }, name: 'premium' },
+      { check: (ctx) => { calls.region++; return ctx.geo?.region === 'eu'; }, name: 'eu' }
+    ], [], options);
+    return { builder, calls };
+  };
+
+  afterEach(() => {
+    delete process.env.CACHE_STAGE;
+  });
+
+  test('should be disabled by default', () => {
+    const { builder, calls } = countingBuilder({});
+    builder.evaluate({ tier: 'premium' });
+    builder.evaluate({ tier: 'premium' });
+    expect(calls.tier).toBe(2);
+    expect(builder.cacheStats()).toEqual({ enabled: false, hits: 0, misses: 0, size: 0 });
+  });
+
+  test('should reuse results when the read values are unchanged', () => {
+    const { builder, calls } = countingBuilder();
+    expect(builder.evaluate({ tier: 'premium', requestId: 1 })).toEqual([[true, 'premium']]);
+    expect(builder.evaluate({ tier: 'premium', requestId: 2 })).toEqual([[true, 'premium']]);
+    expect(calls.tier).toBe(1);
+    expect(builder.cacheStats()).toEqual({ enabled: true, hits: 1, misses: 1, size: 1 });
+  });
+
+  test('should miss when a read value changes', () => {
+    const { builder, calls } = countingBuilder();
+    builder.evaluate({ tier: 'premium' });
+    expect(builder.evaluate({ tier: 'basic' })).toEqual([]);
+    expect(builder.evaluate({ tier: 'premium', geo: { region: 'eu' } })).toEqual([
+      [true, 'premium'],
+      [true, 'eu']
+    ]);
+    expect(builder.evaluate({ tier: 'basic' })).toEqual([]);
+    expect(calls.tier).toBe(3);
+    expect(builder.cacheStats()).toMatchObject({ hits: 1, misses: 3 });
+  });
+
+  test('should track nested reads', () => {
+    const { builder } = countingBuilder();
+    expect(builder.evaluate({ geo: { region: 'eu' } })).toEqual([[true, 'eu']]);
+    expect(builder.evaluate({ geo: { region: 'us' } })).toEqual([]);
+    expect(builder.evaluate({})).toEqual([]);
+    expect(builder.cacheStats()).toMatchObject({ hits: 0, misses: 3 });
+  });
+
+  test('should track process.env reads', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.env.CACHE_STAGE === 'production', name: 'prod' }
+    ], [], { cache: true });
+
+    process.env.CACHE_STAGE = 'production';
+    expect(builder.evaluate()).toEqual([[true, 'prod']]);
+    process.env.CACHE_STAGE = 'development';
+    expect(builder.evaluate()).toEqual([]);
+    expect(builder.cacheStats()).toMatchObject({ hits: 0, misses: 2 });
+  });
+
+  test('should track key existence and enumeration', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => 'beta' in ctx.flags, name: 'beta' },
+      { check: (ctx) => Object.keys(ctx.flags).length > 1, name: 'many' }
+    ], [], { cache: true });
+
+    expect(builder.evaluate({ flags: { beta: false } })).toEqual([[true, 'beta']]);
+    expect(builder.evaluate({ flags: { beta: false } })).toEqual([[true, 'beta']]);
+    expect(builder.evaluate({ flags: { alpha: true } })).toEqual([]);
+    expect(builder.evaluate({ flags: { alpha: true, beta: 1 } })).toEqual([[true, 'beta'], [true, 'many']]);
+    expect(builder.cacheStats()).toMatchObject({ hits: 1, misses: 3 });
+  });
+
+  test('should handle frozen context values', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.settings.region === 'eu', name: 'eu' }
+    ], [], { cache: true });
+    const settings = Object.freeze({ region: 'eu' });
+    expect(builder.withContext(Object.freeze({ settings })).evaluate()).toEqual([[true, 'eu']]);
+  });
+
+  test('should cache resolve() through the same entries', () => {
+    const { builder, calls } = countingBuilder();
+    builder.evaluate({ tier: 'premium' });
+    expect(builder.resolve({ tier: 'premium' })).toBe('premium');
+    expect(calls.tier).toBe(1);
+  });
+
+  test('should invalidate on withContext() and resetContext()', () => {
+    const { builder } = countingBuilder();
+    builder.evaluate({ tier: 'premium' });
+    expect(builder.cacheStats().size).toBe(1);
+
+    builder.withContext({ region: 'us' });
+    expect(builder.cacheStats().size).toBe(0);
+
+    builder.evaluate({ tier: 'premium' });
+    builder.resetContext();
+    expect(builder.cacheStats().size).toBe(0);
+  });
+
+  test('should support explicit invalidation for closure-based conditions', () => {
+    let enabled = false;
+    const builder = createEnvironmentNameBuilder([
+      { check: () => enabled, name: 'flag' }
+    ], [], { cache: true });
+
+    expect(builder.evaluate()).toEqual([]);
+    enabled = true;
+    expect(builder.evaluate()).toEqual([]);
+    expect(builder.invalidate()).toBe(builder);
+    expect(builder.evaluate()).toEqual([[true, 'flag']]);
+  });
+
+  test('should evict the oldest entries beyond maxSize', () => {
+    const { builder } = countingBuilder({ cache: { maxSize: 2 } });
+    builder.evaluate({ tier: 'a' });
+    builder.evaluate({ tier: 'b' });
+    builder.evaluate({ tier: 'c' });
+    expect(builder.cacheStats().size).toBe(2);
+    builder.evaluate({ tier: 'a' });
+    expect(builder.cacheStats()).toMatchObject({ hits: 0, misses: 4 });
+  });
+
+  test('should evict read sets with their last result', () => {
+    let tenantReads = 0;
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.plans[ctx.tenant] === 'gold', name: 'gold' }
+    ], [], { cache: { maxSize: 10 } });
+    const context = (tenant) => ({
+      plans: { [tenant]: 'gold' },
+      get tenant() {
+        tenantReads++;
+        return tenant;
+      }
+    });
+
+    // Each tenant reads a different path, so each result has its own read set
+    for (let i = 0; i < 500; i++) {
+      builder.evaluate(context(`t-${i}`));
+    }
+    tenantReads = 0;
+    expect(builder.evaluate(context('t-500'))).toEqual([[true, 'gold']]);
+    expect(builder.cacheStats().size).toBe(10);
+    expect(tenantReads).toBeLessThanOrEqual(11);
+  });
+
+  test('should compare Maps, Sets and class instances by identity', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.flags.get('x') === true, name: 'm' }
+    ], [], { cache: true });
+
+    const flags = new Map([['x', true]]);
+    expect(builder.evaluate({ flags })).toEqual([[true, 'm']]);
+    expect(builder.evaluate({ flags: new Map([['x', false]]) })).toEqual([]);
+    expect(builder.evaluate({ flags })).toEqual([[true, 'm']]);
+    expect(builder.cacheStats()).toMatchObject({ hits: 1, misses: 2 });
+  });
+
+  test('should not cache errors', () => {
+    let fail = true;
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => { if (fail) throw new Error('Flaky'); return ctx.ok; }, name: 'flaky' }
+    ], [], { cache: true });
+
+    expect(() => builder.evaluate({ ok: true })).toThrow("Error evaluating condition 'flaky': Flaky");
+    fail = false;
+    expect(builder.evaluate({ ok: true })).toEqual([[true, 'flaky']]);
+  });
+
+  test('should validate maxSize', () => {
+    expect(() => createEnvironmentNameBuilder([], [], { cache: { maxSize: 0 } }))
+      .toThrow("Option 'cache.maxSize' must be a positive integer");
+  });
+});
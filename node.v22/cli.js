@@ -0,0 +1,256 @@
+/**
+ * Command-Line Interface
+ * Evaluates a conditions module or rule file and prints the matching environment names
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import createEnvironmentNameBuilder, { loadRules, envFileProvider, names, matchesOf } from './index.js';
+
+export const USAGE = `Usage: env-name <conditions.js|rules.json> [options]
+
+Evaluates environment name conditions and prints the matches.
+
+Options:
+  --context key=value    Add a context value (repeatable; dotted keys nest, JSON values are parsed)
+  --context-file <file>  Merge context from a JSON file
+  --env-file <file>      Load a .env file into ctx.env (overrides process.env)
+  --format <format>      Output format: names (default), json, table
+  --help                 Show this message
+
+Exit codes: 0 when at least one condition matched, 1 when only the default value
+was returned, 2 on usage or evaluation errors.`;
+
+const FORMATS = ['names', 'json', 'table'];
+
+/**
+ * Parses CLI arguments
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Object} { source, context, contextFiles, envFiles, format, help }
+ * @throws {Error} On unknown options or missing values
+ */
+export function parseCliArgs(argv) {
+  const options = { source: null, context: [], contextFiles: [], envFiles: [], format: 'names', help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    let flag = arg;
+    let inline;
+    if (arg.startsWith('--') && arg.includes('=')) {
+      // --option=value; only the first '=' separates, so --context=key=value works
+      flag = arg.slice(0, arg.indexOf('='));
+      inline = arg.slice(arg.indexOf('=') + 1);
+    }
+
+    const value = () => {
+      if (inline !== undefined) return inline;
+      if (i + 1 >= argv.length) throw new Error(`Option '${flag}' requires a value`);
+      return argv[++i];
+    };
+
+    switch (flag) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--context':
+        options.context.push(value());
+        break;
+      case '--context-file':
+        options.contextFiles.push(value());
+        break;
+      case '--env-file':
+        options.envFiles.push(value());
+        break;
+      case '--format':
+        options.format = value();
+        if (!FORMATS.includes(options.format)) {
+          throw new Error(`Unknown format '${options.format}' (expected one of ${FORMATS.join(', ')})`);
+        }
+        break;
+      default:
+        if (flag.startsWith('-')) {
+          throw new Error(`Unknown option '${flag}'`);
+        }
+        if (options.source !== null) {
+          throw new Error(`Unexpected argument '${arg}'`);
+        }
+        options.source = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parses a --context value, keeping it as a string unless it is valid JSON
+ * @param {string} raw - Raw value
+ * @returns {*} Parsed value
+ */
+function parseContextValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Sets a dotted path on an object, creating intermediate objects
+ * @param {Object} target - Object to modify
+ * @param {string} path - Dotted path such as 'geo.region'
+ * @param {*} value - Value to set
+ */
+function setPath(target, path, value) {
+  const segments = path.split('.');
+  let node = target;
+  for (const segment of segments.slice(0, -1)) {
+    if (!node[segment] || typeof node[segment] !== 'object') {
+      node[segment] = {};
+    }
+    node = node[segment];
+  }
+  node[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Creates a builder from a conditions module or rule file
+ * @param {string} source - Path to a .js/.mjs module or a .json rule file
+ * @returns {Promise<Object>} Builder instance
+ */
+async function loadBuilder(source) {
+  const filePath = resolve(source);
+  if (extname(filePath).toLowerCase() === '.json') {
+    return createEnvironmentNameBuilder(loadRules(filePath));
+  }
+
+  // Modules may export a builder, or conditions with optional defaultValue and options
+  const mod = await import(pathToFileURL(filePath).href);
+  const exported = mod.default ?? mod.conditions;
+  if (exported && typeof exported.evaluate === 'function') {
+    return exported;
+  }
+  if (!Array.isArray(exported)) {
+    throw new Error(`Module '${source}' must export a builder or an array of conditions`);
+  }
+  return createEnvironmentNameBuilder(exported, mod.defaultValue, mod.options);
+}
+
+/**
+ * Formats an explainAsync() report as an aligned text table
+ * @param {Object} report - Result of builder.explainAsync()
+ * @returns {string} Table text
+ */
+function formatTable({ conditions }) {
+  const rows = conditions.map(({ name, type, raw, result, duration, error }) => [
+    name,
+    type,
+    result ? 'match' : 'no match',
+    error ? `error: ${error.message}` : JSON.stringify(raw) ?? 'undefined',
+    `${duration.toFixed(3)}ms`
+  ]);
+  const header = ['NAME', 'TYPE', 'RESULT', 'VALUE', 'TIME'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => String(row[column]).length)));
+  return [header, ...rows]
+    .map((row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Prints the table for --format table. The table and the exit code come from the same awaited
+ * evaluation, with the error policies evaluateAsync() would apply.
+ * @param {Object} builder - Builder instance
+ * @param {Object} io - { stdout, stderr } writable streams
+ * @returns {Promise<number>} Exit code
+ */
+async function printTable(builder, { stdout, stderr }) {
+  const report = await builder.explainAsync();
+  stdout.write(`${formatTable(report)}\n`);
+
+  const builderPolicy = builder._options?.onError ?? 'throw';
+  for (const [index, { name, error }] of report.conditions.entries()) {
+    if (!error) {
+      continue;
+    }
+    const policy = builder.conditions[index].onError ?? builderPolicy;
+    if (policy === 'throw' || policy === 'collect') {
+      stderr.write(`Error evaluating condition '${name}': ${error.message ?? error}\n`);
+    }
+    if (policy === 'throw') {
+      return 2;
+    }
+  }
+  return report.matches !== builder.defaultValue ? 0 : 1;
+}
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @param {Object} io - { stdout, stderr } writable streams
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!options.source) {
+    stderr.write(`Missing conditions module or rule file\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    // derive() leaves the loaded builder untouched, so frozen and immutable exported builders work too
+    let builder = (await loadBuilder(options.source)).derive();
+
+    for (const file of options.contextFiles) {
+      builder = builder.derive(JSON.parse(readFileSync(resolve(file), 'utf8')));
+    }
+    const context = {};
+    for (const entry of options.context) {
+      const equals = entry.indexOf('=');
+      if (equals <= 0) {
+        throw new Error(`Invalid --context '${entry}' (expected key=value)`);
+      }
+      setPath(context, entry.slice(0, equals), parseContextValue(entry.slice(equals + 1)));
+    }
+    builder = builder.derive(context);
+    for (const file of options.envFiles) {
+      // Returns a new builder in immutable mode
+      builder = builder.withProvider(envFileProvider(resolve(file), { precedence: 10 }));
+    }
+    await builder.loadProviders();
+
+    if (options.format === 'table') {
+      return await printTable(builder, { stdout, stderr });
+    }
+
+    const evaluation = await builder.evaluateAsync();
+    const result = matchesOf(evaluation);
+    const matched = result !== builder.defaultValue;
+    // Errors collected by the 'collect' policy are reported without failing the command
+    for (const error of result === evaluation ? [] : evaluation.errors) {
+      stderr.write(`${error.message}\n`);
+    }
+
+    if (options.format === 'json') {
+      stdout.write(`${JSON.stringify(result)}\n`);
+    } else if (matched) {
+      stdout.write(`${names(result).join('\n')}\n`);
+    }
+
+    return matched ? 0 : 1;
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 2;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Tests for Command-Line Interface
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { main, parseCliArgs } from './cli.js';
+
+/**
+ * Runs the CLI and captures its output
+ * @param {Array<string>} argv - CLI arguments
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+async function run(argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = await main(argv, {
+    stdout: { write: (chunk) => { stdout += chunk; } },
+    stderr: { write: (chunk) => { stderr += chunk; } }
+  });
+  return { code, stdout, stderr };
+}
+
+describe('env-name CLI', () => {
+  let dir;
+  let rulesFile;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'env-name-cli-'));
+    rulesFile = join(dir, 'rules.json');
+    writeFileSync(rulesFile, JSON.stringify({
+      rules: [
+        { name: 'prod', when: { 'env.CLI_STAGE': 'production' } },
+        { name: 'eu', when: { 'geo.region': { regex: '^eu-' } } },
+        { name: 'premium', when: { tier: 'premium' } }
+      ]
+    }));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseCliArgs()', () => {
+    test('should parse options and the source', () => {
+      expect(parseCliArgs([
+        'rules.json', '--context', 'tier=premium', '--context=geo.region=eu-west-1',
+        '--context-file', 'ctx.json', '--env-file=.env.prod', '--format', 'table'
+      ])).toEqual({
+        source: 'rules.json',
+        context: ['tier=premium', 'geo.region=eu-west-1'],
+        contextFiles: ['ctx.json'],
+        envFiles: ['.env.prod'],
+        format: 'table',
+        help: false
+      });
+    });
+
+    test('should reject unknown options, formats and missing values', () => {
+      expect(() => parseCliArgs(['--verbose'])).toThrow("Unknown option '--verbose'");
+      expect(() => parseCliArgs(['--format', 'xml'])).toThrow("Unknown format 'xml'");
+      expect(() => parseCliArgs(['--context'])).toThrow("Option '--context' requires a value");
+      expect(() => parseCliArgs(['a.json', 'b.json'])).toThrow("Unexpected argument 'b.json'");
+    });
+  });
+
+  test('should print matching names from a rule file', async () => {
+    const { code, stdout } = await run([
+      rulesFile, '--context', 'tier=premium', '--context', 'geo.region=eu-west-1'
+    ]);
+    expect(code).toBe(0);
+    expect(stdout).toBe('eu\npremium\n');
+  });
+
+  test('should exit 1 when only the default value is returned', async () => {
+    const { code, stdout } = await run([rulesFile, '--context', 'tier=basic']);
+    expect(code).toBe(1);
+    expect(stdout).toBe('');
+  });
+
+  test('should print JSON tuples', async () => {
+    const { code, stdout } = await run([rulesFile, '--context', 'tier=premium', '--format', 'json']);
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toEqual([[true, 'premium']]);
+  });
+
+  test('should print an explanation table', async () => {
+    const { code, stdout } = await run([rulesFile, '--context', 'tier=premium', '--format', 'table']);
+    const lines = stdout.trimEnd().split('\n');
+    expect(code).toBe(0);
+    expect(lines[0]).toMatch(/^NAME\s+TYPE\s+RESULT\s+VALUE\s+TIME$/);
+    expect(lines[1]).toMatch(/^prod\s+function\s+no match\s+false\s+\d+\.\d{3}ms$/);
+    expect(lines[3]).toMatch(/^premium\s+function\s+match\s+true\s+/);
+  });
+
+  test('should build the table from awaited checks and agree with the exit code', async () => {
+    const moduleFile = join(dir, 'probes.mjs');
+    writeFileSync(moduleFile, [
+      'export const conditions = [',
+      "  { check: async () => false, name: 'probe' },",
+      "  { check: async () => { throw new Error('no tenant'); }, name: 'tenant', onError: 'collect' }",
+      '];'
+    ].join('\n'));
+
+    const { code, stdout, stderr } = await run([moduleFile, '--format', 'table']);
+    const lines = stdout.trimEnd().split('\n');
+    expect(code).toBe(1);
+    expect(lines[1]).toMatch(/^probe\s+function\s+no match\s+false\s+/);
+    expect(lines[2]).toMatch(/^tenant\s+function\s+no match\s+error: no tenant\s+/);
+    expect(stderr).toBe("Error evaluating condition 'tenant': no tenant\n");
+
+    const failingFile = join(dir, 'failing.mjs');
+    writeFileSync(failingFile, "export default [{ check: async () => { throw new Error('offline'); }, name: 'probe' }];");
+    const failed = await run([failingFile, '--format', 'table']);
+    expect(failed.code).toBe(2);
+    expect(failed.stdout).toMatch(/probe\s+function\s+no match\s+error: offline/);
+    expect(failed.stderr).toBe("Error evaluating condition 'probe': offline\n");
+  });
+
+  test('should load context and env files', async () => {
+    const contextFile = join(dir, 'context.json');
+    const envFile = join(dir, 'prod.env');
+    writeFileSync(contextFile, JSON.stringify({ geo: { region: 'eu-central-1' } }));
+    writeFileSync(envFile, 'CLI_STAGE=production\n');
+
+    const { code, stdout } = await run([rulesFile, '--context-file', contextFile, '--env-file', envFile]);
+    expect(code).toBe(0);
+    expect(stdout).toBe('prod\neu\n');
+  });
+
+  test('should parse JSON context values', async () => {
+    const moduleFile = join(dir, 'conditions.mjs');
+    writeFileSync(moduleFile, [
+      'export default [',
+      "  { check: (ctx) => ctx.debug === true, name: 'debug' },",
+      "  { check: (ctx) => ctx.replicas > 2, name: 'scaled' }",
+      '];'
+    ].join('\n'));
+
+    const { stdout } = await run([moduleFile, '--context', 'debug=true', '--context', 'replicas=3']);
+    expect(stdout).toBe('debug\nscaled\n');
+  });
+
+  test('should load conditions modules with defaultValue and async checks', async () => {
+    const moduleFile = join(dir, 'conditions.mjs');
+    writeFileSync(moduleFile, [
+      "export const conditions = [{ check: async (ctx) => ctx.zone === 'a', name: 'zone-a' }];",
+      "export const defaultValue = [['fallback']];"
+    ].join('\n'));
+
+    expect((await run([moduleFile, '--context', 'zone=a'])).stdout).toBe('zone-a\n');
+    const fallback = await run([moduleFile, '--format', 'json']);
+    expect(fallback.code).toBe(1);
+    expect(JSON.parse(fallback.stdout)).toEqual([['fallback']]);
+  });
+
+  test('should load modules exporting a builder', async () => {
+    const moduleFile = join(dir, 'builder.mjs');
+    const indexUrl = pathToFileURL(join(process.cwd(), 'index.js')).href;
+    writeFileSync(moduleFile, [
+      `import createEnvironmentNameBuilder from '${indexUrl}';`,
+      "export default createEnvironmentNameBuilder([{ check: true, name: 'always' }]);"
+    ].join('\n'));
+
+    expect((await run([moduleFile])).stdout).toBe('always\n');
+  });
+
+  test('should apply context to immutable exported builders', async () => {
+    const moduleFile = join(dir, 'immutable.mjs');
+    const envFile = join(dir, 'immutable.env');
+    const indexUrl = pathToFileURL(join(process.cwd(), 'index.js')).href;
+    writeFileSync(envFile, 'CLI_TIER=gold\n');
+    writeFileSync(moduleFile, [
+      `import createEnvironmentNameBuilder from '${indexUrl}';`,
+      'export default createEnvironmentNameBuilder([',
+      "  { check: (ctx) => ctx.region === 'eu', name: 'eu' },",
+      "  { check: (ctx) => ctx.env.CLI_TIER === 'gold', name: 'gold' }",
+      '], [], { immutable: true });'
+    ].join('\n'));
+
+    const { code, stdout } = await run([moduleFile, '--context', 'region=eu', '--env-file', envFile]);
+    expect(code).toBe(0);
+    expect(stdout).toBe('eu\ngold\n');
+  });
+
+  test('should evaluate frozen exported builders', async () => {
+    const moduleFile = join(dir, 'frozen.mjs');
+    const indexUrl = pathToFileURL(join(process.cwd(), 'index.js')).href;
+    writeFileSync(moduleFile, [
+      `import createEnvironmentNameBuilder from '${indexUrl}';`,
+      'export default createEnvironmentNameBuilder([',
+      "  { check: true, name: 'always' },",
+      "  { check: (ctx) => ctx.region === 'eu', name: 'eu' }",
+      ']).freeze();'
+    ].join('\n'));
+
+    expect(await run([moduleFile])).toEqual({ code: 0, stdout: 'always\n', stderr: '' });
+    expect((await run([moduleFile, '--context', 'region=eu', '--format', 'json'])).stdout)
+      .toBe('[[true,"always"],[true,"eu"]]\n');
+  });
+
+  test('should report errors collected by the collect policy', async () => {
+    const moduleFile = join(dir, 'collect.mjs');
+    writeFileSync(moduleFile, [
+      'export const conditions = [',
+      "  { check: () => { throw new Error('no tenant'); }, name: 'tenant', onError: 'collect' },",
+      "  { check: true, name: 'always' }",
+      '];'
+    ].join('\n'));
+
+    const { code, stdout, stderr } = await run([moduleFile]);
+    expect(code).toBe(0);
+    expect(stdout).toBe('always\n');
+    expect(stderr).toBe("Error evaluating condition 'tenant': no tenant\n");
+  });
+
+  test('should exit 2 with usage on bad arguments', async () => {
+    const missing = await run([]);
+    expect(missing.code).toBe(2);
+    expect(missing.stderr).toContain('Missing conditions module or rule file');
+    expect(missing.stderr).toContain('Usage: env-name');
+
+    const invalid = await run([rulesFile, '--context', 'novalue']);
+    expect(invalid.code).toBe(2);
+    expect(invalid.stderr).toBe("Invalid --context 'novalue' (expected key=value)\n");
+  });
+
+  test('should exit 2 on invalid modules', async () => {
+    const moduleFile = join(dir, 'bad.mjs');
+    writeFileSync(moduleFile, 'export default 42;');
+    const { code, stderr } = await run([moduleFile]);
+    expect(code).toBe(2);
+    expect(stderr).toContain('must export a builder or an array of conditions');
+  });
+
+  test('should print usage with --help', async () => {
+    const { code, stdout } = await run(['--help']);
+    expect(code).toBe(0);
+    expect(stdout).toContain('--context-file <file>');
+  });
+});
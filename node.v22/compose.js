@@ -0,0 +1,142 @@
+/**
+ * Condition Composition
+ * Extends, merges and namespaces condition sets while detecting duplicate names
+ */
+
+import { isComposite, renameComposite } from './dependencies.js';
+
+const MERGE_CONFLICTS = ['throw', 'first', 'last'];
+
+/**
+ * Returns the conditions of a builder or condition array
+ * @param {Object|Array} source - Builder instance or array of conditions
+ * @returns {Array} Conditions
+ * @throws {Error} If the source is neither
+ */
+export function conditionsOf(source) {
+  if (Array.isArray(source)) {
+    return source;
+  }
+  if (source && Array.isArray(source.conditions) && typeof source.evaluate === 'function') {
+    return source.conditions;
+  }
+  throw new Error('Expected a builder or an array of conditions');
+}
+
+/**
+ * Lists the names shared by two condition sets
+ * @param {Array} a - Conditions
+ * @param {Array} b - Conditions
+ * @returns {Array<string>} Shared names in the order they appear in b
+ */
+function sharedNames(a, b) {
+  const names = new Set(a.map(({ name }) => name));
+  return [...new Set(b.map(({ name }) => name))].filter((name) => names.has(name));
+}
+
+/**
+ * Appends conditions to a base set. Entries whose name is already in the base set must
+ * carry `override: true` (replace the inherited condition in place) or `disabled: true`
+ * (remove it); any other repeated name is an error.
+ * @param {Array} base - Inherited conditions
+ * @param {Array} more - Conditions to add, override or disable
+ * @returns {Array} New condition array
+ * @throws {Error} On duplicate names or overrides of unknown conditions
+ */
+export function extendConditions(base, more) {
+  if (!Array.isArray(more)) {
+    throw new Error('Conditions must be an array');
+  }
+
+  let result = [...base];
+  const inherited = new Set(base.map(({ name }) => name));
+  const added = [];
+
+  more.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Condition at index ${index} must be an object`);
+    }
+    const { override, disabled, ...condition } = entry;
+    const { name } = condition;
+
+    if (disabled || override) {
+      if (!inherited.has(name)) {
+        throw new Error(`Cannot ${disabled ? 'disable' : 'override'} unknown condition '${name}'`);
+      }
+      // Replace the first inherited condition with this name (or none, when disabling) and drop the rest
+      const first = result.findIndex((existing) => existing.name === name);
+      result = result.flatMap((existing, i) => {
+        if (existing.name !== name) return [existing];
+        return i === first && !disabled ? [condition] : [];
+      });
+      if (disabled) {
+        inherited.delete(name);
+      }
+      return;
+    }
+
+    if (inherited.has(name)) {
+      throw new Error(
+        `Duplicate condition name '${name}'; use override: true to replace the inherited condition ` +
+        'or namespace() to keep both'
+      );
+    }
+    added.push(condition);
+  });
+
+  return [...result, ...added];
+}
+
+/**
+ * Merges two condition sets
+ * @param {Array} a - First conditions
+ * @param {Array} b - Second conditions
+ * @param {string} onConflict - 'throw' on shared names, 'first' to keep a's conditions,
+ *   'last' to keep b's
+ * @returns {Array} New condition array: a's conditions followed by b's
+ * @throws {Error} If the sets share names and onConflict is 'throw'
+ */
+export function mergeConditions(a, b, onConflict = 'throw') {
+  if (!MERGE_CONFLICTS.includes(onConflict)) {
+    throw new Error(`Option 'onConflict' must be one of ${MERGE_CONFLICTS.map((mode) => `'${mode}'`).join(', ')}`);
+  }
+
+  const shared = new Set(sharedNames(a, b));
+  if (shared.size > 0 && onConflict === 'throw') {
+    throw new Error(`Duplicate condition names: ${[...shared].map((name) => `'${name}'`).join(', ')}`);
+  }
+  return onConflict === 'first'
+    ? [...a, ...b.filter(({ name }) => !shared.has(name))]
+    : [...a.filter(({ name }) => !shared.has(name)), ...b];
+}
+
+/**
+ * Prefixes condition names as 'prefix:name', including the names referenced by
+ * requires, excludes and composite checks
+ * @param {string} prefix - Namespace such as 'payments'
+ * @param {Array} conditions - Conditions
+ * @returns {Array} New condition array
+ * @throws {Error} If the prefix or a name is not a non-empty string
+ */
+export function namespaceConditions(prefix, conditions) {
+  if (typeof prefix !== 'string' || prefix === '') {
+    throw new Error('Namespace must be a non-empty string');
+  }
+  const rename = (name) => `${prefix}:${name}`;
+
+  return conditions.map((condition, index) => {
+    if (!condition || typeof condition.name !== 'string') {
+      throw new Error(`Condition at index ${index} must have a string name to be namespaced`);
+    }
+    const renamed = { ...condition, name: rename(condition.name) };
+    for (const key of ['requires', 'excludes']) {
+      if (Array.isArray(condition[key])) {
+        renamed[key] = condition[key].map(rename);
+      }
+    }
+    if (isComposite(condition.check)) {
+      renamed.check = renameComposite(condition.check, rename);
+    }
+    return renamed;
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * Tests for Condition Composition
+ */
+
+import createEnvironmentNameBuilder, { extend, merge, namespace, allOf, not } from './index.js';
+
+describe('Condition composition', () => {
+  const platform = [
+    { check: (ctx) => ctx.stage === 'production', name: 'prod' },
+    { check: (ctx) => ctx.stage === 'staging', name: 'staging' }
+  ];
+
+  describe('extend()', () => {
+    test('should append conditions to a builder', () => {
+      const base = createEnvironmentNameBuilder(platform, ['none']).withContext({ stage: 'production' });
+      const extended = extend(base, [{ check: (ctx) => ctx.debug, name: 'debug' }]);
+
+      expect(extended).not.toBe(base);
+      expect(extended.conditions.map(({ name }) => name)).toEqual(['prod', 'staging', 'debug']);
+      expect(extended.defaultValue).toEqual(['none']);
+      expect(extended.evaluate({ debug: true })).toEqual([[true, 'prod'], [true, 'debug']]);
+      expect(base.conditions).toHaveLength(2);
+    });
+
+    test('should extend condition arrays', () => {
+      const conditions = extend(platform, [{ check: true, name: 'always' }]);
+      expect(Array.isArray(conditions)).toBe(true);
+      expect(conditions.map(({ name }) => name)).toEqual(['prod', 'staging', 'always']);
+    });
+
+    test('should reject duplicate names', () => {
+      expect(() => extend(platform, [{ check: true, name: 'prod' }]))
+        .toThrow("Duplicate condition name 'prod'; use override: true to replace the inherited condition or namespace() to keep both");
+    });
+
+    test('should override an inherited condition in place', () => {
+      const builder = extend(createEnvironmentNameBuilder(platform), [
+        { check: (ctx) => ctx.stage === 'prod', name: 'prod', override: true }
+      ]);
+
+      expect(builder.conditions.map(({ name }) => name)).toEqual(['prod', 'staging']);
+      expect(builder.conditions[0]).not.toHaveProperty('override');
+      expect(builder.evaluate({ stage: 'prod' })).toEqual([[true, 'prod']]);
+      expect(builder.evaluate({ stage: 'production' })).toEqual([]);
+    });
+
+    test('should disable an inherited condition', () => {
+      const conditions = extend([...platform, { check: true, name: 'prod' }], [
+        { name: 'prod', disabled: true },
+        { check: true, name: 'prod-v2' }
+      ]);
+      expect(conditions.map(({ name }) => name)).toEqual(['staging', 'prod-v2']);
+    });
+
+    test('should reject overrides of unknown conditions', () => {
+      expect(() => extend(platform, [{ check: true, name: 'canary', override: true }]))
+        .toThrow("Cannot override unknown condition 'canary'");
+      expect(() => extend(platform, [{ name: 'canary', disabled: true }]))
+        .toThrow("Cannot disable unknown condition 'canary'");
+      expect(() => extend({}, [])).toThrow('Expected a builder or an array of conditions');
+    });
+
+    test('should validate the result like the constructor', () => {
+      const base = createEnvironmentNameBuilder([
+        ...platform,
+        { check: true, name: 'eu', requires: ['prod'] }
+      ]);
+      expect(() => extend(base, [{ name: 'prod', disabled: true }]))
+        .toThrow("depends on unknown condition 'prod'");
+    });
+  });
+
+  describe('merge()', () => {
+    const payments = [
+      { check: (ctx) => ctx.stage === 'production', name: 'prod' },
+      { check: (ctx) => ctx.psp === 'stripe', name: 'stripe' }
+    ];
+
+    test('should throw on shared names by default', () => {
+      expect(() => merge(platform, payments)).toThrow("Duplicate condition names: 'prod'");
+    });
+
+    test('should keep the first or last condition on conflicts', () => {
+      expect(merge(platform, payments, { onConflict: 'first' })).toEqual([...platform, payments[1]]);
+      expect(merge(platform, payments, { onConflict: 'last' })).toEqual([platform[1], ...payments]);
+      expect(() => merge(platform, payments, { onConflict: 'skip' }))
+        .toThrow("Option 'onConflict' must be one of 'throw', 'first', 'last'");
+    });
+
+    test('should merge builders with their context and providers', () => {
+      const a = createEnvironmentNameBuilder(platform, ['fallback']).withContext({ stage: 'staging', region: 'eu' });
+      const b = createEnvironmentNameBuilder([{ check: (ctx) => ctx.psp === 'stripe', name: 'stripe' }])
+        .withContext({ stage: 'production' })
+        .withProvider({ name: 'psp', load: () => ({ psp: 'stripe' }) });
+      const merged = merge(a, b);
+
+      expect(merged.defaultValue).toEqual(['fallback']);
+      expect(merged.getContext()).toEqual({ stage: 'production', region: 'eu', psp: 'stripe' });
+      expect(merged.evaluate()).toEqual([[true, 'prod'], [true, 'stripe']]);
+    });
+  });
+
+  describe('namespace()', () => {
+    test('should prefix names and references', () => {
+      const conditions = namespace('payments', [
+        { check: true, name: 'prod' },
+        { check: true, name: 'eu', requires: ['prod'], excludes: ['legacy'] },
+        { check: false, name: 'legacy' },
+        { check: allOf('prod', not('legacy')), name: 'ready' }
+      ]);
+
+      expect(conditions.map(({ name }) => name))
+        .toEqual(['payments:prod', 'payments:eu', 'payments:legacy', 'payments:ready']);
+      expect(conditions[1]).toMatchObject({ requires: ['payments:prod'], excludes: ['payments:legacy'] });
+      expect(createEnvironmentNameBuilder(conditions).evaluate())
+        .toEqual([[true, 'payments:prod'], [true, 'payments:eu'], [true, 'payments:ready']]);
+    });
+
+    test('should let teams combine condition sets without collisions', () => {
+      const builder = merge(
+        namespace('platform', createEnvironmentNameBuilder(platform)),
+        namespace('payments', [{ check: (ctx) => ctx.stage === 'production', name: 'prod' }])
+      );
+
+      expect(builder.evaluate({ stage: 'production' }))
+        .toEqual([[true, 'platform:prod'], [true, 'payments:prod']]);
+    });
+
+    test('should validate the prefix and names', () => {
+      expect(() => namespace('', platform)).toThrow('Namespace must be a non-empty string');
+      expect(() => namespace('team', [{ check: true, name: 1 }]))
+        .toThrow('Condition at index 0 must have a string name to be namespaced');
+    });
+  });
+});
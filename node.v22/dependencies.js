@@ -0,0 +1,196 @@
+/**
+ * Condition Dependencies
+ * Composite checks over other condition names and dependency ordering for requires/excludes
+ */
+
+const COMPOSITE = Symbol('composite');
+
+/**
+ * Creates a composite check node
+ * @param {string} operator - 'all', 'any' or 'not'
+ * @param {Array} operands - Condition names or nested composite checks
+ * @returns {Object} Composite check usable as a condition's `check`
+ */
+function composite(operator, operands) {
+  if (operands.length === 0) {
+    throw new Error(`Composite '${operator}' requires at least one condition name`);
+  }
+  for (const operand of operands) {
+    if (typeof operand !== 'string' && !isComposite(operand)) {
+      throw new Error(`Composite '${operator}' operands must be condition names or composite checks`);
+    }
+  }
+  return Object.freeze({ [COMPOSITE]: operator, operands: Object.freeze([...operands]) });
+}
+
+/**
+ * Composite check that matches when every referenced condition matched
+ * @param {...(string|Object)} operands - Condition names or nested composite checks
+ * @returns {Object} Composite check
+ */
+export function allOf(...operands) {
+  return composite('all', operands);
+}
+
+/**
+ * Composite check that matches when at least one referenced condition matched
+ * @param {...(string|Object)} operands - Condition names or nested composite checks
+ * @returns {Object} Composite check
+ */
+export function anyOf(...operands) {
+  return composite('any', operands);
+}
+
+/**
+ * Composite check that matches when the referenced condition did not match
+ * @param {string|Object} operand - Condition name or nested composite check
+ * @returns {Object} Composite check
+ */
+export function not(operand) {
+  return composite('not', [operand]);
+}
+
+/**
+ * Checks whether a value is a composite check created by allOf/anyOf/not
+ * @param {*} value - Value to test
+ * @returns {boolean} True for composite checks
+ */
+export function isComposite(value) {
+  return value !== null && typeof value === 'object' && COMPOSITE in value;
+}
+
+/**
+ * Copies a composite check with every referenced condition name renamed
+ * @param {Object} check - Composite check
+ * @param {Function} rename - (name) => new name
+ * @returns {Object} New composite check
+ */
+export function renameComposite(check, rename) {
+  return composite(check[COMPOSITE], check.operands.map((operand) =>
+    isComposite(operand) ? renameComposite(operand, rename) : rename(operand)
+  ));
+}
+
+/**
+ * Describes a composite check as the expression that built it
+ * @param {Object} check - Composite check
+ * @returns {string} Expression such as "allOf('a', not('b'))"
+ */
+export function describeComposite(check) {
+  const operands = check.operands.map((operand) =>
+    isComposite(operand) ? describeComposite(operand) : `'${operand}'`
+  );
+  const operator = { all: 'allOf', any: 'anyOf', not: 'not' }[check[COMPOSITE]];
+  return `${operator}(${operands.join(', ')})`;
+}
+
+/**
+ * Evaluates a composite check against the outcomes of other conditions
+ * @param {Object} check - Composite check
+ * @param {Map} outcomes - Map of condition name to boolean result
+ * @returns {boolean} Composite result
+ */
+export function evaluateComposite(check, outcomes) {
+  const values = check.operands.map((operand) =>
+    isComposite(operand) ? evaluateComposite(operand, outcomes) : !!outcomes.get(operand)
+  );
+  switch (check[COMPOSITE]) {
+    case 'all':
+      return values.every(Boolean);
+    case 'any':
+      return values.some(Boolean);
+    default:
+      return !values[0];
+  }
+}
+
+/**
+ * Lists every condition name a condition depends on
+ * @param {Object} condition - Condition object
+ * @returns {Array<string>} Names from requires, excludes and composite checks
+ */
+export function dependencyNames(condition) {
+  const names = [...(condition.requires ?? []), ...(condition.excludes ?? [])];
+  const collect = (check) => {
+    for (const operand of check.operands) {
+      if (isComposite(operand)) {
+        collect(operand);
+      } else {
+        names.push(operand);
+      }
+    }
+  };
+  if (isComposite(condition.check)) {
+    collect(condition.check);
+  }
+  return names;
+}
+
+/**
+ * Finds the first requires/excludes entry that prevents a condition from matching
+ * @param {Object} condition - Condition object
+ * @param {Map} outcomes - Map of condition name to boolean result
+ * @returns {string|null} Blocking condition name, or null if dependencies are satisfied
+ */
+export function blockingDependency(condition, outcomes) {
+  for (const name of condition.requires ?? []) {
+    if (!outcomes.get(name)) {
+      return name;
+    }
+  }
+  for (const name of condition.excludes ?? []) {
+    if (outcomes.get(name)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Computes an evaluation order where every condition follows the conditions it depends on
+ * @param {Array} conditions - Validated condition objects
+ * @param {Function} label - Returns the error label for a condition index
+ * @returns {Array<number>} Condition indices in evaluation order
+ * @throws {Error} If a condition references an unknown name or dependencies form a cycle
+ */
+export function dependencyOrder(conditions, label) {
+  const indicesByName = new Map();
+  conditions.forEach((condition, i) => {
+    if (!indicesByName.has(condition.name)) {
+      indicesByName.set(condition.name, []);
+    }
+    indicesByName.get(condition.name).push(i);
+  });
+
+  const dependencies = conditions.map((condition, i) =>
+    dependencyNames(condition).flatMap((name) => {
+      if (!indicesByName.has(name)) {
+        throw new Error(`${label(i)} depends on unknown condition '${name}'`);
+      }
+      return indicesByName.get(name);
+    })
+  );
+
+  const order = [];
+  const state = new Array(conditions.length).fill(0); // 0 = unvisited, 1 = visiting, 2 = done
+  const stack = [];
+
+  const visit = (i) => {
+    if (state[i] === 2) {
+      return;
+    }
+    if (state[i] === 1) {
+      const cycle = [...stack.slice(stack.indexOf(i)), i].map((index) => conditions[index].name);
+      throw new Error(`${label(i)} has a circular dependency: ${cycle.join(' -> ')}`);
+    }
+    state[i] = 1;
+    stack.push(i);
+    dependencies[i].forEach(visit);
+    stack.pop();
+    state[i] = 2;
+    order.push(i);
+  };
+
+  conditions.forEach((_, i) => visit(i));
+  return order;
+}
@@ -0,0 +1,197 @@
+/**
+ * Tests for Condition Dependencies
+ */
+
+import createEnvironmentNameBuilder, { allOf, anyOf, not } from './index.js';
+
+describe('Condition dependencies', () => {
+  const prodEu = () => createEnvironmentNameBuilder([
+    { check: (ctx) => ctx.region === 'eu-west-1', name: 'eu' },
+    { check: allOf('prod', 'eu'), name: 'prod-eu' },
+    { check: (ctx) => ctx.stage === 'production', name: 'prod' },
+    { check: (ctx) => ctx.debug === true, name: 'debug' }
+  ]);
+
+  describe('Composite checks', () => {
+    test('should match allOf when every referenced condition matched', () => {
+      expect(prodEu().evaluate({ stage: 'production', region: 'eu-west-1' })).toEqual([
+        [true, 'eu'],
+        [true, 'prod-eu'],
+        [true, 'prod']
+      ]);
+      expect(prodEu().evaluate({ stage: 'production', region: 'us-east-1' })).toEqual([
+        [true, 'prod']
+      ]);
+    });
+
+    test('should support anyOf, not and nesting', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: (ctx) => ctx.stage === 'production', name: 'prod' },
+        { check: (ctx) => ctx.stage === 'staging', name: 'staging' },
+        { check: (ctx) => ctx.debug === true, name: 'debug' },
+        { check: anyOf('prod', 'staging'), name: 'deployed' },
+        { check: allOf('deployed', not('debug')), name: 'quiet-deployed' }
+      ]);
+      expect(builder.evaluate({ stage: 'staging' })).toEqual([
+        [true, 'staging'],
+        [true, 'deployed'],
+        [true, 'quiet-deployed']
+      ]);
+      expect(builder.evaluate({ stage: 'staging', debug: true })).toEqual([
+        [true, 'staging'],
+        [true, 'debug'],
+        [true, 'deployed']
+      ]);
+    });
+
+    test('should validate composite operands', () => {
+      expect(() => allOf()).toThrow("Composite 'all' requires at least one condition name");
+      expect(() => anyOf('prod', 42)).toThrow(
+        "Composite 'any' operands must be condition names or composite checks"
+      );
+    });
+  });
+
+  describe('requires and excludes', () => {
+    test('should only match when required conditions matched', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: (ctx) => ctx.tier === 'premium', name: 'premium', requires: ['prod'] },
+        { check: (ctx) => ctx.stage === 'production', name: 'prod' }
+      ]);
+      expect(builder.evaluate({ tier: 'premium', stage: 'production' })).toEqual([
+        [true, 'premium'],
+        [true, 'prod']
+      ]);
+      expect(builder.evaluate({ tier: 'premium', stage: 'dev' })).toEqual([]);
+    });
+
+    test('should not match when an excluded condition matched', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: (ctx) => ctx.debug === true, name: 'debug' },
+        { check: true, name: 'optimized', excludes: ['debug'] }
+      ]);
+      expect(builder.evaluate({ debug: true })).toEqual([[true, 'debug']]);
+      expect(builder.evaluate({ debug: false })).toEqual([[true, 'optimized']]);
+    });
+
+    test('should skip the check when dependencies are not satisfied', () => {
+      let calls = 0;
+      const builder = createEnvironmentNameBuilder([
+        { check: false, name: 'prod' },
+        { check: () => ++calls, name: 'expensive', requires: ['prod'] }
+      ]);
+      expect(builder.evaluate()).toEqual([]);
+      expect(calls).toBe(0);
+    });
+
+    test('should treat a name as matched if any condition with that name matched', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'feature', requires: ['prod'] },
+        { check: false, name: 'prod' },
+        { check: true, name: 'prod' }
+      ]);
+      expect(builder.resolve()).toBe('feature');
+    });
+  });
+
+  describe('Construction validation', () => {
+    test('should reject unknown condition names', () => {
+      expect(() => createEnvironmentNameBuilder([
+        { check: true, name: 'a' },
+        { check: true, name: 'b', requires: ['prod'] }
+      ])).toThrow("Condition at index 1 depends on unknown condition 'prod'");
+
+      expect(() => createEnvironmentNameBuilder([
+        { check: anyOf('missing'), name: 'a' }
+      ])).toThrow("Condition at index 0 depends on unknown condition 'missing'");
+    });
+
+    test('should reject dependency cycles', () => {
+      expect(() => createEnvironmentNameBuilder([
+        { check: true, name: 'a', requires: ['b'] },
+        { check: allOf('c'), name: 'b' },
+        { check: true, name: 'c', excludes: ['a'] }
+      ])).toThrow('Condition at index 0 has a circular dependency: a -> b -> c -> a');
+    });
+
+    test('should reject self references', () => {
+      expect(() => createEnvironmentNameBuilder([
+        { check: true, name: 'a', requires: ['a'] }
+      ])).toThrow('Condition at index 0 has a circular dependency: a -> a');
+    });
+
+    test('should validate requires and excludes shape', () => {
+      expect(() => createEnvironmentNameBuilder([
+        { check: true, name: 'a', requires: 'prod' }
+      ])).toThrow("Condition at index 0 'requires' must be an array of condition names");
+      expect(() => createEnvironmentNameBuilder([
+        { check: true, name: 'a', excludes: [1] }
+      ])).toThrow("Condition at index 0 'excludes' must be an array of condition names");
+    });
+  });
+
+  describe('Changing builder.conditions', () => {
+    test('should evaluate conditions added after construction in dependency order', async () => {
+      const builder = createEnvironmentNameBuilder([{ check: true, name: 'prod' }]);
+      expect(builder.evaluate()).toEqual([[true, 'prod']]);
+
+      builder.conditions.push({ check: true, name: 'canary', excludes: ['prod'] });
+      builder.conditions.unshift({ check: allOf('prod', 'eu'), name: 'prod-eu' });
+      builder.conditions.push({ check: async () => true, name: 'eu' });
+      await expect(builder.evaluateAsync()).resolves.toEqual([[true, 'prod-eu'], [true, 'prod'], [true, 'eu']]);
+      expect(builder.explain().conditions.map(({ name }) => name)).toEqual(['prod-eu', 'prod', 'canary', 'eu']);
+    });
+
+    test('should follow a reassigned array and drop cached results', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'a' },
+        { check: true, name: 'b' }
+      ], [], { cache: true });
+      expect(builder.evaluate()).toEqual([[true, 'a'], [true, 'b']]);
+
+      builder.conditions = [{ check: (ctx) => ctx.on === true, name: 'c' }];
+      expect(builder.evaluate({ on: true })).toEqual([[true, 'c']]);
+      expect(builder.resolve({ on: false })).toBeNull();
+    });
+
+    test('should validate changed conditions when they are next evaluated', () => {
+      const builder = createEnvironmentNameBuilder([{ check: true, name: 'a' }]);
+      builder.conditions.push({ check: true, name: 'b', requires: ['missing'] });
+      expect(() => builder.evaluate()).toThrow("Condition at index 1 depends on unknown condition 'missing'");
+
+      builder.conditions[1] = { name: 'b' };
+      expect(() => builder.evaluate()).toThrow("Condition at index 1 missing required property 'check'");
+    });
+  });
+
+  describe('Other evaluation methods', () => {
+    test('should honour dependencies in evaluateAsync()', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: allOf('prod', 'eu'), name: 'prod-eu' },
+        { check: async () => new Promise((resolve) => setTimeout(() => resolve(true), 10)), name: 'prod' },
+        { check: async () => true, name: 'eu' },
+        { check: async () => true, name: 'canary', excludes: ['prod'] }
+      ]);
+      await expect(builder.evaluateAsync()).resolves.toEqual([
+        [true, 'prod-eu'],
+        [true, 'prod'],
+        [true, 'eu']
+      ]);
+    });
+
+    test('should report composite type and blocking dependency in explain()', () => {
+      const { conditions } = prodEu().explain({ stage: 'production' });
+      expect(conditions[1]).toMatchObject({ name: 'prod-eu', type: 'composite', raw: false, result: false });
+
+      const builder = createEnvironmentNameBuilder([
+        { check: false, name: 'prod' },
+        { check: () => true, name: 'premium', requires: ['prod'] }
+      ]);
+      expect(builder.explain().conditions[1]).toMatchObject({
+        name: 'premium',
+        result: false,
+        blockedBy: 'prod'
+      });
+    });
+  });
+});
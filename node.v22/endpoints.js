@@ -0,0 +1,124 @@
+/**
+ * Endpoint Resolver
+ * Maps the builder's matched environment names to endpoint URLs
+ */
+
+import { names, matchesOf } from './results.js';
+import { readPath } from './paths.js';
+
+/**
+ * Normalizes an endpoint mapping entry
+ * @param {string} name - Environment name
+ * @param {string|Array} entry - Base URL or [baseUrl, path]
+ * @param {string} defaultPath - Path used when the entry has none
+ * @returns {Object} { base, path }
+ * @throws {Error} If the entry is malformed
+ */
+function normalizeEndpoint(name, entry, defaultPath) {
+  const [base, path = defaultPath] = Array.isArray(entry) ? entry : [entry];
+  if (typeof base !== 'string' || !URL.canParse(base) || (Array.isArray(entry) && (entry.length > 2 || typeof path !== 'string'))) {
+    throw new Error(`Endpoint for '${name}' must be a URL string or [baseUrl, path]`);
+  }
+  return { base: base.replace(/\/+$/, ''), path };
+}
+
+/**
+ * Joins URL path segments with single slashes
+ * @param {...string} parts - Path parts (empty parts are skipped)
+ * @returns {string} Joined path starting with '/', or '' if every part is empty
+ */
+function joinPaths(...parts) {
+  const segments = parts
+    .filter(Boolean)
+    .map((part) => part.replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean);
+  return segments.length > 0 ? `/${segments.join('/')}` : '';
+}
+
+/**
+ * Replaces {key} placeholders (dotted paths allowed) with URL-encoded context values
+ * @param {string} template - Path template such as '/tenants/{tenant.id}/items'
+ * @param {Object} ctx - Context values
+ * @returns {string} Path with placeholders filled in
+ * @throws {Error} If a placeholder has no value in the context
+ */
+function fillTemplate(template, ctx) {
+  return template.replace(/\{([^{}]+)\}/g, (_, key) => {
+    const value = readPath(ctx, key);
+    if (value === undefined || value === null) {
+      throw new Error(`Missing context value '${key}' for endpoint path template '${template}'`);
+    }
+    return encodeURIComponent(String(value));
+  });
+}
+
+/**
+ * Creates an endpoint resolver on top of an environment name builder
+ * @param {Object} builder - Environment name builder instance
+ * @param {Object} endpoints - Map of environment name to base URL or [baseUrl, path]
+ * @param {string} defaultPath - Path appended to base URLs given without one (default: '')
+ * @returns {Object} Resolver with resolve() and resolveAsync()
+ */
+export function createEndpointResolver(builder, endpoints, defaultPath = '') {
+  if (!builder || typeof builder.evaluate !== 'function') {
+    throw new Error('Endpoint resolver requires an environment name builder');
+  }
+  if (!endpoints || typeof endpoints !== 'object' || Array.isArray(endpoints)) {
+    throw new Error('Endpoints must be an object mapping environment names to URLs');
+  }
+
+  const mapping = new Map(
+    Object.entries(endpoints).map(([name, entry]) => [name, normalizeEndpoint(name, entry, defaultPath)])
+  );
+
+  /**
+   * Picks the first matched name with a mapping and builds its URL
+   * @param {*} matches - Result of evaluate()/evaluateAsync()
+   * @param {Object} runtimeContext - Runtime context used for path templates
+   * @param {string} path - Extra path appended to the endpoint path
+   * @returns {Object} { url, name }
+   */
+  const build = (matches, runtimeContext, path) => {
+    const matchedNames = matchesOf(matches) === builder.defaultValue ? [] : names(matches);
+    const name = matchedNames.find((candidate) => mapping.has(candidate));
+
+    if (name === undefined) {
+      throw new Error(matchedNames.length > 0
+        ? `No endpoint mapped for matched environments: ${matchedNames.map((n) => `'${n}'`).join(', ')}`
+        : 'No environment matched; cannot resolve an endpoint');
+    }
+
+    // Same layering as evaluation: process.env under provider values, runtime context on top
+    const context = { ...builder.getContext(), ...runtimeContext };
+    const ctx = { ...context, env: { ...process.env, ...context.env } };
+    const endpoint = mapping.get(name);
+    return {
+      url: endpoint.base + fillTemplate(joinPaths(endpoint.path, path), ctx),
+      name
+    };
+  };
+
+  return {
+    /**
+     * Resolves the endpoint URL for the first matched environment (in condition order) that has a mapping
+     * @param {Object} runtimeContext - Runtime context for evaluation and path templates
+     * @param {Object} options - Resolve options
+     * @param {string} options.path - Extra path (may contain {key} placeholders) appended to the endpoint path
+     * @returns {Object} { url, name } of the chosen endpoint
+     * @throws {Error} If no matched environment has a mapping, or a template value is missing
+     */
+    resolve(runtimeContext = {}, { path = '' } = {}) {
+      return build(builder.evaluate(runtimeContext), runtimeContext, path);
+    },
+
+    /**
+     * Async variant of resolve() using evaluateAsync()
+     * @param {Object} runtimeContext - Runtime context for evaluation and path templates
+     * @param {Object} options - Resolve options ({ path })
+     * @returns {Promise<Object>} { url, name } of the chosen endpoint
+     */
+    async resolveAsync(runtimeContext = {}, { path = '' } = {}) {
+      return build(await builder.evaluateAsync(runtimeContext), runtimeContext, path);
+    }
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Tests for Endpoint Resolver
+ */
+
+import createEnvironmentNameBuilder, { createEndpointResolver } from './index.js';
+
+describe('createEndpointResolver()', () => {
+  const endpoints = {
+    prod: 'https://api.production.com',
+    staging: 'https://api.staging.com/',
+    debug: ['https://api.debug.com', '/v1/debug']
+  };
+
+  afterEach(() => {
+    delete process.env.ENDPOINT_REGION;
+  });
+
+  test('should resolve the first matched name in condition order', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.tier === 'premium', name: 'premium' },
+      { check: (ctx) => ctx.debug, name: 'debug' },
+      { check: true, name: 'prod' }
+    ]);
+    const resolver = createEndpointResolver(builder, endpoints, '/api/v1');
+
+    expect(resolver.resolve({ tier: 'premium', debug: true })).toEqual({
+      url: 'https://api.debug.com/v1/debug',
+      name: 'debug'
+    });
+    expect(resolver.resolve()).toEqual({ url: 'https://api.production.com/api/v1', name: 'prod' });
+  });
+
+  test('should join paths and fill templates from context', () => {
+    const builder = createEnvironmentNameBuilder([{ check: true, name: 'staging' }])
+      .withContext({ tenant: { id: 'acme corp' } });
+    const resolver = createEndpointResolver(builder, endpoints, '/tenants/{tenant.id}/');
+
+    expect(resolver.resolve({ itemId: 'x/y' }, { path: 'items/{itemId}' })).toEqual({
+      url: 'https://api.staging.com/tenants/acme%20corp/items/x%2Fy',
+      name: 'staging'
+    });
+  });
+
+  test('should read env values in templates', () => {
+    process.env.ENDPOINT_REGION = 'eu-west-1';
+    const builder = createEnvironmentNameBuilder([{ check: true, name: 'prod' }]);
+    expect(createEndpointResolver(builder, endpoints, '/{env.ENDPOINT_REGION}').resolve().url)
+      .toBe('https://api.production.com/eu-west-1');
+  });
+
+  test('should throw when no matched name has a mapping', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: true, name: 'canary' },
+      { check: (ctx) => ctx.local, name: 'local' }
+    ]);
+    const resolver = createEndpointResolver(builder, endpoints);
+
+    expect(() => resolver.resolve({ local: true }))
+      .toThrow("No endpoint mapped for matched environments: 'canary', 'local'");
+  });
+
+  test('should throw when nothing matched', () => {
+    const builder = createEnvironmentNameBuilder([{ check: false, name: 'prod' }]);
+    expect(() => createEndpointResolver(builder, endpoints).resolve())
+      .toThrow('No environment matched; cannot resolve an endpoint');
+  });
+
+  test('should throw on missing template values', () => {
+    const builder = createEnvironmentNameBuilder([{ check: true, name: 'prod' }]);
+    expect(() => createEndpointResolver(builder, endpoints).resolve({}, { path: '/users/{userId}' }))
+      .toThrow("Missing context value 'userId' for endpoint path template '/users/{userId}'");
+  });
+
+  test('should resolve asynchronously', async () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: async (ctx) => ctx.debug, name: 'debug' }
+    ]);
+    await expect(createEndpointResolver(builder, endpoints).resolveAsync({ debug: true }))
+      .resolves.toEqual({ url: 'https://api.debug.com/v1/debug', name: 'debug' });
+  });
+
+  test('should validate endpoints', () => {
+    const builder = createEnvironmentNameBuilder([]);
+    expect(() => createEndpointResolver({}, endpoints))
+      .toThrow('Endpoint resolver requires an environment name builder');
+    expect(() => createEndpointResolver(builder, [])).toThrow('Endpoints must be an object');
+    expect(() => createEndpointResolver(builder, { prod: 'not a url' }))
+      .toThrow("Endpoint for 'prod' must be a URL string or [baseUrl, path]");
+    expect(() => createEndpointResolver(builder, { prod: ['https://a.com', 1] }))
+      .toThrow("Endpoint for 'prod' must be a URL string or [baseUrl, path]");
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Environment Schema
+ * Parses raw environment variable strings into typed values before conditions run
+ */
+
+const TYPES = ['string', 'boolean', 'integer', 'enum', 'url', 'list', 'duration'];
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Normalizes a schema entry, expanding the shorthand `KEY: 'boolean'`
+ * @param {string|Object} entry - Schema entry
+ * @returns {Object} Entry with an explicit `type`
+ */
+function normalizeEntry(entry) {
+  return typeof entry === 'string' ? { type: entry } : entry;
+}
+
+/**
+ * Parses a single raw value according to a schema entry
+ * @param {string} raw - Raw environment variable value
+ * @param {Object} entry - Normalized schema entry
+ * @returns {*} Typed value
+ * @throws {Error} If the value cannot be parsed
+ */
+function parseValue(raw, entry) {
+  const value = raw.trim();
+
+  switch (entry.type) {
+    case 'boolean': {
+      const lower = value.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return true;
+      if (FALSE_VALUES.includes(lower)) return false;
+      throw new Error(`expected a boolean (${[...TRUE_VALUES, ...FALSE_VALUES].join('/')}), got '${raw}'`);
+    }
+    case 'integer':
+      if (!/^[-+]?\d+$/.test(value)) {
+        throw new Error(`expected an integer, got '${raw}'`);
+      }
+      return Number(value);
+    case 'enum':
+      if (!entry.values.includes(value)) {
+        throw new Error(`expected one of ${entry.values.map((v) => `'${v}'`).join(', ')}, got '${raw}'`);
+      }
+      return value;
+    case 'url':
+      try {
+        return new URL(value);
+      } catch {
+        throw new Error(`expected a URL, got '${raw}'`);
+      }
+    case 'list':
+      return value.split(entry.separator ?? ',').map((item) => item.trim()).filter(Boolean);
+    case 'duration': {
+      const duration = parseDuration(value);
+      if (duration === null) {
+        throw new Error(`expected a duration such as '500ms', '30s', '5m', '2h' or '1d', got '${raw}'`);
+      }
+      return duration;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Parses a duration such as '500ms', '30s', '5m', '2h' or '1d' (bare numbers are milliseconds)
+ * @param {string} value - Duration text
+ * @returns {number|null} Milliseconds, or null if the text is not a duration
+ */
+export function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/.exec(String(value).trim());
+  return match ? Number(match[1]) * DURATION_UNITS[match[2] ?? 'ms'] : null;
+}
+
+/**
+ * Validates an env schema definition
+ * @param {Object} schema - Map of variable name to type name or { type, required, default, values, separator }
+ * @throws {Error} If an entry is malformed
+ */
+export function validateEnvSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Env schema must be an object');
+  }
+
+  for (const [key, rawEntry] of Object.entries(schema)) {
+    const entry = normalizeEntry(rawEntry);
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Env schema for '${key}' must be a type name or an object`);
+    }
+    if (!TYPES.includes(entry.type)) {
+      throw new Error(`Env schema for '${key}' has unknown type '${entry.type}' (expected one of ${TYPES.join(', ')})`);
+    }
+    if (entry.type === 'enum' && !(Array.isArray(entry.values) && entry.values.length > 0)) {
+      throw new Error(`Env schema for '${key}' of type 'enum' requires a non-empty 'values' array`);
+    }
+  }
+}
+
+/**
+ * Parses environment variables against a schema.
+ * Variables not in the schema are passed through unchanged; values that are
+ * already non-strings (e.g. supplied through withContext) are kept as-is.
+ * @param {Object} schema - Validated env schema
+ * @param {Object} env - Raw environment (e.g. process.env)
+ * @returns {Object} Copy of env with schema variables replaced by typed values
+ * @throws {AggregateError} Listing every missing required variable and unparseable value
+ */
+export function parseEnv(schema, env = {}) {
+  const parsed = { ...env };
+  const errors = [];
+
+  for (const [key, rawEntry] of Object.entries(schema)) {
+    const entry = normalizeEntry(rawEntry);
+    const raw = env[key];
+
+    if (raw === undefined || raw === '') {
+      if ('default' in entry) {
+        parsed[key] = entry.default;
+      } else if (entry.required) {
+        errors.push(new Error(`${key}: required but not set`));
+      } else {
+        delete parsed[key];
+      }
+      continue;
+    }
+
+    if (typeof raw !== 'string') {
+      continue;
+    }
+
+    try {
+      parsed[key] = parseValue(raw, entry);
+    } catch (error) {
+      errors.push(new Error(`${key}: ${error.message}`));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new AggregateError(
+      errors,
+      `Invalid environment variables:\n${errors.map(({ message }) => `  - ${message}`).join('\n')}`
+    );
+  }
+  return parsed;
+}
@@ -0,0 +1,144 @@
+/**
+ * Tests for Environment Schema
+ */
+
+import createEnvironmentNameBuilder, { parseEnv } from './index.js';
+
+describe('parseEnv', () => {
+  describe('Types', () => {
+    test('should parse booleans', () => {
+      const schema = { A: 'boolean', B: 'boolean', C: 'boolean', D: 'boolean' };
+      expect(parseEnv(schema, { A: 'true', B: 'false', C: 'YES', D: '0' })).toEqual({
+        A: true, B: false, C: true, D: false
+      });
+    });
+
+    test('should parse integers', () => {
+      expect(parseEnv({ PORT: 'integer', OFFSET: 'integer' }, { PORT: '8080', OFFSET: '-5' }))
+        .toEqual({ PORT: 8080, OFFSET: -5 });
+    });
+
+    test('should parse enums', () => {
+      const schema = { STAGE: { type: 'enum', values: ['dev', 'staging', 'prod'] } };
+      expect(parseEnv(schema, { STAGE: 'staging' })).toEqual({ STAGE: 'staging' });
+    });
+
+    test('should parse urls', () => {
+      const { API_URL } = parseEnv({ API_URL: 'url' }, { API_URL: 'https://api.example.com/v1' });
+      expect(API_URL).toBeInstanceOf(URL);
+      expect(API_URL.hostname).toBe('api.example.com');
+    });
+
+    test('should parse lists with a configurable separator', () => {
+      expect(parseEnv(
+        { REGIONS: 'list', TAGS: { type: 'list', separator: ';' } },
+        { REGIONS: 'us-east-1, eu-west-1,', TAGS: 'a;b' }
+      )).toEqual({ REGIONS: ['us-east-1', 'eu-west-1'], TAGS: ['a', 'b'] });
+    });
+
+    test('should parse durations into milliseconds', () => {
+      const schema = { A: 'duration', B: 'duration', C: 'duration', D: 'duration', E: 'duration' };
+      expect(parseEnv(schema, { A: '250', B: '500ms', C: '30s', D: '5m', E: '1.5h' })).toEqual({
+        A: 250, B: 500, C: 30000, D: 300000, E: 5400000
+      });
+    });
+
+    test('should pass through variables not in the schema', () => {
+      expect(parseEnv({ DEBUG: 'boolean' }, { DEBUG: 'false', HOME: '/root' })).toEqual({
+        DEBUG: false,
+        HOME: '/root'
+      });
+    });
+
+    test('should keep values that are already typed', () => {
+      expect(parseEnv({ DEBUG: 'boolean' }, { DEBUG: true })).toEqual({ DEBUG: true });
+    });
+  });
+
+  describe('Defaults and required variables', () => {
+    test('should apply defaults for missing or empty variables', () => {
+      const schema = {
+        DEBUG: { type: 'boolean', default: false },
+        TIMEOUT: { type: 'duration', default: 1000 }
+      };
+      expect(parseEnv(schema, { TIMEOUT: '' })).toEqual({ DEBUG: false, TIMEOUT: 1000 });
+    });
+
+    test('should leave optional variables without default undefined', () => {
+      expect(parseEnv({ PORT: 'integer' }, {})).toEqual({});
+    });
+
+    test('should aggregate every missing and invalid variable', () => {
+      const schema = {
+        API_URL: { type: 'url', required: true },
+        PORT: 'integer',
+        DEBUG: 'boolean'
+      };
+      let error;
+      try {
+        parseEnv(schema, { PORT: 'abc', DEBUG: 'maybe' });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(AggregateError);
+      expect(error.errors).toHaveLength(3);
+      expect(error.message).toBe([
+        'Invalid environment variables:',
+        '  - API_URL: required but not set',
+        "  - PORT: expected an integer, got 'abc'",
+        "  - DEBUG: expected a boolean (true/1/yes/on/false/0/no/off), got 'maybe'"
+      ].join('\n'));
+    });
+
+    test('should report enum values in errors', () => {
+      expect(() => parseEnv({ STAGE: { type: 'enum', values: ['dev', 'prod'] } }, { STAGE: 'qa' }))
+        .toThrow("STAGE: expected one of 'dev', 'prod', got 'qa'");
+    });
+  });
+});
+
+describe('Builder envSchema option', () => {
+  afterEach(() => {
+    delete process.env.SCHEMA_DEBUG;
+    delete process.env.SCHEMA_PORT;
+  });
+
+  test('should give checks a typed ctx.env', () => {
+    process.env.SCHEMA_DEBUG = 'false';
+    process.env.SCHEMA_PORT = '8080';
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.env.SCHEMA_DEBUG, name: 'debug' },
+      { check: (ctx) => ctx.env.SCHEMA_PORT === 8080, name: 'default-port' }
+    ], [], {
+      envSchema: { SCHEMA_DEBUG: 'boolean', SCHEMA_PORT: 'integer' }
+    });
+    expect(builder.evaluate()).toEqual([[true, 'default-port']]);
+  });
+
+  test('should parse env supplied through context', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.env.SCHEMA_DEBUG === true, name: 'debug' }
+    ], [], { envSchema: { SCHEMA_DEBUG: 'boolean' } });
+    expect(builder.evaluate({ env: { SCHEMA_DEBUG: 'yes' } })).toEqual([[true, 'debug']]);
+  });
+
+  test('should fail before any condition runs', async () => {
+    let calls = 0;
+    const builder = createEnvironmentNameBuilder([
+      { check: () => ++calls, name: 'counted' }
+    ], [], { envSchema: { SCHEMA_PORT: { type: 'integer', required: true } } });
+
+    expect(() => builder.evaluate()).toThrow('SCHEMA_PORT: required but not set');
+    await expect(builder.evaluateAsync()).rejects.toThrow('SCHEMA_PORT: required but not set');
+    expect(calls).toBe(0);
+  });
+
+  test('should validate the schema at construction', () => {
+    expect(() => createEnvironmentNameBuilder([], [], { envSchema: { PORT: 'int' } }))
+      .toThrow("Env schema for 'PORT' has unknown type 'int'");
+    expect(() => createEnvironmentNameBuilder([], [], { envSchema: { STAGE: { type: 'enum' } } }))
+      .toThrow("Env schema for 'STAGE' of type 'enum' requires a non-empty 'values' array");
+    expect(() => createEnvironmentNameBuilder([], [], { envSchema: [] }))
+      .toThrow('Env schema must be an object');
+  });
+});
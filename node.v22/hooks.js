@@ -0,0 +1,111 @@
+/**
+ * Lifecycle Hooks
+ * Observes evaluate(), evaluateAsync() and resolve() calls without changing their outcome
+ */
+
+export const HOOK_NAMES = ['beforeEvaluate', 'afterCondition', 'afterEvaluate', 'onError'];
+
+/**
+ * Validates the hooks option and groups the handlers by hook
+ * @param {Object|Array<Object>} hooks - Hook object, or several (e.g. an adapter and your own);
+ *   keys other than the hook names are ignored
+ * @returns {Object|null} Map of hook name to handlers, or null when no handler is registered
+ * @throws {Error} If the option or a handler is invalid
+ */
+export function normalizeHooks(hooks) {
+  if (hooks === undefined) {
+    return null;
+  }
+
+  const entries = Array.isArray(hooks) ? hooks : [hooks];
+  const handlers = Object.fromEntries(HOOK_NAMES.map((name) => [name, []]));
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error("Option 'hooks' must be an object or an array of objects");
+    }
+    for (const name of HOOK_NAMES) {
+      if (entry[name] === undefined) {
+        continue;
+      }
+      if (typeof entry[name] !== 'function') {
+        throw new Error(`Hook '${name}' must be a function`);
+      }
+      handlers[name].push(entry[name].bind(entry));
+    }
+  }
+
+  return HOOK_NAMES.some((name) => handlers[name].length > 0) ? handlers : null;
+}
+
+/**
+ * Calls each handler of a hook; a handler that throws never affects the evaluation
+ * @param {Array<Function>} handlers - Handlers of one hook
+ * @param {Object} event - Event passed to each handler
+ */
+function emit(handlers, event) {
+  for (const handler of handlers) {
+    try {
+      handler(event);
+    } catch {
+      // Observers must not change the evaluation outcome
+    }
+  }
+}
+
+/**
+ * Starts observing one evaluation and calls the beforeEvaluate hooks
+ * @param {Object|null} hooks - Result of normalizeHooks()
+ * @param {string} method - 'evaluate', 'evaluateAsync' or 'resolve'
+ * @param {Object} runtimeContext - Runtime context passed to the method
+ * @returns {Object|null} Observer with condition(), checkError(), finish() and fail(), or null without hooks
+ */
+export function startObservation(hooks, method, runtimeContext) {
+  if (hooks === null) {
+    return null;
+  }
+
+  // Shared by every event of this evaluation, so observers can key per-call state on it
+  const evaluation = { method, runtimeContext };
+  const start = performance.now();
+  const reported = new WeakSet();
+  emit(hooks.beforeEvaluate, evaluation);
+
+  return {
+    /**
+     * Reports a condition result
+     * @param {Object} details - { name, index, type, result, duration, error }
+     */
+    condition(details) {
+      emit(hooks.afterCondition, { evaluation, ...details });
+    },
+
+    /**
+     * Reports a failed check
+     * @param {Object} condition - Condition whose check failed
+     * @param {Error} error - Wrapped error
+     * @param {boolean} handled - False when the error policy rethrows it
+     */
+    checkError(condition, error, handled) {
+      reported.add(error);
+      emit(hooks.onError, { evaluation, error, name: condition.name, handled });
+    },
+
+    /**
+     * Reports a completed evaluation
+     * @param {Object} summary - { names, defaulted, errors, result }
+     */
+    finish(summary) {
+      emit(hooks.afterEvaluate, { evaluation, ...summary, duration: performance.now() - start });
+    },
+
+    /**
+     * Reports an evaluation that threw (errors already reported by checkError() are not repeated)
+     * @param {Error} error - Thrown error
+     */
+    fail(error) {
+      if (error === null || typeof error !== 'object' || !reported.has(error)) {
+        emit(hooks.onError, { evaluation, error, name: null, handled: false });
+      }
+    }
+  };
+}
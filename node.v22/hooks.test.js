@@ -0,0 +1,182 @@
+/**
+ * Tests for Lifecycle Hooks
+ */
+
+import createEnvironmentNameBuilder from './index.js';
+
+/**
+ * Creates hooks that record every event as [hook, details]
+ * @returns {Object} { hooks, events }
+ */
+function recorder() {
+  const events = [];
+  const hooks = {
+    beforeEvaluate: (evaluation) => events.push(['beforeEvaluate', evaluation.method]),
+    afterCondition: ({ name, type, result, error }) => events.push(['afterCondition', { name, type, result, error }]),
+    afterEvaluate: ({ names, defaulted, errors, result }) => events.push(['afterEvaluate', { names, defaulted, errors, result }]),
+    onError: ({ error, name, handled }) => events.push(['onError', { message: error.message, name, handled }])
+  };
+  return { hooks, events };
+}
+
+describe('Lifecycle hooks', () => {
+  const conditions = [
+    { check: true, name: 'always' },
+    { check: (ctx) => ctx.region === 'eu', name: 'eu' }
+  ];
+
+  test('should report each condition and the result of evaluate()', () => {
+    const { hooks, events } = recorder();
+    const builder = createEnvironmentNameBuilder(conditions, [], { hooks });
+
+    const result = builder.evaluate({ region: 'eu' });
+    expect(events).toEqual([
+      ['beforeEvaluate', 'evaluate'],
+      ['afterCondition', { name: 'always', type: 'static', result: true, error: null }],
+      ['afterCondition', { name: 'eu', type: 'function', result: true, error: null }],
+      ['afterEvaluate', { names: ['always', 'eu'], defaulted: false, errors: [], result }]
+    ]);
+  });
+
+  test('should pass the same evaluation object and timings to every hook', () => {
+    const seen = [];
+    const builder = createEnvironmentNameBuilder(conditions, [], {
+      hooks: {
+        beforeEvaluate: (evaluation) => seen.push(evaluation),
+        afterCondition: ({ evaluation, duration }) => seen.push(evaluation, duration),
+        afterEvaluate: ({ evaluation, duration }) => seen.push(evaluation, duration)
+      }
+    });
+
+    builder.evaluate({ region: 'us' });
+    const [evaluation] = seen;
+    expect(evaluation).toEqual({ method: 'evaluate', runtimeContext: { region: 'us' } });
+    expect(seen.filter((entry) => typeof entry === 'object').every((entry) => entry === evaluation)).toBe(true);
+    expect(seen.filter((entry) => typeof entry === 'number').every((duration) => duration >= 0)).toBe(true);
+  });
+
+  test('should report default-value fallbacks', () => {
+    const { hooks, events } = recorder();
+    const builder = createEnvironmentNameBuilder([{ check: false, name: 'off' }], [['fallback']], { hooks });
+
+    builder.evaluate();
+    expect(events.at(-1)).toEqual(['afterEvaluate', { names: [], defaulted: true, errors: [], result: [['fallback']] }]);
+  });
+
+  test('should report evaluateAsync() and resolve()', async () => {
+    const { hooks, events } = recorder();
+    const builder = createEnvironmentNameBuilder([
+      { check: async (ctx) => ctx.region === 'eu', name: 'eu', priority: 1 },
+      { check: true, name: 'always' }
+    ], [], { hooks });
+
+    await builder.evaluateAsync({ region: 'eu' });
+    expect(events[0]).toEqual(['beforeEvaluate', 'evaluateAsync']);
+    expect(events.filter(([hook]) => hook === 'afterCondition')).toHaveLength(2);
+    expect(events.at(-1)[1].names).toEqual(['eu', 'always']);
+
+    events.length = 0;
+    expect(builder.resolve({ region: 'eu' })).toBe('eu');
+    expect(events[0]).toEqual(['beforeEvaluate', 'resolve']);
+    expect(events.at(-1)).toEqual(['afterEvaluate', { names: ['eu', 'always'], defaulted: false, errors: [], result: 'eu' }]);
+
+    events.length = 0;
+    createEnvironmentNameBuilder([{ check: false, name: 'off' }], [], { hooks }).resolve();
+    expect(events.at(-1)[1]).toMatchObject({ defaulted: true, result: null });
+  });
+
+  test('should report check errors handled by the error policy', () => {
+    const { hooks, events } = recorder();
+    const builder = createEnvironmentNameBuilder([
+      { check: () => { throw new Error('down'); }, name: 'flaky', onError: 'collect' }
+    ], [], { hooks });
+
+    const { errors } = builder.evaluate();
+    expect(events).toEqual([
+      ['beforeEvaluate', 'evaluate'],
+      ['onError', { message: "Error evaluating condition 'flaky': down", name: 'flaky', handled: true }],
+      ['afterCondition', { name: 'flaky', type: 'function', result: false, error: new Error('down') }],
+      ['afterEvaluate', { names: [], defaulted: true, errors, result: { matches: [], errors } }]
+    ]);
+  });
+
+  test('should report an evaluation that throws once', async () => {
+    const { hooks, events } = recorder();
+    const builder = createEnvironmentNameBuilder([
+      { check: () => { throw new Error('down'); }, name: 'broken' }
+    ], [], { hooks });
+
+    expect(() => builder.evaluate()).toThrow("Error evaluating condition 'broken': down");
+    expect(events).toEqual([
+      ['beforeEvaluate', 'evaluate'],
+      ['onError', { message: "Error evaluating condition 'broken': down", name: 'broken', handled: false }]
+    ]);
+
+    events.length = 0;
+    await expect(builder.evaluateAsync()).rejects.toThrow("Error evaluating condition 'broken': down");
+    expect(events.filter(([hook]) => hook === 'onError')).toHaveLength(1);
+  });
+
+  test('should report errors that are not raised by a check', async () => {
+    const { hooks, events } = recorder();
+    const builder = createEnvironmentNameBuilder([
+      { check: true, name: 'a', group: 'stage' },
+      { check: true, name: 'b', group: 'stage' }
+    ], [], { hooks, groups: { stage: 'exclusive' } });
+
+    expect(() => builder.evaluate()).toThrow('Conflicting matches');
+    expect(events.at(-1)).toEqual(['onError', {
+      message: "Conflicting matches in exclusive group 'stage' at priority 0: 'a', 'b'",
+      name: null,
+      handled: false
+    }]);
+
+    events.length = 0;
+    const slow = createEnvironmentNameBuilder([
+      { check: () => new Promise((resolve) => setTimeout(() => resolve(true), 50)), name: 'slow' }
+    ], [], { hooks });
+    await expect(slow.evaluateAsync({}, { timeout: 5 })).rejects.toThrow('Evaluation timed out after 5ms');
+    expect(events.at(-1)[1]).toMatchObject({ name: null, handled: false });
+  });
+
+  test('should accept several hook objects and ignore errors thrown by hooks', () => {
+    const calls = [];
+    const builder = createEnvironmentNameBuilder(conditions, [], {
+      hooks: [
+        { beforeEvaluate: () => { throw new Error('hook failed'); }, label: 'first' },
+        {
+          label: 'second',
+          afterEvaluate() {
+            calls.push(this.label);
+          }
+        }
+      ]
+    });
+
+    expect(builder.evaluate()).toEqual([[true, 'always']]);
+    expect(calls).toEqual(['second']);
+  });
+
+  test('should keep hooks on forks and skip afterCondition for cached results', () => {
+    const { hooks, events } = recorder();
+    const builder = createEnvironmentNameBuilder(conditions, [], { hooks, cache: true });
+
+    builder.fork().evaluate({ region: 'eu' });
+    expect(events).toHaveLength(4);
+
+    events.length = 0;
+    builder.evaluate({ region: 'eu' });
+    builder.evaluate({ region: 'eu' });
+    expect(events.filter(([hook]) => hook === 'afterCondition')).toHaveLength(2);
+    expect(events.filter(([hook]) => hook === 'afterEvaluate')).toHaveLength(2);
+  });
+
+  test('should validate hooks', () => {
+    expect(() => createEnvironmentNameBuilder([], [], { hooks: 'metrics' }))
+      .toThrow("Option 'hooks' must be an object or an array of objects");
+    expect(() => createEnvironmentNameBuilder([], [], { hooks: [null] }))
+      .toThrow("Option 'hooks' must be an object or an array of objects");
+    expect(() => createEnvironmentNameBuilder([], [], { hooks: { afterEvaluate: true } }))
+      .toThrow("Hook 'afterEvaluate' must be a function");
+  });
+});
@@ -0,0 +1,645 @@
+/**
+ * Type Definitions
+ * Declarations for the environment name builder. The context shape is a type parameter and
+ * condition names are inferred as a literal union from the conditions array.
+ */
+
+/**
+ * Context of a builder that was not given a context type
+ */
+export type AnyContext = Record<string, any>;
+
+/**
+ * Values available under ctx.env: process.env, .env providers and envSchema-typed values
+ */
+export type EnvValues = Record<string, any>;
+
+/**
+ * Context received by condition checks: accumulated, scoped and runtime context over process.env
+ */
+export type EvaluationContext<Ctx = AnyContext> = Ctx & { env: EnvValues };
+
+/**
+ * Context accepted by evaluate() and friends; known keys are checked against the builder context
+ */
+export type RuntimeContext<Ctx = AnyContext> = Partial<Ctx> & Record<string, unknown>;
+
+/**
+ * Check built with allOf(), anyOf() or not(), evaluated over the outcomes of other conditions
+ */
+export interface CompositeCheck<Name extends string = string> {
+  readonly [COMPOSITE]: 'all' | 'any' | 'not';
+  readonly operands: ReadonlyArray<Name | CompositeCheck<Name>>;
+}
+
+declare const COMPOSITE: unique symbol;
+
+/**
+ * Function check; may return a promise when evaluated with evaluateAsync()
+ */
+export type CheckFunction<Ctx = AnyContext> = (ctx: EvaluationContext<Ctx>) => unknown;
+
+/**
+ * Condition check: a static value (coerced to boolean), a function or a composite
+ */
+export type Check<Ctx = AnyContext> = CheckFunction<Ctx> | CompositeCheck | boolean | number | string | null | undefined;
+
+/**
+ * Policy for function checks that throw or time out
+ */
+export type ErrorPolicy = 'throw' | 'treat-as-false' | 'treat-as-true' | 'collect';
+
+/**
+ * A named condition
+ */
+export interface Condition<Ctx = AnyContext, Name extends string = string> {
+  check: Check<Ctx>;
+  name: Name;
+  /** Milliseconds allowed for this check in evaluateAsync() */
+  timeout?: number;
+  /** Used by exclusive groups and resolve() (default: 0, higher wins) */
+  priority?: number;
+  group?: string;
+  requires?: readonly string[];
+  excludes?: readonly string[];
+  /** Returned with matches in the 'objects' result format */
+  meta?: Record<string, unknown>;
+  /** Takes precedence over the builder's onError option */
+  onError?: ErrorPolicy;
+  /** Rule document location, set by compileRules() */
+  source?: string;
+  /** Recorded in snapshots so replays can tell which definition produced an outcome */
+  version?: string | number;
+}
+
+/**
+ * Entry accepted by extend(): a new condition, an override, or a disabled inherited condition
+ */
+export type ExtensionEntry<Ctx = AnyContext, Name extends string = string> =
+  | (Condition<Ctx, Name> & { override?: boolean })
+  | { name: Name; disabled: true };
+
+/**
+ * Literal union of the names in a conditions array
+ */
+export type ConditionNames<C> = C extends readonly (infer Entry)[]
+  ? Entry extends { name: infer Name extends string } ? Name : never
+  : never;
+
+export type EnvSchemaType = 'string' | 'boolean' | 'integer' | 'enum' | 'url' | 'list' | 'duration';
+
+export type EnvSchema = Record<string, EnvSchemaType | {
+  type: EnvSchemaType;
+  required?: boolean;
+  default?: unknown;
+  values?: readonly string[];
+  separator?: string;
+}>;
+
+export type ResultFormat = 'tuples' | 'objects';
+
+export interface BuilderOptions {
+  groups?: Record<string, 'exclusive' | 'additive'>;
+  onConflict?: 'throw' | 'first';
+  envSchema?: EnvSchema;
+  cache?: boolean | { maxSize?: number };
+  clock?: () => Date | number;
+  resultFormat?: ResultFormat;
+  onError?: ErrorPolicy;
+  immutable?: boolean;
+  hooks?: Hooks | readonly Hooks[];
+}
+
+/**
+ * Shared by every hook call of one evaluate(), evaluateAsync() or resolve() call
+ */
+export interface Evaluation {
+  method: 'evaluate' | 'evaluateAsync' | 'resolve';
+  runtimeContext: Record<string, unknown>;
+}
+
+export interface ConditionEvent {
+  evaluation: Evaluation;
+  name: string;
+  index: number;
+  type: 'static' | 'function' | 'composite';
+  result: boolean;
+  /** Milliseconds */
+  duration: number;
+  /** Error thrown by the check when the error policy handled it */
+  error: unknown;
+}
+
+export interface EvaluationEvent {
+  evaluation: Evaluation;
+  names: string[];
+  defaulted: boolean;
+  errors: Error[];
+  /** Return value of the method */
+  result: unknown;
+  /** Milliseconds */
+  duration: number;
+}
+
+export interface ErrorEvent {
+  evaluation: Evaluation;
+  error: unknown;
+  /** Condition whose check failed, or null when the evaluation failed otherwise */
+  name: string | null;
+  /** False when the error is thrown to the caller */
+  handled: boolean;
+}
+
+/**
+ * Lifecycle hooks; errors thrown by hooks are ignored
+ */
+export interface Hooks {
+  beforeEvaluate?(evaluation: Evaluation): void;
+  afterCondition?(event: ConditionEvent): void;
+  afterEvaluate?(event: EvaluationEvent): void;
+  onError?(event: ErrorEvent): void;
+}
+
+/**
+ * Match object returned in the 'objects' result format
+ */
+export interface MatchObject<Name extends string = string> {
+  name: Name;
+  meta: Record<string, unknown>;
+  /** 'static', 'function' or the composite expression such as "allOf('a', not('b'))" */
+  reason: string;
+  /** Where the key landed, for rollout() and variants() matches only */
+  bucket?: { key: string; bucket: number; variant?: string | null };
+}
+
+/**
+ * Matches in the 'objects' result format, with non-enumerable helper methods
+ */
+export interface MatchObjects<Name extends string = string> extends Array<MatchObject<Name>> {
+  names(): Name[];
+  has(name: Name): boolean;
+  first(): MatchObject<Name> | null;
+}
+
+/**
+ * Shape-determining settings of a builder, derived from its default value, options and conditions
+ */
+export interface BuilderSettings {
+  defaultValue: unknown;
+  format: ResultFormat;
+  collect: boolean;
+}
+
+export type Matches<Name extends string, S extends BuilderSettings> =
+  S['format'] extends 'objects' ? MatchObjects<Name> : Array<[true, Name]>;
+
+/**
+ * Result of evaluate(): matches or the default value, plus collected errors under the 'collect' policy
+ */
+export type EvaluateResult<Name extends string, S extends BuilderSettings> = S['collect'] extends true
+  ? { matches: Matches<Name, S> | S['defaultValue']; errors: Error[] }
+  : Matches<Name, S> | S['defaultValue'];
+
+export interface ExplainEntry<Name extends string = string> {
+  name: Name;
+  type: 'static' | 'function' | 'composite';
+  raw: unknown;
+  result: boolean;
+  duration: number | null;
+  error: unknown;
+  blockedBy: string | null;
+  bucket?: { key: string; bucket: number; variant?: string | null } | null;
+  reads?: string[];
+}
+
+export interface ExplainResult<Name extends string, S extends BuilderSettings> {
+  matches: Matches<Name, S> | S['defaultValue'];
+  conditions: Array<ExplainEntry<Name>>;
+  context: EvaluationContext<AnyContext>;
+}
+
+export interface ChangeEvent<Name extends string, S extends BuilderSettings> {
+  added: Name[];
+  removed: Name[];
+  current: EvaluateResult<Name, S>;
+}
+
+export interface ContextProvider {
+  name: string;
+  load: () => Record<string, unknown> | Promise<Record<string, unknown>>;
+  namespace?: string;
+  precedence?: number;
+}
+
+/**
+ * Builder returned by createEnvironmentNameBuilder()
+ * @typeParam Ctx - Context checks receive; grows with withContext(), derive() and runWithContext()
+ * @typeParam Name - Literal union of condition names
+ * @typeParam S - Result shape settings
+ */
+export interface EnvironmentNameBuilder<
+  Ctx = AnyContext,
+  Name extends string = string,
+  S extends BuilderSettings = { defaultValue: []; format: 'tuples'; collect: false }
+> {
+  readonly conditions: ReadonlyArray<Condition<Ctx, Name>>;
+  readonly defaultValue: S['defaultValue'];
+
+  withContext<Extra extends object>(ctx: Extra): EnvironmentNameBuilder<Ctx & Extra, Name, S>;
+  withProvider(provider: ContextProvider): this;
+  loadProviders(): Promise<this>;
+  resetContext(): this;
+  fork(): EnvironmentNameBuilder<Ctx, Name, S>;
+  derive<Extra extends object>(ctx: Extra): EnvironmentNameBuilder<Ctx & Extra, Name, S>;
+  freeze(): this;
+  isFrozen(): boolean;
+  runWithContext<T>(ctx: RuntimeContext<Ctx>, fn: () => T): T;
+
+  onChange(
+    listener: (event: ChangeEvent<Name, S>) => void,
+    options?: { onError?: (error: unknown) => void }
+  ): () => void;
+  refresh(): ChangeEvent<Name, S> | null;
+  watch(intervalOrTrigger: number | ((refresh: () => void) => void | (() => void))): () => void;
+
+  invalidate(): this;
+  cacheStats(): { enabled: boolean; hits: number; misses: number; size: number };
+
+  evaluate(runtimeContext?: RuntimeContext<Ctx>): EvaluateResult<Name, S>;
+  evaluateAsync(
+    runtimeContext?: RuntimeContext<Ctx>,
+    options?: { timeout?: number; conditionTimeout?: number }
+  ): Promise<EvaluateResult<Name, S>>;
+  explain(
+    runtimeContext?: RuntimeContext<Ctx>,
+    options?: { redact?: RegExp; trackReads?: boolean; onConflict?: 'throw' | 'first' }
+  ): ExplainResult<Name, S>;
+  explainAsync(
+    runtimeContext?: RuntimeContext<Ctx>,
+    options?: { redact?: RegExp; trackReads?: boolean; onConflict?: 'throw' | 'first'; conditionTimeout?: number }
+  ): Promise<ExplainResult<Name, S>>;
+  resolve(runtimeContext?: RuntimeContext<Ctx>): Name | null;
+
+  getContext(): Partial<Ctx> & AnyContext;
+  getContext(options: { sources: true }): { context: Partial<Ctx> & AnyContext; sources: Record<string, string> };
+}
+
+/**
+ * Whether a builder collects check errors: through its options or any condition's onError
+ */
+type Collects<C, O> = O extends { onError: 'collect' }
+  ? true
+  : C extends readonly (infer Entry)[]
+    ? Extract<Entry, { onError: 'collect' }> extends never ? false : true
+    : false;
+
+type SettingsOf<C, D, O> = {
+  defaultValue: D;
+  format: O extends { resultFormat: 'objects' } ? 'objects' : 'tuples';
+  collect: Collects<C, O>;
+};
+
+/**
+ * Creates an environment name builder instance
+ * @param conditions - Conditions; their names become the builder's name union
+ * @param defaultValue - Value returned when no conditions match (default: [])
+ * @param options - Builder options
+ */
+export default function createEnvironmentNameBuilder<
+  Ctx extends object = AnyContext,
+  const C extends readonly Condition<Ctx>[] = readonly Condition<Ctx>[],
+  D = [],
+  const O extends BuilderOptions = {}
+>(
+  conditions?: C,
+  defaultValue?: D,
+  options?: O & BuilderOptions
+): EnvironmentNameBuilder<Ctx, ConditionNames<C>, SettingsOf<C, D, O>>;
+
+/**
+ * Anything extend(), merge() and namespace() accept
+ */
+type ConditionSource = EnvironmentNameBuilder<any, any, any> | readonly Condition<any>[];
+
+type NamesOf<Source> = Source extends EnvironmentNameBuilder<any, infer Name, any> ? Name : ConditionNames<Source>;
+type ContextOf<Source> = Source extends EnvironmentNameBuilder<infer Ctx, any, any> ? Ctx : AnyContext;
+type DisabledNames<M> = M extends readonly (infer Entry)[]
+  ? Entry extends { name: infer Name extends string; disabled: true } ? Name : never
+  : never;
+type AddedNames<M> = M extends readonly (infer Entry)[]
+  ? Entry extends { name: infer Name extends string; disabled: true } ? never
+    : Entry extends { name: infer Name extends string } ? Name : never
+  : never;
+type Rebuilt<Source, Name extends string, Extra = never> = Source extends EnvironmentNameBuilder<infer Ctx, any, infer S>
+  ? EnvironmentNameBuilder<Ctx, Name, [Extra] extends [never] ? S : S & { collect: boolean }>
+  : Array<Condition<AnyContext, Name>>;
+
+/**
+ * Adds, overrides or disables conditions; new checks receive the base builder's context type
+ */
+export function extend<
+  Base extends ConditionSource,
+  const M extends readonly ExtensionEntry<ContextOf<Base>>[]
+>(base: Base, moreConditions: M): Rebuilt<Base, Exclude<NamesOf<Base>, DisabledNames<M>> | AddedNames<M>>;
+
+/**
+ * Combines two builders or condition arrays
+ */
+export function merge<A extends ConditionSource, B extends ConditionSource>(
+  a: A,
+  b: B,
+  options?: { onConflict?: 'throw' | 'first' | 'last' }
+): Rebuilt<A, NamesOf<A> | NamesOf<B>>;
+
+/**
+ * Prefixes every condition name as 'prefix:name'
+ */
+export function namespace<const P extends string, Source extends ConditionSource>(
+  prefix: P,
+  source: Source
+): Rebuilt<Source, `${P}:${NamesOf<Source>}`>;
+
+export function allOf<const N extends string>(...operands: Array<N | CompositeCheck>): CompositeCheck<N>;
+export function anyOf<const N extends string>(...operands: Array<N | CompositeCheck>): CompositeCheck<N>;
+export function not<const N extends string>(operand: N | CompositeCheck): CompositeCheck<N>;
+
+/**
+ * Reads the names, membership and first entry of any evaluate() result
+ */
+export function names<Name extends string>(
+  result: Array<[true, Name]> | MatchObjects<Name> | { matches: unknown; errors: Error[] } | unknown
+): Name[];
+export function has(result: unknown, name: string): boolean;
+export function first<Name extends string>(result: Array<[true, Name]>): [true, Name] | null;
+export function first<Name extends string>(result: MatchObjects<Name>): MatchObject<Name> | null;
+export function first(result: unknown): unknown;
+export function matchesOf<M>(result: { matches: M; errors: Error[] }): M;
+export function matchesOf<R>(result: R): R;
+
+export interface RuleDocument {
+  rules: Array<{
+    name: string;
+    when: Record<string, unknown>;
+    timeout?: number;
+    priority?: number;
+    group?: string;
+    requires?: readonly string[];
+    excludes?: readonly string[];
+    meta?: Record<string, unknown>;
+    onError?: ErrorPolicy;
+    version?: string | number;
+  }>;
+}
+
+export function compileRules(document: RuleDocument | RuleDocument['rules']): Condition[];
+export function loadRules(filePath: string, options?: { parse?: (text: string) => unknown }): Condition[];
+
+export function parseEnv(schema: EnvSchema, env?: Record<string, unknown>): EnvValues;
+
+export interface EndpointResolver<Name extends string = string> {
+  resolve(runtimeContext?: AnyContext, options?: { path?: string }): { url: string; name: Name };
+  resolveAsync(runtimeContext?: AnyContext, options?: { path?: string }): Promise<{ url: string; name: Name }>;
+}
+
+export function createEndpointResolver<Name extends string>(
+  builder: EnvironmentNameBuilder<any, Name, any>,
+  endpoints: Partial<Record<Name, string | [baseUrl: string, path: string]>>,
+  defaultPath?: string
+): EndpointResolver<Name>;
+
+/**
+ * Rollout check; bucket(ctx) reports where a key landed
+ */
+export interface RolloutCheck extends CheckFunction {
+  bucket(ctx: AnyContext): { key: string; bucket: number; variant?: string | null } | null;
+}
+
+export function rollout(field: string, percentage: number, options?: { salt?: string }): RolloutCheck;
+export function variants<const V extends string>(
+  field: string,
+  weights: Record<V, number>,
+  options?: { salt?: string }
+): Array<{ check: RolloutCheck; name: V }>;
+export function bucketOf(key: unknown, salt?: string): number;
+
+export interface ScheduleSpec {
+  cron?: string;
+  from?: Date | number | string;
+  until?: Date | number | string;
+  windows?: Array<{ from: Date | number | string; until: Date | number | string } | { cron: string; duration: number | string }>;
+  timeZone?: string;
+}
+
+export function schedule(spec: ScheduleSpec): CheckFunction;
+export function now(ctx: AnyContext): Date;
+
+export function semver(range: string, options?: { field?: string }): CheckFunction;
+export function cidr(ranges: string | string[], options?: { field?: string }): CheckFunction;
+export function hostname(patterns: string | RegExp | Array<string | RegExp>, options?: { field?: string }): CheckFunction;
+
+export interface RequestContext {
+  request: {
+    method: string;
+    host: string;
+    path: string;
+    headers: Record<string, string | string[] | undefined>;
+    query: Record<string, unknown>;
+    ip: string | undefined;
+  };
+}
+
+export interface MiddlewareOptions {
+  extract?: (req: any) => AnyContext | Promise<AnyContext>;
+  property?: string;
+  header?: boolean | string;
+  rejectUnmatched?: boolean | number;
+}
+
+export interface HttpHandlerOptions extends MiddlewareOptions {
+  onError?: (error: unknown, req: any, res: any) => unknown;
+}
+
+export function requestContext(req: any): RequestContext;
+export function createHttpHandler(
+  builder: EnvironmentNameBuilder<any, any, any>,
+  handler: (req: any, res: any) => unknown,
+  options?: HttpHandlerOptions
+): (req: any, res: any) => Promise<void>;
+export function expressMiddleware(
+  builder: EnvironmentNameBuilder<any, any, any>,
+  options?: MiddlewareOptions
+): (req: any, res: any, next: (error?: unknown) => void) => void;
+export function fastifyHook(
+  builder: EnvironmentNameBuilder<any, any, any>,
+  options?: MiddlewareOptions
+): (request: any, reply: any) => Promise<unknown>;
+
+export type AnalysisIssueType =
+  | 'unreachable'
+  | 'never-matched'
+  | 'always-matched'
+  | 'error'
+  | 'unsupplied-key'
+  | 'duplicate-name'
+  | 'unmapped-name'
+  | 'exclusive-overlap';
+
+export interface AnalysisReport<Name extends string = string> {
+  samples: number;
+  coverage: { conditions: number; matched: number; ratio: number };
+  conditions: Array<{
+    name: Name;
+    index: number;
+    type: 'static' | 'function' | 'composite';
+    matches: number;
+    errors: number;
+    reads: string[];
+  }>;
+  issues: Array<{ type: AnalysisIssueType; name: string; message: string; key?: string; names?: Name[]; samples?: number[] }>;
+}
+
+export function analyze<Ctx, Name extends string>(
+  builder: EnvironmentNameBuilder<Ctx, Name, any>,
+  sampleContexts: Array<RuntimeContext<Ctx>>,
+  options?: { endpoints?: Record<string, unknown> | string[] }
+): AnalysisReport<Name>;
+
+export interface SnapshotCondition {
+  name: string;
+  version: string | number | null;
+  fingerprint: string;
+  result: boolean;
+  error: string | null;
+}
+
+export interface Snapshot {
+  format: 'env-name-snapshot';
+  version: 1;
+  capturedAt: string;
+  context: Record<string, unknown>;
+  /** Dotted paths of values replaced with '[REDACTED]' */
+  redacted: string[];
+  conditions: SnapshotCondition[];
+  result: { matched: boolean; names: string[]; value: unknown; error: string | null };
+}
+
+export interface SnapshotOutcome<Name extends string = string> {
+  matched: boolean;
+  names: Name[];
+  error: string | null;
+}
+
+export interface SnapshotDiff<Name extends string = string> {
+  changed: boolean;
+  before: SnapshotOutcome;
+  after: SnapshotOutcome<Name>;
+  added: Name[];
+  removed: string[];
+  conditions: Array<{
+    name: string;
+    status: 'unchanged' | 'changed' | 'added' | 'removed';
+    before: SnapshotCondition | null;
+    after: SnapshotCondition | null;
+    definitionChanged: boolean;
+    /** Context paths the check read that the snapshot redacted */
+    redactedReads?: string[];
+  }>;
+}
+
+/**
+ * Evaluates once and records the merged context (with secrets redacted), the conditions and the result
+ */
+export function captureSnapshot<Ctx>(
+  builder: EnvironmentNameBuilder<Ctx, any, any>,
+  runtimeContext?: RuntimeContext<Ctx>,
+  options?: { redact?: RegExp }
+): Snapshot;
+
+/**
+ * Like captureSnapshot(), but awaits checks that return promises
+ */
+export function captureSnapshotAsync<Ctx>(
+  builder: EnvironmentNameBuilder<Ctx, any, any>,
+  runtimeContext?: RuntimeContext<Ctx>,
+  options?: { redact?: RegExp; conditionTimeout?: number }
+): Promise<Snapshot>;
+
+/**
+ * Re-evaluates a snapshot's context against the same or an updated condition set
+ */
+export function replaySnapshot<const Source extends ConditionSource>(
+  source: Source,
+  snapshot: Snapshot | string,
+  options?: { clock?: () => Date | number }
+): SnapshotDiff<NamesOf<Source>>;
+
+/**
+ * Like replaySnapshot(), but awaits checks that return promises
+ */
+export function replaySnapshotAsync<const Source extends ConditionSource>(
+  source: Source,
+  snapshot: Snapshot | string,
+  options?: { clock?: () => Date | number; conditionTimeout?: number }
+): Promise<SnapshotDiff<NamesOf<Source>>>;
+
+export interface DurationSummary {
+  count: number;
+  total: number;
+  min: number;
+  max: number;
+  mean: number;
+}
+
+export interface MetricsSnapshot {
+  evaluations: number;
+  matches: Record<string, number>;
+  defaults: number;
+  errors: number;
+  conditionErrors: Record<string, number>;
+  evaluationDuration: DurationSummary;
+  checkDurations: Record<string, DurationSummary>;
+}
+
+export interface Metrics extends Required<Omit<Hooks, 'beforeEvaluate'>> {
+  snapshot(): MetricsSnapshot;
+  reset(): void;
+}
+
+/**
+ * Counts matches per name, default-value fallbacks and errors, and records check durations
+ */
+export function createMetrics(): Metrics;
+
+/**
+ * Subset of an OpenTelemetry span used by createTracing()
+ */
+export interface TraceSpan {
+  setAttribute(key: string, value: string | number | boolean | string[]): unknown;
+  end(): void;
+  addEvent?(name: string, attributes?: Record<string, string | number | boolean>): unknown;
+  recordException?(exception: unknown): void;
+  setStatus?(status: { code: number; message?: string }): unknown;
+}
+
+/**
+ * Subset of an OpenTelemetry tracer used by createTracing()
+ */
+export interface Tracer {
+  startSpan(name: string, options: { attributes: Record<string, string> }): TraceSpan;
+}
+
+/**
+ * Wraps each evaluation in a span
+ */
+export function createTracing(tracer: Tracer, options?: { spanName?: string; conditionEvents?: boolean }): Hooks;
+
+interface ProviderOptions {
+  name?: string;
+  namespace?: string;
+  precedence?: number;
+}
+
+export function envFileProvider(filePath: string, options?: ProviderOptions & { optional?: boolean }): ContextProvider;
+export function jsonFileProvider(filePath: string, options?: ProviderOptions & { optional?: boolean }): ContextProvider;
+export function argvProvider(argv?: string[], options?: ProviderOptions): ContextProvider;
+export function directoryProvider(dirPath: string, options?: ProviderOptions & { optional?: boolean }): ContextProvider;
@@ -3,108 +3,1536 @@
  * Utility for generating environment names based on conditional logic
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
+import {
+  isComposite,
+  evaluateComposite,
+  dependencyNames,
+  blockingDependency,
+  dependencyOrder
+} from './dependencies.js';
+import { validateEnvSchema, parseEnv } from './env-schema.js';
+import { validateProvider, DEFAULT_PROVIDER_PRECEDENCE } from './providers.js';
+import { createEvaluationCache, trackReads } from './cache.js';
+import { isRollout } from './rollout.js';
+import { CLOCK } from './schedule.js';
+import { validateMatcher } from './matchers.js';
+import { RESULT_FORMATS, formatMatches, names, matchesOf } from './results.js';
+import { conditionsOf, extendConditions, mergeConditions, namespaceConditions } from './compose.js';
+import { createSnapshot, parseSnapshot, diffSnapshot } from './snapshot.js';
+import { normalizeHooks, startObservation } from './hooks.js';
+
+export { compileRules, loadRules } from './rules.js';
+export { allOf, anyOf, not } from './dependencies.js';
+export { parseEnv } from './env-schema.js';
+export { createEndpointResolver } from './endpoints.js';
+export { rollout, variants, bucketOf } from './rollout.js';
+export { schedule, now } from './schedule.js';
+export { semver, cidr, hostname } from './matchers.js';
+export { names, has, first, matchesOf } from './results.js';
+export { requestContext, createHttpHandler, expressMiddleware, fastifyHook } from './middleware.js';
+export { analyze } from './analyze.js';
+export { createMetrics, createTracing } from './observability.js';
+export {
+  envFileProvider,
+  jsonFileProvider,
+  argvProvider,
+  directoryProvider
+} from './providers.js';
+
 /**
- * Creates an environment name builder instance
- * @param {Array} conditions - Array of condition objects with { check, name } structure
- *   - check: boolean value OR function(ctx) returning boolean
- *   - name: string identifier for this condition
- * @param {*} defaultValue - Default value when no conditions match (default: [])
- * @returns {Object} Environment name builder instance with chainable methods
+ * Checks for a promise-like value
+ * @param {*} value - Value to test
+ * @returns {boolean} True if the value has a then() method
+ */
+function isThenable(value) {
+  return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+/**
+ * Loads registered providers that have not been loaded yet
+ * @param {Object} builder - Builder instance
+ * @throws {Error} If a provider throws or is asynchronous
+ */
+function loadProvidersSync(builder) {
+  for (const entry of builder._providers) {
+    if (entry.loaded) {
+      continue;
+    }
+
+    let values;
+    try {
+      values = entry.provider.load();
+    } catch (error) {
+      throw new Error(`Error loading context provider '${entry.provider.name}': ${error.message}`);
+    }
+    if (isThenable(values)) {
+      values.catch(() => {}); // Result is discarded; loadProviders() loads it again
+      throw new Error(
+        `Context provider '${entry.provider.name}' is asynchronous; call loadProviders() or use evaluateAsync()`
+      );
+    }
+    entry.values = values ?? {};
+    entry.loaded = true;
+  }
+}
+
+/**
+ * Loads registered providers, awaiting asynchronous ones
+ * @param {Object} builder - Builder instance
+ * @param {boolean} reload - Reload providers that were already loaded
+ * @returns {Promise<void>} Resolves once every provider is loaded
+ */
+async function loadProvidersAsync(builder, reload) {
+  await Promise.all(builder._providers.map(async (entry) => {
+    if (entry.loaded && !reload) {
+      return;
+    }
+    try {
+      entry.values = (await entry.provider.load()) ?? {};
+      entry.loaded = true;
+    } catch (error) {
+      throw new Error(`Error loading context provider '${entry.provider.name}': ${error.message}`);
+    }
+  }));
+}
+
+/**
+ * Merges context layers in ascending precedence, tracking where each key came from.
+ * Namespaced layers merge into ctx[namespace]; other layers merge at the top level,
+ * so a top-level `env` key replaces the whole env object.
+ * @param {Array} layers - { source, precedence, namespace?, values } entries
+ * @returns {Object} { context, sources } where sources maps 'key' or 'namespace.key' to a source name
+ */
+function mergeLayers(layers) {
+  const context = {};
+  const sources = {};
+  const ordered = [...layers].sort((a, b) => a.precedence - b.precedence);
+
+  for (const { source, namespace, values } of ordered) {
+    if (!values || typeof values !== 'object') {
+      continue;
+    }
+
+    if (namespace) {
+      context[namespace] = { ...context[namespace], ...values };
+      for (const key of Object.keys(values)) {
+        sources[`${namespace}.${key}`] = source;
+      }
+      continue;
+    }
+
+    for (const key of Object.keys(values)) {
+      context[key] = values[key];
+      for (const path of Object.keys(sources)) {
+        if (path.startsWith(`${key}.`)) {
+          delete sources[path];
+        }
+      }
+      sources[key] = source;
+    }
+  }
+
+  return { context, sources };
+}
+
+/**
+ * Lists the provider, accumulated-context and scoped-context layers of a builder
+ * @param {Object} builder - Builder instance
+ * @returns {Array} Layers for mergeLayers()
+ */
+function builderLayers(builder) {
+  const scoped = builder._scope.getStore();
+  return [
+    ...builder._providers.filter(({ loaded }) => loaded).map(({ provider, values }) => ({
+      source: provider.name,
+      precedence: provider.precedence ?? DEFAULT_PROVIDER_PRECEDENCE,
+      namespace: provider.namespace,
+      values
+    })),
+    { source: 'withContext', precedence: 100, values: builder._context },
+    ...(scoped ? [{ source: 'runWithContext', precedence: 150, values: scoped }] : [])
+  ];
+}
+
+/**
+ * Builds the evaluation context with priority: runtime > scoped > accumulated > providers > process.env
+ * (providers may declare any precedence)
+ * @param {Object} builder - Builder instance holding accumulated context
+ * @param {Object} runtimeContext - Runtime context passed to evaluate()
+ * @param {Object} options - Builder options ({ envSchema, clock })
+ * @returns {Object} Merged context handed to condition functions
+ * @throws {AggregateError} If `ctx.env` does not satisfy the builder's env schema
+ */
+function buildEvaluationContext(builder, runtimeContext, { envSchema, clock }) {
+  let ctx;
+
+  if (builder._providers.length === 0) {
+    ctx = {
+      env: process.env,
+      ...builder._context,
+      ...builder._scope.getStore(),
+      ...runtimeContext
+    };
+  } else {
+    loadProvidersSync(builder);
+    ({ context: ctx } = mergeLayers([
+      { source: 'process.env', precedence: 0, namespace: 'env', values: process.env },
+      ...builderLayers(builder),
+      { source: 'runtime', precedence: 200, values: runtimeContext }
+    ]));
+  }
+
+  if (envSchema) {
+    ctx.env = parseEnv(envSchema, ctx.env);
+  }
+  if (clock) {
+    // Non-enumerable so it never shows up in the context itself; read through now(ctx)
+    Object.defineProperty(ctx, CLOCK, { value: clock });
+  }
+  return ctx;
+}
+
+/**
+ * Wraps an error thrown by a condition check with the condition name
+ * @param {Object} condition - Condition that failed
+ * @param {Error} error - Original error, kept as `cause`
+ * @returns {Error} Error describing which condition failed
+ */
+function conditionError(condition, error) {
+  return new Error(
+    `Error evaluating condition '${condition.name}': ${error?.message ?? error}`,
+    { cause: error }
+  );
+}
+
+/**
+ * Policies for function checks that throw (or time out)
+ */
+const ERROR_POLICIES = ['throw', 'treat-as-false', 'treat-as-true', 'collect'];
+
+/**
+ * Applies the error policy of a failed check
+ * @param {Object} condition - Condition whose check failed
+ * @param {Error} error - Error thrown by the check
+ * @param {string} onError - Builder error policy, used when the condition has none
+ * @param {Function} collect - Receives the wrapped error under the 'collect' policy
+ * @param {Object|null} observer - Hook observer notified of the failure
+ * @returns {boolean} Result to use for the condition
+ * @throws {Error} The wrapped error under the 'throw' policy
+ */
+function settleCheckError(condition, error, onError, collect, observer) {
+  const policy = condition.onError ?? onError;
+  const wrapped = conditionError(condition, error);
+  observer?.checkError(condition, wrapped, policy !== 'throw');
+  if (policy === 'throw') {
+    throw wrapped;
+  }
+  if (policy === 'collect') {
+    collect(wrapped);
+  }
+  return policy === 'treat-as-true';
+}
+
+/**
+ * Lists the context paths read through a tracking proxy, leaving out paths that were only
+ * traversed on the way to a deeper read
+ * @param {Map} probes - Probes recorded by trackReads()
+ * @returns {Array<string>} Sorted dotted paths
+ */
+function readPaths(probes) {
+  const paths = new Set();
+  for (const { segments, kind } of probes.values()) {
+    paths.add((kind === 'keys' ? segments.slice(0, -1) : segments).join('.'));
+  }
+  const all = [...paths].filter(Boolean);
+  return all.filter((path) => !all.some((other) => other.startsWith(`${path}.`))).sort();
+}
+
+/**
+ * Default pattern for environment variable names whose values are redacted in traces
+ */
+const DEFAULT_REDACT_PATTERN = /secret|token|passw(or)?d|api[_-]?key|private|credential|auth/i;
+
+/**
+ * Returns a copy of the context with matching `env` values replaced by '[REDACTED]'
+ * @param {Object} ctx - Evaluation context
+ * @param {RegExp} pattern - Pattern tested against each env key
+ * @returns {Object} Context safe to log or serialize
+ */
+function redactContext(ctx, pattern) {
+  if (!ctx.env || typeof ctx.env !== 'object') {
+    return { ...ctx };
+  }
+
+  const env = {};
+  for (const [key, value] of Object.entries(ctx.env)) {
+    env[key] = pattern.test(key) ? '[REDACTED]' : value;
+  }
+  return { ...ctx, env };
+}
+
+/**
+ * Races a promise against a timer, clearing the timer once either settles
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds (no timeout when not a positive number)
+ * @param {Function} onTimeout - Returns the error to reject with when the timer fires
+ * @returns {Promise} Promise settling with the original result or the timeout error
+ */
+function withTimeout(promise, ms, onTimeout) {
+  if (typeof ms !== 'number' || !(ms > 0)) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(onTimeout()), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Builds the error label for a condition, including its rule document location if any
+ * @param {Object} condition - Condition object
+ * @param {number} index - Index in the conditions array
+ * @returns {string} Label such as "Condition at index 2" or "Condition at index 2 (rules[2])"
+ */
+function conditionLabel(condition, index) {
+  return condition.source
+    ? `Condition at index ${index} (${condition.source})`
+    : `Condition at index ${index}`;
+}
+
+/**
+ * Classifies a condition check
+ * @param {*} check - Condition check
+ * @returns {string} 'composite', 'function' or 'static'
+ */
+function checkType(check) {
+  if (isComposite(check)) {
+    return 'composite';
+  }
+  return typeof check === 'function' ? 'function' : 'static';
+}
+
+/**
+ * Records a condition result; a name matches if any condition with that name matched
+ * @param {Map} outcomes - Map of condition name to boolean result
+ * @param {Object} condition - Evaluated condition
+ * @param {boolean} result - Its result
+ */
+function recordOutcome(outcomes, condition, result) {
+  outcomes.set(condition.name, outcomes.get(condition.name) || result);
+}
+
+/**
+ * Evaluates conditions synchronously against a context, in dependency order
+ * @param {Array} conditions - Condition objects
+ * @param {Object} ctx - Evaluation context
+ * @param {Array<number>} order - Condition indices in dependency order
+ * @param {string} onError - Builder error policy for checks that throw
+ * @param {Object|null} observer - Hook observer notified of each condition result
+ * @returns {Object} { matched, errors }: matching condition objects in condition order, and the errors
+ *   collected under the 'collect' policy
+ * @throws {Error} If a function check throws under the 'throw' policy, wrapped with the condition name
+ */
+function matchConditions(conditions, ctx, order, onError, observer = null) {
+  const results = new Array(conditions.length).fill(false);
+  const outcomes = new Map();
+  const errors = [];
+
+  for (const index of order) {
+    const condition = conditions[index];
+    const start = observer ? performance.now() : 0;
+    let result;
+    let checkError = null;
+
+    if (blockingDependency(condition, outcomes) !== null) {
+      // A required condition did not match, or an excluded one did
+      result = false;
+    } else if (isComposite(condition.check)) {
+      result = evaluateComposite(condition.check, outcomes);
+    } else if (typeof condition.check === 'function') {
+      // Execute function with context and coerce to boolean
+      try {
+        result = !!condition.check(ctx);
+      } catch (error) {
+        checkError = error;
+        result = settleCheckError(condition, error, onError, (wrapped) => errors.push(wrapped), observer);
+      }
+    } else {
+      // Coerce static value to boolean
+      result = !!condition.check;
+    }
+
+    results[index] = result;
+    recordOutcome(outcomes, condition, result);
+    observer?.condition({
+      name: condition.name,
+      index,
+      type: checkType(condition.check),
+      result,
+      duration: performance.now() - start,
+      error: checkError
+    });
+  }
+
+  return { matched: conditions.filter((_, index) => results[index]), errors };
+}
+
+/**
+ * Reads and validates explain() options
+ * @param {Object} options - explain() options
+ * @param {Object} builderOptions - Builder options, for the groups and default onConflict
+ * @returns {Object} { redact, track, groups, onConflict }
+ * @throws {Error} If onConflict is invalid
  */
-export default function createEnvironmentNameBuilder(conditions = [], defaultValue = []) {
-  // Validate conditions array
+function explainSettings(options, builderOptions) {
+  const {
+    redact = DEFAULT_REDACT_PATTERN,
+    trackReads: track = false,
+    onConflict = builderOptions.onConflict
+  } = options || {};
+  if (onConflict !== 'throw' && onConflict !== 'first') {
+    throw new Error("Option 'onConflict' must be 'throw' or 'first'");
+  }
+  return { redact, track, groups: builderOptions.groups, onConflict };
+}
+
+/**
+ * Decides each condition for explain() and explainAsync(). Function checks are handed to the caller,
+ * which runs them (awaiting or not) and resumes the generator with the raw value or throws the error into it.
+ * @param {Array} conditions - Condition objects
+ * @param {Object} ctx - Evaluation context
+ * @param {Array<number>} order - Condition indices in dependency order
+ * @param {boolean} track - Record the context paths each function check reads
+ * @param {string} onError - Builder error policy, deciding the result of checks that throw
+ * @yields {Object} { check, ctx, timeout } for each function check to run
+ * @returns {Array<Object>} One entry per condition, in condition order
+ */
+function* explainConditions(conditions, ctx, order, track, onError) {
+  const entries = new Array(conditions.length);
+  const outcomes = new Map();
+
+  for (const index of order) {
+    const condition = conditions[index];
+    const entry = {
+      name: condition.name,
+      type: checkType(condition.check),
+      raw: undefined,
+      result: false,
+      duration: 0,
+      error: null,
+      blockedBy: blockingDependency(condition, outcomes)
+    };
+    entries[index] = entry;
+
+    if (entry.blockedBy !== null) {
+      // Check not run: a required condition did not match, or an excluded one did
+      recordOutcome(outcomes, condition, false);
+      continue;
+    }
+
+    if (entry.type === 'composite') {
+      entry.raw = evaluateComposite(condition.check, outcomes);
+      entry.result = entry.raw;
+    } else if (entry.type === 'static') {
+      entry.raw = condition.check;
+      entry.result = !!condition.check;
+    } else {
+      const start = performance.now();
+      const tracked = track ? trackReads(ctx) : null;
+      try {
+        entry.raw = yield { check: condition.check, ctx: tracked ? tracked.proxy : ctx, timeout: condition.timeout };
+        entry.result = !!entry.raw;
+        if (isRollout(condition.check)) {
+          entry.bucket = condition.check.bucket(ctx);
+        }
+      } catch (error) {
+        entry.error = error;
+        // Same outcome evaluate() would use, without throwing
+        entry.result = (condition.onError ?? onError) === 'treat-as-true';
+      }
+      entry.duration = performance.now() - start;
+      if (tracked) {
+        entry.reads = readPaths(tracked.probes);
+      }
+    }
+
+    recordOutcome(outcomes, condition, entry.result);
+  }
+
+  return entries;
+}
+
+/**
+ * Builds the explain() result from the condition entries
+ * @param {Object} builder - Builder instance
+ * @param {Array} conditions - Condition objects the entries describe
+ * @param {Array<Object>} entries - Entries from explainConditions()
+ * @param {Object} ctx - Evaluation context
+ * @param {Object} settings - Result of explainSettings()
+ * @param {string} resultFormat - 'tuples' or 'objects'
+ * @returns {Object} { matches, conditions, context }
+ * @throws {Error} If an exclusive group has tied matches and onConflict is 'throw'
+ */
+function explainReport(builder, conditions, entries, ctx, settings, resultFormat) {
+  const matched = conditions.filter((_, index) => entries[index].result);
+  const matches = formatMatches(applyGroups(matched, settings), resultFormat, ctx);
+
+  return {
+    matches: matches.length > 0 ? matches : builder.defaultValue,
+    conditions: entries,
+    context: redactContext(ctx, settings.redact)
+  };
+}
+
+/**
+ * Reads a condition's priority (defaults to 0)
+ * @param {Object} condition - Condition object
+ * @returns {number} Priority, higher wins
+ */
+function priorityOf(condition) {
+  return condition.priority ?? 0;
+}
+
+/**
+ * Drops all but the highest-priority match of each exclusive group
+ * @param {Array} matched - Matching condition objects in condition order
+ * @param {Object} options - Builder options ({ groups, onConflict })
+ * @returns {Array} Surviving condition objects in condition order
+ * @throws {Error} If an exclusive group has several matches sharing the top priority and onConflict is 'throw'
+ */
+function applyGroups(matched, { groups, onConflict }) {
+  const byGroup = new Map();
+  for (const condition of matched) {
+    if (groups[condition.group] === 'exclusive') {
+      if (!byGroup.has(condition.group)) {
+        byGroup.set(condition.group, []);
+      }
+      byGroup.get(condition.group).push(condition);
+    }
+  }
+
+  const losers = new Set();
+  for (const [group, members] of byGroup) {
+    const top = Math.max(...members.map(priorityOf));
+    const tied = members.filter((condition) => priorityOf(condition) === top);
+    if (tied.length > 1 && onConflict === 'throw') {
+      throw new Error(
+        `Conflicting matches in exclusive group '${group}' at priority ${top}: ` +
+        tied.map(({ name }) => `'${name}'`).join(', ')
+      );
+    }
+    // Ties resolve to the earliest condition
+    members.filter((condition) => condition !== tied[0]).forEach((condition) => losers.add(condition));
+  }
+
+  return matched.filter((condition) => !losers.has(condition));
+}
+
+// Carries the context and providers of the builder a fork() is created from
+const FORK_STATE = Symbol('forkState');
+
+/**
+ * Creates a builder sharing another builder's default value and options (and, unless
+ * overridden, its conditions)
+ * @param {Object} builder - Builder to fork
+ * @param {Object} state - Overrides for the fork's { conditions, context, providers, options }
+ * @returns {Object} New builder instance with its own context and provider cache
+ */
+function forkBuilder(builder, {
+  conditions = builder.conditions,
+  context = builder._context,
+  providers = builder._providers,
+  options = {}
+} = {}) {
+  // A fork of a frozen builder gets a writable copy of its conditions
+  const ownConditions = Object.isFrozen(conditions) ? [...conditions] : conditions;
+  return createEnvironmentNameBuilder(ownConditions, builder.defaultValue, {
+    ...builder._options,
+    ...options,
+    [FORK_STATE]: {
+      context: { ...context },
+      providers: providers.map((entry) => ({ ...entry })),
+      scope: builder._scope
+    }
+  });
+}
+
+/**
+ * Makes a builder's conditions, default value and context read-only. The conditions are replaced by
+ * a frozen copy, so the array the caller passed in stays writable.
+ * @param {Object} builder - Builder instance
+ */
+function lockBuilder(builder) {
+  Object.freeze(builder._context);
+  builder.conditions = Object.freeze([...builder.conditions]);
+  for (const key of ['conditions', 'defaultValue', '_context', '_providers', '_options']) {
+    Object.defineProperty(builder, key, { writable: false, configurable: false });
+  }
+}
+
+/**
+ * Passes an error to an onChange() subscription's onError handler. Errors are dropped when there is
+ * no handler or the handler throws, so they never escape into withContext() or a watch() timer.
+ * @param {Object} subscription - { listener, onError }
+ * @param {Error} error - Error thrown while re-evaluating or by the listener
+ */
+function reportSubscriptionError(subscription, error) {
+  try {
+    subscription.onError?.(error);
+  } catch {
+    // Nowhere left to report it
+  }
+}
+
+/**
+ * Lists the distinct condition names in an evaluate() result
+ * @param {Object} builder - Builder instance
+ * @param {*} result - Result of evaluate()
+ * @returns {Array<string>} Matched names (empty when the default value was returned)
+ */
+function matchedNames(builder, result) {
+  return matchesOf(result) === builder.defaultValue ? [] : names(result);
+}
+
+/**
+ * Validates condition objects
+ * @param {Array} conditions - Condition objects
+ * @throws {Error} If conditions is not an array or a condition is invalid
+ */
+function validateConditions(conditions) {
   if (!Array.isArray(conditions)) {
     throw new Error('Conditions must be an array');
   }
 
-  // Validate each condition has required properties
   for (let i = 0; i < conditions.length; i++) {
     const condition = conditions[i];
     if (!condition || typeof condition !== 'object') {
       throw new Error(`Condition at index ${i} must be an object`);
     }
+    const label = conditionLabel(condition, i);
     if (!('check' in condition)) {
-      throw new Error(`Condition at index ${i} missing required property 'check'`);
+      throw new Error(`${label} missing required property 'check'`);
     }
     if (!('name' in condition)) {
-      throw new Error(`Condition at index ${i} missing required property 'name'`);
+      throw new Error(`${label} missing required property 'name'`);
     }
     // Note: We allow any value for 'check' - it will be coerced to boolean during evaluation
+    try {
+      validateMatcher(condition.check);
+    } catch (error) {
+      throw new Error(`${label} has an invalid check: ${error.message}`);
+    }
+    if ('timeout' in condition && !(typeof condition.timeout === 'number' && condition.timeout > 0)) {
+      throw new Error(`${label} 'timeout' must be a positive number`);
+    }
+    if ('priority' in condition && !Number.isFinite(condition.priority)) {
+      throw new Error(`${label} 'priority' must be a finite number`);
+    }
+    if ('meta' in condition && (condition.meta === null || typeof condition.meta !== 'object' || Array.isArray(condition.meta))) {
+      throw new Error(`${label} 'meta' must be an object`);
+    }
+    if ('version' in condition && typeof condition.version !== 'string' && !Number.isFinite(condition.version)) {
+      throw new Error(`${label} 'version' must be a string or number`);
+    }
+    if ('onError' in condition && !ERROR_POLICIES.includes(condition.onError)) {
+      throw new Error(`${label} 'onError' must be 'throw', 'treat-as-false', 'treat-as-true' or 'collect'`);
+    }
+    if ('group' in condition && (typeof condition.group !== 'string' || condition.group === '')) {
+      throw new Error(`${label} 'group' must be a non-empty string`);
+    }
+    for (const key of ['requires', 'excludes']) {
+      if (key in condition && !(Array.isArray(condition[key]) && condition[key].every((name) => typeof name === 'string'))) {
+        throw new Error(`${label} '${key}' must be an array of condition names`);
+      }
+    }
   }
+}
 
+/**
+ * Prepares a condition array for evaluation
+ * @param {Array} conditions - Condition objects
+ * @param {string} onError - Builder error policy
+ * @returns {Object} { conditions, entries, order, collecting } where `entries` is a copy used to detect
+ *   changes, `order` lists condition indices in dependency order, and `collecting` is true when any
+ *   'collect' policy applies (results are then { matches, errors })
+ * @throws {Error} If a condition is invalid or the dependencies are unknown or circular
+ */
+function createPlan(conditions, onError) {
+  validateConditions(conditions);
   return {
+    conditions,
+    entries: [...conditions],
+    order: dependencyOrder(conditions, (i) => conditionLabel(conditions[i], i)),
+    collecting: onError === 'collect' || conditions.some((condition) => condition.onError === 'collect')
+  };
+}
+
+/**
+ * Checks whether a plan still describes a condition array
+ * @param {Object} plan - Result of createPlan()
+ * @param {Array} conditions - Current builder.conditions
+ * @returns {boolean} True if it is the same array with the same entries
+ */
+function planMatches(plan, conditions) {
+  return plan.conditions === conditions &&
+    plan.entries.length === conditions.length &&
+    plan.entries.every((condition, index) => condition === conditions[index]);
+}
+
+/**
+ * Creates an environment name builder instance
+ * @param {Array} conditions - Array of condition objects with { check, name } structure
+ *   - check: boolean value OR function(ctx) returning boolean
+ *   - name: string identifier for this condition
+ *   - priority: optional number used by exclusive groups and resolve() (default: 0, higher wins)
+ *   - group: optional group name; see options.groups
+ *   - requires / excludes: optional arrays of condition names that must / must not match
+ *   - meta: optional object (owner, endpoint, tags, ...) returned with matches in the 'objects' result format
+ *   - onError: optional error policy for this condition; see options.onError
+ *   - version: optional string or number recorded in evaluation snapshots
+ *   A `check` built with allOf(), anyOf() or not() is evaluated over the outcomes of other conditions.
+ * @param {*} defaultValue - Default value when no conditions match (default: [])
+ * @param {Object} options - Builder options
+ * @param {Object} options.groups - Map of group name to 'exclusive' (only the highest-priority match survives)
+ *   or 'additive' (every match survives, the default for undeclared groups)
+ * @param {string} options.onConflict - 'throw' (default) or 'first' when an exclusive group has several
+ *   matches sharing the top priority; 'first' keeps the earliest condition
+ * @param {Object} options.envSchema - Map of env variable name to type ('boolean', 'integer', 'enum', 'url',
+ *   'list', 'duration', 'string') or { type, required, default, values, separator }; checks then receive typed
+ *   values in ctx.env
+ * @param {boolean|Object} options.cache - Memoize evaluate()/resolve() results keyed on the context values
+ *   conditions read; true or { maxSize } (default: false). Checks must depend only on ctx.
+ * @param {Function} options.clock - Returns the current time (Date or timestamp) for schedule() checks and
+ *   now(ctx) (default: the real clock)
+ * @param {string} options.resultFormat - 'tuples' (default) for [true, name] matches, or 'objects' for
+ *   { name, meta, reason } matches with names(), has(name) and first() methods
+ * @param {string} options.onError - Policy for function checks that throw or time out: 'throw' (default),
+ *   'treat-as-false', 'treat-as-true' or 'collect' (treated as false; evaluate() and evaluateAsync() then
+ *   return { matches, errors }). A condition's own `onError` takes precedence.
+ * @param {boolean} options.immutable - Never mutate the builder: withContext(), resetContext() and
+ *   withProvider() return a new builder instead, and the builder is frozen (default: false)
+ * @param {Object|Array<Object>} options.hooks - Lifecycle hooks called by evaluate(), evaluateAsync() and
+ *   resolve(): { beforeEvaluate, afterCondition, afterEvaluate, onError }, or an array of such objects
+ *   (e.g. createMetrics() and createTracing() adapters). Errors thrown by hooks are ignored.
+ * @returns {Object} Environment name builder instance with chainable methods
+ */
+export default function createEnvironmentNameBuilder(conditions = [], defaultValue = [], options = {}) {
+  // Validate options
+  const {
+    groups = {},
+    onConflict = 'throw',
+    envSchema,
+    cache: cacheOption = false,
+    immutable = false,
+    clock,
+    resultFormat = 'tuples',
+    onError = 'throw',
+    hooks: hooksOption
+  } = options || {};
+  const { [FORK_STATE]: initialState, ...ownOptions } = options || {};
+  for (const [group, mode] of Object.entries(groups)) {
+    if (mode !== 'exclusive' && mode !== 'additive') {
+      throw new Error(`Group '${group}' must be 'exclusive' or 'additive'`);
+    }
+  }
+  if (onConflict !== 'throw' && onConflict !== 'first') {
+    throw new Error("Option 'onConflict' must be 'throw' or 'first'");
+  }
+  if (envSchema !== undefined) {
+    validateEnvSchema(envSchema);
+  }
+  if (typeof immutable !== 'boolean') {
+    throw new Error("Option 'immutable' must be a boolean");
+  }
+  if (!RESULT_FORMATS.includes(resultFormat)) {
+    throw new Error("Option 'resultFormat' must be 'tuples' or 'objects'");
+  }
+  if (clock !== undefined && typeof clock !== 'function') {
+    throw new Error("Option 'clock' must be a function returning a Date or timestamp");
+  }
+  if (!ERROR_POLICIES.includes(onError)) {
+    throw new Error("Option 'onError' must be 'throw', 'treat-as-false', 'treat-as-true' or 'collect'");
+  }
+  const hooks = normalizeHooks(hooksOption);
+  const builderOptions = { groups, onConflict, envSchema, clock, onError };
+  const cache = cacheOption
+    ? createEvaluationCache({ ...(cacheOption === true ? {} : cacheOption), volatileKeys: [CLOCK] })
+    : null;
+
+  // Validate the conditions and order them so each one is evaluated after the conditions it depends on.
+  // The plan is rebuilt (and cached results dropped) when builder.conditions is reassigned or changed in place.
+  let plan = createPlan(conditions, onError);
+  const currentPlan = (builder) => {
+    if (!planMatches(plan, builder.conditions)) {
+      plan = createPlan(builder.conditions, onError);
+      cache?.invalidate();
+    }
+    return plan;
+  };
+
+  // Runs the synchronous checks, through the cache when enabled (cached results skip afterCondition hooks)
+  const matchCached = ({ conditions: current, order }, ctx, observer) => (cache
+    ? cache.match(ctx, (tracked) => matchConditions(current, tracked, order, onError, observer))
+    : matchConditions(current, ctx, order, onError, observer));
+
+  // With a 'collect' policy anywhere, results carry the collected errors
+  const toResult = (builder, matched, errors, collecting, ctx) => {
+    const matches = formatMatches(applyGroups(matched, builderOptions), resultFormat, ctx);
+    const result = matches.length > 0 ? matches : builder.defaultValue;
+    return collecting ? { matches: result, errors } : result;
+  };
+
+  // Describes an evaluate() or evaluateAsync() result for afterEvaluate hooks
+  const summarize = (builder, result, collecting) => ({
+    names: matchedNames(builder, result),
+    defaulted: matchesOf(result) === builder.defaultValue,
+    errors: collecting ? result.errors : [],
+    result
+  });
+
+  // Frozen builders reject context changes; immutable builders are always frozen
+  let frozen = immutable;
+  const assertMutable = (method) => {
+    if (frozen) {
+      throw new Error(`Cannot call ${method}() on a frozen builder; use fork() or derive() instead`);
+    }
+  };
+
+  const builder = {
     conditions,
     defaultValue,
+    _options: ownOptions, // Internal options the builder was created with, reused by fork() and composition
     _context: {}, // Internal accumulated context storage
+    _providers: [], // Internal registered context providers: { provider, values, loaded }
+    _subscriptions: [], // Internal onChange() subscriptions: { listener, onError }
+    _lastNames: null, // Internal names from the last change check, null before the first one
+    _scope: new AsyncLocalStorage(), // Internal runWithContext() storage, shared with forks
 
     /**
      * Adds or merges context that will be available to condition functions
      * @param {Object} ctx - Context object to merge with accumulated context
-     * @returns {Object} Builder instance for method chaining
+     * @returns {Object} Builder instance for method chaining (a new builder in immutable mode)
+     * @throws {Error} If the builder is frozen
      */
     withContext(ctx = {}) {
+      if (immutable) {
+        return this.derive(ctx);
+      }
+      assertMutable('withContext');
       if (ctx && typeof ctx === 'object' && !Array.isArray(ctx)) {
         this._context = { ...this._context, ...ctx };
+        this.invalidate().refresh();
       }
       return this;
     },
 
+    /**
+     * Registers a context provider. Providers are loaded on first evaluation and cached;
+     * asynchronous providers require loadProviders() or evaluateAsync().
+     * @param {Object} provider - { name, load(), namespace?, precedence? }
+     *   - load: returns (or resolves to) an object of context values
+     *   - namespace: place values under ctx[namespace] instead of the top level
+     *   - precedence: higher wins (process.env 0, providers 50 by default, withContext 100, runtime 200)
+     * @returns {Object} Builder instance for method chaining (a new builder in immutable mode)
+     * @throws {Error} If the builder is frozen
+     */
+    withProvider(provider) {
+      validateProvider(provider);
+      if (immutable) {
+        return forkBuilder(this, {
+          providers: [...this._providers, { provider, values: {}, loaded: false }]
+        });
+      }
+      assertMutable('withProvider');
+      this._providers.push({ provider, values: {}, loaded: false });
+      this.invalidate();
+      return this;
+    },
+
+    /**
+     * Loads (or reloads) every registered provider, awaiting asynchronous ones
+     * @returns {Promise<Object>} Builder instance once all providers are loaded
+     */
+    async loadProviders() {
+      await loadProvidersAsync(this, true);
+      this.invalidate().refresh();
+      return this;
+    },
+
     /**
      * Clears all accumulated context
-     * @returns {Object} Builder instance for method chaining
+     * @returns {Object} Builder instance for method chaining (a new builder in immutable mode)
+     * @throws {Error} If the builder is frozen
      */
     resetContext() {
+      if (immutable) {
+        return forkBuilder(this, { context: {} });
+      }
+      assertMutable('resetContext');
       this._context = {};
+      this.invalidate().refresh();
+      return this;
+    },
+
+    /**
+     * Creates an independent builder sharing the same conditions, default value and options, with a copy
+     * of the accumulated context and providers. The fork has no onChange() subscriptions and is not frozen
+     * unless the builder is immutable; runWithContext() scopes apply to both builders.
+     * @returns {Object} New builder instance
+     */
+    fork() {
+      return forkBuilder(this);
+    },
+
+    /**
+     * Forks the builder and merges extra context into the fork, leaving this builder unchanged
+     * @param {Object} ctx - Context object to merge with the copied accumulated context
+     * @returns {Object} New builder instance
+     */
+    derive(ctx = {}) {
+      const valid = ctx && typeof ctx === 'object' && !Array.isArray(ctx);
+      return forkBuilder(this, { context: valid ? { ...this._context, ...ctx } : this._context });
+    },
+
+    /**
+     * Freezes the builder: withContext(), resetContext() and withProvider() throw, and the conditions,
+     * defaultValue and accumulated context become read-only. Use fork() or derive() for variants.
+     * @returns {Object} Builder instance for method chaining
+     */
+    freeze() {
+      if (!frozen) {
+        frozen = true;
+        lockBuilder(this);
+      }
+      return this;
+    },
+
+    /**
+     * Reports whether the builder is frozen (immutable builders always are)
+     * @returns {boolean} True if context changes are rejected
+     */
+    isFrozen() {
+      return frozen;
+    },
+
+    /**
+     * Runs a function with context scoped to its async execution (e.g. one request). Every evaluation
+     * of this builder or its forks inside that scope sees the context above accumulated context and
+     * below runtime context. Nested scopes merge over the outer scope. Allowed on frozen builders.
+     * @param {Object} ctx - Scoped context object
+     * @param {Function} fn - Function to run; may be async
+     * @returns {*} Return value of fn
+     */
+    runWithContext(ctx, fn) {
+      if (!ctx || typeof ctx !== 'object' || Array.isArray(ctx)) {
+        throw new Error('runWithContext() expects a context object');
+      }
+      if (typeof fn !== 'function') {
+        throw new Error('runWithContext() expects a function');
+      }
+      return this._scope.run({ ...this._scope.getStore(), ...ctx }, fn);
+    },
+
+    /**
+     * Subscribes to changes of the matched environment names. Changes are detected by refresh(),
+     * which runs after withContext(), resetContext() and loadProviders(), and on watch() schedules.
+     * @param {Function} listener - Called with { added, removed, current } where added/removed are
+     *   name arrays and current is the new evaluate() result
+     * @param {Object} options - Subscription options
+     * @param {Function} options.onError - Called with errors thrown while re-evaluating or by the listener
+     *   (otherwise ignored, so a failing listener never breaks withContext() or watch())
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener, options = {}) {
+      if (typeof listener !== 'function') {
+        throw new Error('onChange listener must be a function');
+      }
+
+      const subscription = { listener, onError: options?.onError };
+      this._subscriptions.push(subscription);
+
+      // Establish the baseline the first change is measured against
+      if (this._lastNames === null) {
+        try {
+          this._lastNames = matchedNames(this, this.evaluate());
+        } catch (error) {
+          reportSubscriptionError(subscription, error);
+        }
+      }
+
+      return () => {
+        const index = this._subscriptions.indexOf(subscription);
+        if (index !== -1) {
+          this._subscriptions.splice(index, 1);
+        }
+      };
+    },
+
+    /**
+     * Re-evaluates and notifies onChange() listeners if the matched names differ from the last check
+     * @returns {Object|null} The emitted { added, removed, current } event, or null if nothing changed
+     *   (or there are no listeners)
+     */
+    refresh() {
+      if (this._subscriptions.length === 0) {
+        return null;
+      }
+
+      let current;
+      try {
+        current = this.evaluate();
+      } catch (error) {
+        for (const subscription of [...this._subscriptions]) {
+          reportSubscriptionError(subscription, error);
+        }
+        return null;
+      }
+
+      const names = matchedNames(this, current);
+      const previous = this._lastNames ?? [];
+      const added = names.filter((name) => !previous.includes(name));
+      const removed = previous.filter((name) => !names.includes(name));
+      this._lastNames = names;
+
+      if (added.length === 0 && removed.length === 0) {
+        return null;
+      }
+
+      const event = { added, removed, current };
+      for (const subscription of [...this._subscriptions]) {
+        try {
+          subscription.listener(event);
+        } catch (error) {
+          reportSubscriptionError(subscription, error);
+        }
+      }
+      return event;
+    },
+
+    /**
+     * Re-evaluates on a schedule or external trigger and notifies onChange() listeners of changes
+     * @param {number|Function} intervalOrTrigger - Interval in milliseconds, or a function receiving
+     *   a `refresh` callback (e.g. to call from fs.watch) and optionally returning a cleanup function
+     * @returns {Function} Stop function; interval timers are unref'd so they never keep the process alive
+     */
+    watch(intervalOrTrigger) {
+      let cleanup;
+
+      if (typeof intervalOrTrigger === 'number') {
+        if (!(intervalOrTrigger > 0)) {
+          throw new Error('watch() interval must be a positive number');
+        }
+        const timer = setInterval(() => this.refresh(), intervalOrTrigger);
+        timer.unref?.();
+        cleanup = () => clearInterval(timer);
+      } else if (typeof intervalOrTrigger === 'function') {
+        const result = intervalOrTrigger(() => this.refresh());
+        cleanup = typeof result === 'function' ? result : () => {};
+      } else {
+        throw new Error('watch() expects an interval in milliseconds or a trigger function');
+      }
+
+      let stopped = false;
+      return () => {
+        if (!stopped) {
+          stopped = true;
+          cleanup();
+        }
+      };
+    },
+
+    /**
+     * Drops every cached evaluation result (no-op unless the cache option is enabled).
+     * Called automatically by withContext(), resetContext(), withProvider() and loadProviders().
+     * @returns {Object} Builder instance for method chaining
+     */
+    invalidate() {
+      cache?.invalidate();
       return this;
     },
 
     /**
-     * Evaluates all conditions and returns matches as [boolean, name] tuples
+     * Reports evaluation cache statistics
+     * @returns {Object} { enabled, hits, misses, size }
+     */
+    cacheStats() {
+      return cache
+        ? { enabled: true, ...cache.stats() }
+        : { enabled: false, hits: 0, misses: 0, size: 0 };
+    },
+
+    /**
+     * Evaluates all conditions and returns matches as [boolean, name] tuples (or match objects)
      * @param {Object} runtimeContext - Optional runtime context to merge (overrides accumulated context)
-     * @returns {Array} Array of [true, name] for all matching conditions, or defaultValue if no matches
+     * @returns {Array} Array of [true, name] (or { name, meta, reason } objects in the 'objects' result format)
+     *   for all matching conditions, or defaultValue if no matches; { matches, errors } under the 'collect'
+     *   error policy
      */
     evaluate(runtimeContext = {}) {
-      // Build final context with priority: runtime > accumulated > process.env
-      const ctx = {
-        env: process.env,
-        ...this._context,
-        ...runtimeContext
-      };
+      const observer = startObservation(hooks, 'evaluate', runtimeContext);
+      try {
+        const ctx = buildEvaluationContext(this, runtimeContext, builderOptions);
+        const current = currentPlan(this);
+        const { matched, errors } = matchCached(current, ctx, observer);
+        const result = toResult(this, matched, errors, current.collecting, ctx);
+        observer?.finish(summarize(this, result, current.collecting));
+        return result;
+      } catch (error) {
+        observer?.fail(error);
+        throw error;
+      }
+    },
+
+    /**
+     * Evaluates all conditions, awaiting function checks that return promises.
+     * Function checks run concurrently; results keep the order of `conditions`.
+     * @param {Object} runtimeContext - Optional runtime context to merge (overrides accumulated context)
+     * @param {Object} options - Evaluation options
+     * @param {number} options.timeout - Overall timeout in milliseconds for the whole evaluation
+     * @param {number} options.conditionTimeout - Default timeout in milliseconds for each function check
+     *   (a condition's own `timeout` property takes precedence)
+     * @returns {Promise<Array>} Array of [true, name] (or { name, meta, reason } objects in the 'objects' result format)
+     *   for all matching conditions, or defaultValue if no matches; { matches, errors } under the 'collect'
+     *   error policy
+     */
+    async evaluateAsync(runtimeContext = {}, options = {}) {
+      const observer = startObservation(hooks, 'evaluateAsync', runtimeContext);
+      try {
+        await loadProvidersAsync(this, false);
+        const ctx = buildEvaluationContext(this, runtimeContext, builderOptions);
+        const { conditions: current, order, collecting } = currentPlan(this);
+        const { timeout, conditionTimeout } = options || {};
+        const settled = new Array(current.length).fill(false);
+        const outcomes = new Map();
+        const pending = new Array(current.length);
+        const pendingByName = new Map();
+        const errors = new Array(current.length);
 
-      // Evaluate all conditions
-      const matches = [];
+        // Start in dependency order so each condition can await the conditions it references
+        for (const index of order) {
+          const condition = current[index];
+          const dependencies = dependencyNames(condition).flatMap((name) => pendingByName.get(name));
 
-      for (const condition of this.conditions) {
-        let result;
+          pending[index] = (async () => {
+            try {
+              await Promise.all(dependencies);
+              const start = observer ? performance.now() : 0;
+              let result;
+              let checkError = null;
 
-        if (typeof condition.check === 'function') {
-          // Execute function with context and coerce to boolean
-          try {
-            result = !!condition.check(ctx);
-          } catch (error) {
-            throw new Error(
-              `Error evaluating condition '${condition.name}': ${error.message}`
-            );
+              if (blockingDependency(condition, outcomes) !== null) {
+                result = false;
+              } else if (isComposite(condition.check)) {
+                result = evaluateComposite(condition.check, outcomes);
+              } else if (typeof condition.check !== 'function') {
+                result = !!condition.check;
+              } else {
+                const limit = condition.timeout ?? conditionTimeout;
+                try {
+                  const value = await withTimeout(
+                    Promise.resolve().then(() => condition.check(ctx)),
+                    limit,
+                    () => new Error(`Timed out after ${limit}ms`)
+                  );
+                  result = !!value;
+                } catch (error) {
+                  checkError = error;
+                  result = settleCheckError(condition, error, onError, (wrapped) => {
+                    errors[index] = wrapped;
+                  }, observer);
+                }
+              }
+
+              recordOutcome(outcomes, condition, result);
+              observer?.condition({
+                name: condition.name,
+                index,
+                type: checkType(condition.check),
+                result,
+                duration: performance.now() - start,
+                error: checkError
+              });
+              return result;
+            } finally {
+              settled[index] = true;
+            }
+          })();
+
+          if (!pendingByName.has(condition.name)) {
+            pendingByName.set(condition.name, []);
           }
-        } else {
-          // Coerce static value to boolean
-          result = !!condition.check;
+          pendingByName.get(condition.name).push(pending[index]);
         }
 
-        if (result) {
-          matches.push([true, condition.name]);
+        const results = await withTimeout(Promise.all(pending), timeout, () => {
+          const index = order.find((i) => !settled[i]) ?? 0;
+          return conditionError(
+            current[index],
+            new Error(`Evaluation timed out after ${timeout}ms`)
+          );
+        });
+
+        // Collected errors are listed in condition order, whatever order the checks failed in
+        const collected = errors.filter(Boolean);
+        const result = toResult(this, current.filter((_, index) => results[index]), collected, collecting, ctx);
+        observer?.finish(summarize(this, result, collecting));
+        return result;
+      } catch (error) {
+        observer?.fail(error);
+        throw error;
+      }
+    },
+
+    /**
+     * Evaluates all conditions without throwing and reports how each one was decided
+     * @param {Object} runtimeContext - Optional runtime context to merge (overrides accumulated context)
+     * @param {Object} options - Explain options
+     * @param {RegExp} options.redact - Pattern for `env` keys whose values are redacted in the returned context
+     * @param {boolean} options.trackReads - Record the context paths each function check reads (default: false)
+     * @param {string} options.onConflict - Overrides the builder's onConflict for this call ('throw' or 'first')
+     * @returns {Object} { matches, conditions, context } where `conditions` holds one entry per condition:
+     *   { name, type: 'static'|'function'|'composite', raw, result, duration, error, blockedBy }, plus
+     *   `bucket` ({ key, bucket, variant? } or null) for rollout() and variants() checks, and `reads`
+     *   (dotted paths such as 'geo.region') for function checks when options.trackReads is set.
+     *   A check that threw matches only under the 'treat-as-true' error policy.
+     */
+    explain(runtimeContext = {}, options = {}) {
+      const ctx = buildEvaluationContext(this, runtimeContext, builderOptions);
+      const settings = explainSettings(options, builderOptions);
+      const { conditions: current, order } = currentPlan(this);
+
+      const steps = explainConditions(current, ctx, order, settings.track, onError);
+      let step = steps.next();
+      while (!step.done) {
+        const { check, ctx: checkCtx } = step.value;
+        let raw;
+        try {
+          raw = check(checkCtx);
+        } catch (error) {
+          step = steps.throw(error);
+          continue;
         }
+        step = steps.next(raw);
       }
 
-      return matches.length > 0 ? matches : this.defaultValue;
+      return explainReport(this, current, step.value, ctx, settings, resultFormat);
     },
 
     /**
-     * Gets the current accumulated context (for debugging/inspection)
-     * @returns {Object} Copy of accumulated context
+     * Like explain(), but loads async providers and awaits function checks that return promises,
+     * so `raw` and `result` match what evaluateAsync() sees. Checks run one at a time in dependency order.
+     * @param {Object} runtimeContext - Optional runtime context to merge (overrides accumulated context)
+     * @param {Object} options - explain() options, plus:
+     * @param {number} options.conditionTimeout - Default timeout in milliseconds for each function check
+     *   (a condition's own `timeout` property takes precedence)
+     * @returns {Promise<Object>} Same report as explain()
      */
-    getContext() {
-      return { ...this._context };
+    async explainAsync(runtimeContext = {}, options = {}) {
+      await loadProvidersAsync(this, false);
+      const ctx = buildEvaluationContext(this, runtimeContext, builderOptions);
+      const settings = explainSettings(options, builderOptions);
+      const { conditionTimeout } = options || {};
+      const { conditions: current, order } = currentPlan(this);
+
+      const steps = explainConditions(current, ctx, order, settings.track, onError);
+      let step = steps.next();
+      while (!step.done) {
+        const { check, ctx: checkCtx, timeout } = step.value;
+        const limit = timeout ?? conditionTimeout;
+        let raw;
+        try {
+          raw = await withTimeout(
+            Promise.resolve().then(() => check(checkCtx)),
+            limit,
+            () => new Error(`Timed out after ${limit}ms`)
+          );
+        } catch (error) {
+          step = steps.throw(error);
+          continue;
+        }
+        step = steps.next(raw);
+      }
+
+      return explainReport(this, current, step.value, ctx, settings, resultFormat);
+    },
+
+    /**
+     * Evaluates all conditions and returns the single primary environment name.
+     * The highest-priority surviving match wins; ties go to the earliest condition.
+     * Errors collected under the 'collect' policy are dropped.
+     * @param {Object} runtimeContext - Optional runtime context to merge (overrides accumulated context)
+     * @returns {string|null} Name of the winning condition, or null if no conditions match
+     */
+    resolve(runtimeContext = {}) {
+      const observer = startObservation(hooks, 'resolve', runtimeContext);
+      try {
+        const ctx = buildEvaluationContext(this, runtimeContext, builderOptions);
+        const { matched: candidates, errors } = matchCached(currentPlan(this), ctx, observer);
+        const matched = applyGroups(candidates, builderOptions);
+
+        let winner = null;
+        for (const condition of matched) {
+          if (!winner || priorityOf(condition) > priorityOf(winner)) {
+            winner = condition;
+          }
+        }
+        const result = winner ? winner.name : null;
+        observer?.finish({
+          names: [...new Set(matched.map(({ name }) => name))],
+          defaulted: winner === null,
+          errors,
+          result
+        });
+        return result;
+      } catch (error) {
+        observer?.fail(error);
+        throw error;
+      }
+    },
+
+    /**
+     * Gets the current accumulated context (for debugging/inspection), including loaded provider values
+     * and any runWithContext() scope active for the caller
+     * @param {Object} options - Inspection options
+     * @param {boolean} options.sources - Also report which source each key came from
+     * @returns {Object} Copy of accumulated context, or { context, sources } when options.sources is set;
+     *   sources maps 'key' (or 'namespace.key' for namespaced providers) to a provider name, 'withContext'
+     *   or 'runWithContext'
+     */
+    getContext(options = {}) {
+      loadProvidersSync(this);
+      const { context, sources } = mergeLayers(builderLayers(this));
+      return options?.sources ? { context, sources } : context;
     }
   };
+
+  if (initialState) {
+    builder._context = initialState.context;
+    builder._providers = initialState.providers;
+    builder._scope = initialState.scope;
+  }
+  if (immutable) {
+    lockBuilder(builder);
+  }
+  return builder;
+}
+
+/**
+ * Adds conditions to a builder or condition array. Names already present must be marked
+ * `override: true` (replace the inherited condition) or `disabled: true` (remove it).
+ * @param {Object|Array} base - Builder instance or array of conditions
+ * @param {Array} moreConditions - Conditions to add, override or disable
+ * @returns {Object|Array} New builder (sharing the base's default value, options, context and providers)
+ *   when base is a builder, otherwise a new condition array
+ * @throws {Error} On duplicate names or overrides of unknown conditions
+ */
+export function extend(base, moreConditions) {
+  const conditions = extendConditions(conditionsOf(base), moreConditions);
+  return Array.isArray(base) ? conditions : forkBuilder(base, { conditions });
+}
+
+/**
+ * Combines two builders or condition arrays
+ * @param {Object|Array} a - First builder or conditions
+ * @param {Object|Array} b - Second builder or conditions
+ * @param {Object} options - Merge options
+ * @param {string} options.onConflict - 'throw' (default) on shared names, 'first' to keep a's
+ *   conditions, 'last' to keep b's
+ * @returns {Object|Array} New builder when either input is a builder (default value and options from the
+ *   first builder, context merged with b's winning, providers from both), otherwise a new condition array
+ * @throws {Error} If the inputs share names and onConflict is 'throw'
+ */
+export function merge(a, b, options = {}) {
+  const { onConflict = 'throw' } = options || {};
+  const conditions = mergeConditions(conditionsOf(a), conditionsOf(b), onConflict);
+  const builders = [a, b].filter((source) => !Array.isArray(source));
+  if (builders.length === 0) {
+    return conditions;
+  }
+  return forkBuilder(builders[0], {
+    conditions,
+    context: Object.assign({}, ...builders.map((builder) => builder._context)),
+    providers: builders.flatMap((builder) => builder._providers)
+  });
+}
+
+/**
+ * Prefixes condition names as 'prefix:name', along with the names referenced by requires,
+ * excludes and allOf()/anyOf()/not()
+ * @param {string} prefix - Namespace such as 'payments'
+ * @param {Object|Array} source - Builder instance or array of conditions
+ * @returns {Object|Array} New builder when source is a builder, otherwise a new condition array
+ */
+export function namespace(prefix, source) {
+  const conditions = namespaceConditions(prefix, conditionsOf(source));
+  return Array.isArray(source) ? conditions : forkBuilder(source, { conditions });
+}
+
+/**
+ * Finds the error evaluate() would have thrown for an explain() report: the first check, in
+ * dependency order, that threw under the 'throw' policy, else a conflict in an exclusive group
+ * @param {Object} builder - Builder instance
+ * @param {Object} report - explain() result taken with onConflict: 'first'
+ * @returns {Error|null} Error, or null if evaluate() would have returned
+ */
+function evaluationError(builder, report) {
+  const { groups = {}, onConflict = 'throw', onError = 'throw' } = builder._options ?? {};
+  const { conditions } = builder;
+  const { order } = createPlan(conditions, onError);
+  const failed = order.find((index) => report.conditions[index].error !== null &&
+    (conditions[index].onError ?? onError) === 'throw');
+  if (failed !== undefined) {
+    return conditionError(conditions[failed], report.conditions[failed].error);
+  }
+
+  try {
+    applyGroups(conditions.filter((_, index) => report.conditions[index].result), { groups, onConflict });
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Runs explain() once and records, instead of throwing, the error evaluate() would throw
+ * (a conflict in an exclusive group resolves as onConflict: 'first' does)
+ * @param {Object} builder - Builder instance
+ * @param {Object} runtimeContext - Runtime context
+ * @param {Object} options - explain() options
+ * @param {string} alternative - Async snapshot function suggested when a check returns a promise
+ * @returns {Object} { report, error }
+ * @throws {Error} If a function check returned a promise, which explain() would count as a match
+ */
+function explainSettled(builder, runtimeContext, options, alternative) {
+  const report = builder.explain(runtimeContext, { ...options, onConflict: 'first' });
+
+  const pending = report.conditions.filter(({ raw }) => isThenable(raw));
+  if (pending.length > 0) {
+    // Nobody awaits these, so keep a rejection from surfacing as unhandled
+    pending.forEach(({ raw }) => Promise.resolve(raw).catch(() => {}));
+    throw new Error(`Condition '${pending[0].name}' returned a promise; use ${alternative}() instead`);
+  }
+  return { report, error: evaluationError(builder, report) };
+}
+
+/**
+ * Async counterpart of explainSettled(), awaiting checks through explainAsync()
+ * @param {Object} builder - Builder instance
+ * @param {Object} runtimeContext - Runtime context
+ * @param {Object} options - explainAsync() options
+ * @returns {Promise<Object>} { report, error }
+ */
+async function explainSettledAsync(builder, runtimeContext, options) {
+  const report = await builder.explainAsync(runtimeContext, { ...options, onConflict: 'first' });
+  return { report, error: evaluationError(builder, report) };
+}
+
+/**
+ * Forks a builder for a capture, with its clock pinned to the capture time
+ * @param {Object} builder - Builder instance
+ * @param {Object} options - Capture options
+ * @returns {Object} { pinned, capturedAt, redact }
+ * @throws {Error} If the redact option is invalid
+ */
+function pinCapture(builder, options) {
+  const { redact = DEFAULT_REDACT_PATTERN } = options || {};
+  if (!(redact instanceof RegExp)) {
+    throw new Error("Option 'redact' must be a RegExp");
+  }
+
+  const clock = builder._options?.clock;
+  const capturedAt = new Date(clock ? clock() : Date.now());
+  const pinned = forkBuilder(builder, { options: { clock: () => capturedAt, cache: false } });
+  return { pinned, capturedAt, redact };
+}
+
+/**
+ * Captures what an evaluation saw: the merged context (values under keys matching `redact` are
+ * replaced by '[REDACTED]' at any depth), each condition's name, version, fingerprint and result,
+ * and the overall result. The builder's clock is pinned to the capture time for the evaluation.
+ * @param {Object} builder - Builder instance
+ * @param {Object} runtimeContext - Optional runtime context to merge (overrides accumulated context)
+ * @param {Object} options - Capture options
+ * @param {RegExp} options.redact - Pattern for keys whose values are redacted (default: the explain() pattern)
+ * @returns {Object} Snapshot; plain JSON data, so JSON.stringify() serializes it
+ * @throws {Error} If a function check returns a promise (use captureSnapshotAsync())
+ */
+export function captureSnapshot(builder, runtimeContext = {}, options = {}) {
+  const { pinned, capturedAt, redact } = pinCapture(builder, options);
+  const { report, error } = explainSettled(pinned, runtimeContext, { redact: /(?!)/ }, 'captureSnapshotAsync');
+  return createSnapshot(report, pinned, { capturedAt, redact, error });
+}
+
+/**
+ * Like captureSnapshot(), but loads async providers and awaits checks that return promises,
+ * with the same timeouts and error policies as evaluateAsync()
+ * @param {Object} builder - Builder instance
+ * @param {Object} runtimeContext - Optional runtime context to merge (overrides accumulated context)
+ * @param {Object} options - captureSnapshot() options, plus:
+ * @param {number} options.conditionTimeout - Default timeout in milliseconds for each function check
+ * @returns {Promise<Object>} Snapshot
+ */
+export async function captureSnapshotAsync(builder, runtimeContext = {}, options = {}) {
+  const { pinned, capturedAt, redact } = pinCapture(builder, options);
+  const { conditionTimeout } = options || {};
+  const { report, error } = await explainSettledAsync(pinned, runtimeContext, { redact: /(?!)/, conditionTimeout });
+  return createSnapshot(report, pinned, { capturedAt, redact, error });
+}
+
+/**
+ * Creates the builder a snapshot is replayed against
+ * @param {Object|Array} source - Builder instance or conditions
+ * @param {Object} parsed - Parsed snapshot
+ * @param {Object} options - Replay options
+ * @returns {Object} Builder without context or providers and with the replay clock
+ */
+function replayBuilder(source, parsed, options) {
+  const { clock = () => new Date(parsed.capturedAt) } = options || {};
+  return createEnvironmentNameBuilder(
+    conditionsOf(source),
+    Array.isArray(source) ? [] : source.defaultValue,
+    { ...(Array.isArray(source) ? {} : source._options), clock, cache: false }
+  );
+}
+
+/**
+ * Replays a snapshot against the same or an updated condition set and diffs the outcomes.
+ * Only the captured context is used (no accumulated context, providers or current process.env),
+ * and the clock reads the capture time.
+ * @param {Object|Array} source - Builder instance (its default value and options are used) or conditions
+ * @param {Object|string} snapshot - Snapshot from captureSnapshot(), or its JSON text
+ * @param {Object} options - Replay options
+ * @param {Function} options.clock - Clock for the replay (default: the capture time)
+ * @returns {Object} { changed, before, after, added, removed, conditions } where before/after are
+ *   { matched, names, error } and each condition entry is { name, status: 'unchanged'|'changed'|'added'|
+ *   'removed', before, after, definitionChanged, redactedReads? }
+ * @throws {Error} If the snapshot is malformed, or a function check returns a promise (use replaySnapshotAsync())
+ */
+export function replaySnapshot(source, snapshot, options = {}) {
+  const parsed = parseSnapshot(snapshot);
+  const builder = replayBuilder(source, parsed, options);
+  const { report, error } = explainSettled(builder, parsed.context, { trackReads: true }, 'replaySnapshotAsync');
+  return diffSnapshot(parsed, report, builder, error);
+}
+
+/**
+ * Like replaySnapshot(), but awaits checks that return promises, with the same timeouts and
+ * error policies as evaluateAsync()
+ * @param {Object|Array} source - Builder instance (its default value and options are used) or conditions
+ * @param {Object|string} snapshot - Snapshot from captureSnapshot() or captureSnapshotAsync(), or its JSON text
+ * @param {Object} options - replaySnapshot() options, plus:
+ * @param {number} options.conditionTimeout - Default timeout in milliseconds for each function check
+ * @returns {Promise<Object>} Same diff as replaySnapshot()
+ * @throws {Error} If the snapshot is malformed
+ */
+export async function replaySnapshotAsync(source, snapshot, options = {}) {
+  const parsed = parseSnapshot(snapshot);
+  const builder = replayBuilder(source, parsed, options);
+  const { conditionTimeout } = options || {};
+  const { report, error } = await explainSettledAsync(builder, parsed.context, { trackReads: true, conditionTimeout });
+  return diffSnapshot(parsed, report, builder, error);
 }
@@ -0,0 +1,139 @@
+/**
+ * Type Tests
+ * Compile-time checks for index.d.ts, run with `npm run test:types`
+ */
+
+import createEnvironmentNameBuilder, {
+  allOf,
+  analyze,
+  captureSnapshot,
+  captureSnapshotAsync,
+  createMetrics,
+  createTracing,
+  createEndpointResolver,
+  extend,
+  namespace,
+  names,
+  matchesOf,
+  replaySnapshot,
+  replaySnapshotAsync,
+  variants,
+  type EvaluationContext
+} from './index.js';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+const expectType = <T extends true>(): T => true as T;
+
+// Condition names are inferred as a literal union
+const builder = createEnvironmentNameBuilder([
+  { check: (ctx) => ctx.env.NODE_ENV === 'production', name: 'prod' },
+  { check: (ctx) => ctx.env.NODE_ENV === 'development', name: 'dev' },
+  { check: allOf('prod', 'dev'), name: 'both' }
+]);
+const result = builder.evaluate();
+expectType<Equal<typeof result, Array<[true, 'prod' | 'dev' | 'both']> | []>>();
+expectType<Equal<ReturnType<typeof builder.resolve>, 'prod' | 'dev' | 'both' | null>>();
+expectType<Equal<ReturnType<typeof names<'prod' | 'dev' | 'both'>>, Array<'prod' | 'dev' | 'both'>>>();
+
+// The default value joins the result type
+const withDefault = createEnvironmentNameBuilder([{ check: true, name: 'on' }], [['fallback']]);
+expectType<Equal<ReturnType<typeof withDefault.evaluate>, Array<[true, 'on']> | string[][]>>();
+
+// The context type is given explicitly or grows with withContext()
+interface ServiceContext {
+  region: string;
+  tenant: { tier: 'free' | 'gold' };
+}
+createEnvironmentNameBuilder<ServiceContext>([
+  { check: (ctx) => ctx.tenant.tier === 'gold' && ctx.env.DEBUG === 'true', name: 'gold' },
+  // @ts-expect-error tier is 'free' | 'gold'
+  { check: (ctx) => ctx.tenant.tier === 'platinum', name: 'platinum' }
+]);
+
+const contextual = createEnvironmentNameBuilder([{ check: true, name: 'base' }])
+  .withContext({ region: 'eu-west-1' })
+  .withContext({ user: { id: 42 } });
+const extended = extend(contextual, [
+  {
+    check: (ctx) => {
+      expectType<Equal<typeof ctx.region, string>>();
+      expectType<Equal<typeof ctx.user.id, number>>();
+      return ctx.region.startsWith('eu') && ctx.user.id > 0;
+    },
+    name: 'eu-user'
+  },
+  { name: 'base', disabled: true }
+]);
+expectType<Equal<ReturnType<typeof extended.resolve>, 'eu-user' | null>>();
+extended.evaluate({ region: 'us-east-1' });
+// @ts-expect-error region is a string
+extended.evaluate({ region: 1 });
+
+// Namespaces prefix the name union
+const namespaced = namespace('payments', builder);
+expectType<Equal<ReturnType<typeof namespaced.resolve>, 'payments:prod' | 'payments:dev' | 'payments:both' | null>>();
+
+// Result formats and error policies change the result shape
+const objects = createEnvironmentNameBuilder([{ check: true, name: 'a' }], [], { resultFormat: 'objects' });
+const objectResult = objects.evaluate();
+if (objectResult.length > 0 && 'names' in objectResult) {
+  expectType<Equal<ReturnType<typeof objectResult.names>, Array<'a'>>>();
+}
+
+const collecting = createEnvironmentNameBuilder([
+  { check: () => true, name: 'a' },
+  { check: () => false, name: 'b', onError: 'collect' }
+]);
+const collected = collecting.evaluate();
+expectType<Equal<typeof collected, { matches: Array<[true, 'a' | 'b']> | []; errors: Error[] }>>();
+expectType<Equal<ReturnType<typeof matchesOf<Array<[true, 'a' | 'b']> | []>>, Array<[true, 'a' | 'b']> | []>>();
+
+// evaluateAsync() resolves to the same result type
+async function asyncResult(): Promise<void> {
+  const value = await builder.evaluateAsync({}, { timeout: 100 });
+  expectType<Equal<typeof value, typeof result>>();
+}
+void asyncResult;
+
+// Variant names, endpoint maps and analysis reports use the name union
+const experiment = createEnvironmentNameBuilder(variants('user.id', { control: 50, treatment: 50 }));
+expectType<Equal<ReturnType<typeof experiment.resolve>, 'control' | 'treatment' | null>>();
+createEndpointResolver(builder, { prod: 'https://api.example.com', dev: ['http://localhost:3000', '/v1'] });
+// @ts-expect-error 'staging' is not a condition name
+createEndpointResolver(builder, { staging: 'https://staging.example.com' });
+expectType<Equal<ReturnType<typeof analyze<EvaluationContext, 'prod'>>['conditions'][number]['name'], 'prod'>>();
+
+// Snapshots replay against builders or condition arrays
+const snapshot = captureSnapshot(builder, { region: 'eu' }, { redact: /token/i });
+const diff = replaySnapshot([{ check: true, name: 'canary', version: 2 }], JSON.stringify(snapshot));
+expectType<Equal<typeof diff.added, Array<'canary'>>>();
+expectType<Equal<ReturnType<typeof replaySnapshot<typeof builder>>['after']['names'], Array<'prod' | 'dev' | 'both'>>>();
+captureSnapshotAsync(builder, {}, { conditionTimeout: 100 }).then((captured) => {
+  replaySnapshotAsync(builder, captured).then((replayed) => {
+    expectType<Equal<typeof replayed.after.names, Array<'prod' | 'dev' | 'both'>>>();
+  });
+});
+
+// Hooks and adapters share the hooks option
+const metrics = createMetrics();
+createEnvironmentNameBuilder([{ check: true, name: 'a' }], [], {
+  hooks: [
+    metrics,
+    createTracing({ startSpan: () => ({ setAttribute() {}, end() {} }) }),
+    {
+      afterEvaluate: (event) => expectType<Equal<typeof event.names, string[]>>(),
+      onError: ({ name, handled }) => expectType<Equal<[typeof name, typeof handled], [string | null, boolean]>>()
+    }
+  ]
+});
+expectType<Equal<ReturnType<typeof metrics.snapshot>['matches'], Record<string, number>>>();
+// @ts-expect-error a tracer needs startSpan()
+createTracing({});
+
+// Invalid options are rejected
+// @ts-expect-error unknown result format
+createEnvironmentNameBuilder([], [], { resultFormat: 'records' });
+// @ts-expect-error unknown error policy
+createEnvironmentNameBuilder([{ check: true, name: 'a', onError: 'ignore' }]);
+// @ts-expect-error versions are strings or numbers
+createEnvironmentNameBuilder([{ check: true, name: 'a', version: { major: 1 } }]);
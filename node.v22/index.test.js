@@ -165,6 +165,520 @@ describe('createEnvironmentNameBuilder', () => {
     });
   });
 
+  describe('evaluateAsync() method', () => {
+    const delay = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+    test('should await function checks returning promises', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: async () => true, name: 'async-true' },
+        { check: async () => false, name: 'async-false' },
+        { check: () => Promise.resolve('yes'), name: 'promise-truthy' }
+      ]);
+      await expect(builder.evaluateAsync()).resolves.toEqual([
+        [true, 'async-true'],
+        [true, 'promise-truthy']
+      ]);
+    });
+
+    test('should handle static and synchronous checks', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'static' },
+        { check: (ctx) => ctx.tier === 'premium', name: 'sync' },
+        { check: 0, name: 'falsy' }
+      ]);
+      await expect(builder.evaluateAsync({ tier: 'premium' })).resolves.toEqual([
+        [true, 'static'],
+        [true, 'sync']
+      ]);
+    });
+
+    test('should use accumulated and runtime context', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: async (ctx) => ctx.tier === 'premium' && ctx.region === 'us', name: 'match' }
+      ]);
+      builder.withContext({ tier: 'premium' });
+      await expect(builder.evaluateAsync({ region: 'us' })).resolves.toEqual([[true, 'match']]);
+    });
+
+    test('should run checks concurrently and keep condition order', async () => {
+      const order = [];
+      const builder = createEnvironmentNameBuilder([
+        { check: () => delay(30).then(() => order.push('slow')), name: 'slow' },
+        { check: () => delay(5).then(() => order.push('fast')), name: 'fast' }
+      ]);
+      const result = await builder.evaluateAsync();
+      expect(order).toEqual(['fast', 'slow']);
+      expect(result).toEqual([[true, 'slow'], [true, 'fast']]);
+    });
+
+    test('should return default value when no conditions match', async () => {
+      const builder = createEnvironmentNameBuilder(
+        [{ check: async () => false, name: 'never' }],
+        [['default']]
+      );
+      await expect(builder.evaluateAsync()).resolves.toEqual([['default']]);
+    });
+
+    test('should wrap rejected checks with condition name', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: async () => { throw new Error('Probe failed'); }, name: 'probe' }
+      ]);
+      await expect(builder.evaluateAsync()).rejects.toThrow(
+        "Error evaluating condition 'probe': Probe failed"
+      );
+    });
+
+    test('should wrap synchronous throws with condition name', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: () => { throw new Error('Sync failure'); }, name: 'sync-error' }
+      ]);
+      await expect(builder.evaluateAsync()).rejects.toThrow(
+        "Error evaluating condition 'sync-error': Sync failure"
+      );
+    });
+
+    test('should apply conditionTimeout to each function check', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: () => delay(5, true), name: 'quick' },
+        { check: () => delay(200, true), name: 'metadata' }
+      ]);
+      await expect(builder.evaluateAsync({}, { conditionTimeout: 20 })).rejects.toThrow(
+        "Error evaluating condition 'metadata': Timed out after 20ms"
+      );
+    });
+
+    test('should prefer a condition timeout over conditionTimeout', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: () => delay(30, true), name: 'patient', timeout: 100 }
+      ]);
+      await expect(builder.evaluateAsync({}, { conditionTimeout: 10 })).resolves.toEqual([
+        [true, 'patient']
+      ]);
+    });
+
+    test('should apply overall timeout and report the pending condition', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: () => delay(5, true), name: 'quick' },
+        { check: () => delay(200, true), name: 'file-probe' }
+      ]);
+      await expect(builder.evaluateAsync({}, { timeout: 20 })).rejects.toThrow(
+        "Error evaluating condition 'file-probe': Evaluation timed out after 20ms"
+      );
+    });
+
+    test('should throw error if condition timeout is not a positive number', () => {
+      expect(() => {
+        createEnvironmentNameBuilder([{ check: true, name: 'test', timeout: 0 }]);
+      }).toThrow("Condition at index 0 'timeout' must be a positive number");
+    });
+  });
+
+  describe('explain() method', () => {
+    test('should report each condition with type, raw value and result', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: 'yes', name: 'static-truthy' },
+        { check: (ctx) => ctx.tier, name: 'tier' },
+        { check: () => 0, name: 'zero' }
+      ]);
+      const { conditions } = builder.explain({ tier: 'premium' });
+
+      expect(conditions.map(({ name, type, raw, result, error }) => ({ name, type, raw, result, error })))
+        .toEqual([
+          { name: 'static-truthy', type: 'static', raw: 'yes', result: true, error: null },
+          { name: 'tier', type: 'function', raw: 'premium', result: true, error: null },
+          { name: 'zero', type: 'function', raw: 0, result: false, error: null }
+        ]);
+    });
+
+    test('should record elapsed time for function checks', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'static' },
+        { check: () => true, name: 'func' }
+      ]);
+      const { conditions } = builder.explain();
+      expect(conditions[0].duration).toBe(0);
+      expect(typeof conditions[1].duration).toBe('number');
+      expect(conditions[1].duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should capture errors instead of throwing', () => {
+      const failure = new Error('Test error');
+      const builder = createEnvironmentNameBuilder([
+        { check: () => { throw failure; }, name: 'error-func' },
+        { check: true, name: 'ok' }
+      ]);
+      const { conditions, matches } = builder.explain();
+      expect(conditions[0].error).toBe(failure);
+      expect(conditions[0].result).toBe(false);
+      expect(matches).toEqual([[true, 'ok']]);
+    });
+
+    test('should return evaluate() matches or default value', () => {
+      const builder = createEnvironmentNameBuilder(
+        [{ check: (ctx) => ctx.region === 'us', name: 'us' }],
+        [['default']]
+      );
+      expect(builder.explain({ region: 'us' }).matches).toEqual([[true, 'us']]);
+      expect(builder.explain({ region: 'eu' }).matches).toEqual([['default']]);
+    });
+
+    test('should return the merged context', () => {
+      const builder = createEnvironmentNameBuilder([]);
+      builder.withContext({ tier: 'premium', region: 'eu' });
+      const { context } = builder.explain({ region: 'us' });
+      expect(context.tier).toBe('premium');
+      expect(context.region).toBe('us');
+    });
+
+    test('should redact sensitive env values by default', () => {
+      process.env.EXPLAIN_API_TOKEN = 'abc123';
+      process.env.EXPLAIN_REGION = 'us-east-1';
+      const builder = createEnvironmentNameBuilder([]);
+      const { context } = builder.explain();
+      expect(context.env.EXPLAIN_API_TOKEN).toBe('[REDACTED]');
+      expect(context.env.EXPLAIN_REGION).toBe('us-east-1');
+      expect(process.env.EXPLAIN_API_TOKEN).toBe('abc123');
+      delete process.env.EXPLAIN_API_TOKEN;
+      delete process.env.EXPLAIN_REGION;
+    });
+
+    test('should redact env values using a configurable pattern', () => {
+      const builder = createEnvironmentNameBuilder([]);
+      const { context } = builder.explain(
+        { env: { DB_HOST: 'db.internal', API_TOKEN: 'abc' } },
+        { redact: /^DB_/ }
+      );
+      expect(context.env).toEqual({ DB_HOST: '[REDACTED]', API_TOKEN: 'abc' });
+    });
+
+    test('should record the paths function checks read when trackReads is set', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: (ctx) => ctx.geo?.region === 'eu' && ctx.user.plan === 'pro', name: 'eu-pro' },
+        { check: true, name: 'always' }
+      ]);
+
+      const { conditions } = builder.explain({ geo: { region: 'eu' }, user: { plan: 'pro' } }, { trackReads: true });
+      expect(conditions[0].reads).toEqual(['geo.region', 'user.plan']);
+      expect(conditions[1].reads).toBeUndefined();
+      expect(builder.explain({ geo: { region: 'eu' }, user: { plan: 'pro' } }).conditions[0].reads).toBeUndefined();
+    });
+  });
+
+  describe('explainAsync() method', () => {
+    test('should await checks that return promises', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: async () => false, name: 'probe' },
+        { check: async (ctx) => ctx.tier, name: 'tier' },
+        { check: () => Promise.reject(new Error('offline')), name: 'flaky', onError: 'treat-as-true' }
+      ], [['default']]);
+
+      expect(createEnvironmentNameBuilder([{ check: async () => false, name: 'probe' }]).explain().matches)
+        .toEqual([[true, 'probe']]);
+      const { conditions, matches } = await builder.explainAsync({ tier: 'gold' });
+      expect(conditions.map(({ name, raw, result }) => ({ name, raw, result }))).toEqual([
+        { name: 'probe', raw: false, result: false },
+        { name: 'tier', raw: 'gold', result: true },
+        { name: 'flaky', raw: undefined, result: true }
+      ]);
+      expect(conditions[2].error.message).toBe('offline');
+      expect(matches).toEqual(await builder.evaluateAsync({ tier: 'gold' }));
+    });
+
+    test('should apply timeouts and record reads', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: () => new Promise((resolve) => setTimeout(() => resolve(true), 50)), name: 'slow', timeout: 5 },
+        { check: async (ctx) => ctx.geo.region === 'eu', name: 'eu' }
+      ]);
+
+      const { conditions } = await builder.explainAsync({ geo: { region: 'eu' } }, { trackReads: true });
+      expect(conditions[0]).toMatchObject({ result: false, error: new Error('Timed out after 5ms') });
+      expect(conditions[1]).toMatchObject({ result: true, reads: ['geo.region'] });
+      await expect(builder.explainAsync({}, { onConflict: 'last' })).rejects.toThrow("Option 'onConflict' must be 'throw' or 'first'");
+    });
+  });
+
+  describe('Priority and groups', () => {
+    test('should keep only the highest-priority match of an exclusive group', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'dev', group: 'stage', priority: 1 },
+        { check: true, name: 'prod', group: 'stage', priority: 10 },
+        { check: true, name: 'debug', group: 'features' },
+        { check: true, name: 'analytics', group: 'features' }
+      ], [], { groups: { stage: 'exclusive', features: 'additive' } });
+      expect(builder.evaluate()).toEqual([
+        [true, 'prod'],
+        [true, 'debug'],
+        [true, 'analytics']
+      ]);
+    });
+
+    test('should treat undeclared groups as additive', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'a', group: 'misc' },
+        { check: true, name: 'b', group: 'misc' }
+      ]);
+      expect(builder.evaluate()).toEqual([[true, 'a'], [true, 'b']]);
+    });
+
+    test('should throw on conflicting matches in an exclusive group', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'prod', group: 'stage' },
+        { check: true, name: 'staging', group: 'stage' }
+      ], [], { groups: { stage: 'exclusive' } });
+      expect(() => builder.evaluate()).toThrow(
+        "Conflicting matches in exclusive group 'stage' at priority 0: 'prod', 'staging'"
+      );
+    });
+
+    test('should not report a conflict when a higher priority breaks the tie', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'a', group: 'stage' },
+        { check: true, name: 'b', group: 'stage' },
+        { check: true, name: 'c', group: 'stage', priority: 5 }
+      ], [], { groups: { stage: 'exclusive' } });
+      expect(builder.evaluate()).toEqual([[true, 'c']]);
+    });
+
+    test('should keep the earliest condition when onConflict is first', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'prod', group: 'stage' },
+        { check: true, name: 'staging', group: 'stage' }
+      ], [], { groups: { stage: 'exclusive' }, onConflict: 'first' });
+      expect(builder.evaluate()).toEqual([[true, 'prod']]);
+    });
+
+    test('should apply groups in evaluateAsync() and explain()', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: async () => true, name: 'dev', group: 'stage' },
+        { check: () => true, name: 'prod', group: 'stage', priority: 1 }
+      ], [], { groups: { stage: 'exclusive' } });
+      await expect(builder.evaluateAsync()).resolves.toEqual([[true, 'prod']]);
+      expect(createEnvironmentNameBuilder(
+        [{ check: true, name: 'dev', group: 'stage' }, { check: true, name: 'prod', group: 'stage', priority: 1 }],
+        [],
+        { groups: { stage: 'exclusive' } }
+      ).explain().matches).toEqual([[true, 'prod']]);
+    });
+
+    test('should accept an onConflict override in explain()', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'prod', group: 'stage' },
+        { check: true, name: 'staging', group: 'stage' }
+      ], [], { groups: { stage: 'exclusive' } });
+      expect(() => builder.explain()).toThrow("Conflicting matches in exclusive group 'stage'");
+      expect(builder.explain({}, { onConflict: 'first' }).matches).toEqual([[true, 'prod']]);
+      expect(() => builder.explain({}, { onConflict: 'last' })).toThrow("Option 'onConflict' must be 'throw' or 'first'");
+    });
+
+    test('should validate priority, group and options', () => {
+      expect(() => createEnvironmentNameBuilder([{ check: true, name: 'a', priority: 'high' }]))
+        .toThrow("Condition at index 0 'priority' must be a finite number");
+      expect(() => createEnvironmentNameBuilder([{ check: true, name: 'a', group: '' }]))
+        .toThrow("Condition at index 0 'group' must be a non-empty string");
+      expect(() => createEnvironmentNameBuilder([], [], { groups: { stage: 'single' } }))
+        .toThrow("Group 'stage' must be 'exclusive' or 'additive'");
+      expect(() => createEnvironmentNameBuilder([], [], { onConflict: 'ignore' }))
+        .toThrow("Option 'onConflict' must be 'throw' or 'first'");
+    });
+  });
+
+  describe('resolve() method', () => {
+    test('should return the highest-priority match', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'debug' },
+        { check: true, name: 'prod', priority: 10 }
+      ]);
+      expect(builder.resolve()).toBe('prod');
+    });
+
+    test('should break ties by condition order', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: false, name: 'never' },
+        { check: true, name: 'prod' },
+        { check: true, name: 'debug' }
+      ]);
+      expect(builder.resolve()).toBe('prod');
+    });
+
+    test('should use runtime context', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: (ctx) => ctx.region === 'us', name: 'us' },
+        { check: (ctx) => ctx.region === 'eu', name: 'eu' }
+      ]);
+      expect(builder.resolve({ region: 'eu' })).toBe('eu');
+    });
+
+    test('should return null when no conditions match', () => {
+      const builder = createEnvironmentNameBuilder([{ check: false, name: 'never' }], [['default']]);
+      expect(builder.resolve()).toBe(null);
+    });
+
+    test('should surface exclusive group conflicts', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'prod', group: 'stage' },
+        { check: true, name: 'debug', group: 'stage' }
+      ], [], { groups: { stage: 'exclusive' } });
+      expect(() => builder.resolve()).toThrow("Conflicting matches in exclusive group 'stage'");
+    });
+  });
+
+  describe('onChange() and watch() methods', () => {
+    const stageBuilder = () => createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.stage === 'prod', name: 'prod' },
+      { check: (ctx) => ctx.stage !== 'prod', name: 'non-prod' },
+      { check: (ctx) => ctx.debug === true, name: 'debug' }
+    ], [['fallback']]);
+
+    test('should emit added and removed names when withContext() changes the result', () => {
+      const builder = stageBuilder().withContext({ stage: 'dev' });
+      const events = [];
+      builder.onChange((event) => events.push(event));
+
+      builder.withContext({ stage: 'prod', debug: true });
+
+      expect(events).toEqual([{
+        added: ['prod', 'debug'],
+        removed: ['non-prod'],
+        current: [[true, 'prod'], [true, 'debug']]
+      }]);
+    });
+
+    test('should not emit when the matched names are unchanged', () => {
+      const builder = stageBuilder().withContext({ stage: 'dev' });
+      const events = [];
+      builder.onChange((event) => events.push(event));
+
+      builder.withContext({ unrelated: true });
+      expect(builder.refresh()).toBe(null);
+      expect(events).toEqual([]);
+    });
+
+    test('should emit on resetContext()', () => {
+      const builder = stageBuilder().withContext({ stage: 'prod' });
+      const events = [];
+      builder.onChange((event) => events.push(event));
+
+      builder.resetContext();
+      expect(events).toEqual([{ added: ['non-prod'], removed: ['prod'], current: [[true, 'non-prod']] }]);
+    });
+
+    test('should report the default value as current when nothing matches', () => {
+      const builder = createEnvironmentNameBuilder(
+        [{ check: (ctx) => ctx.on === true, name: 'on' }],
+        [['fallback']]
+      ).withContext({ on: true });
+      const events = [];
+      builder.onChange((event) => events.push(event));
+
+      builder.withContext({ on: false });
+      expect(events).toEqual([{ added: [], removed: ['on'], current: [['fallback']] }]);
+    });
+
+    test('should stop notifying after unsubscribe', () => {
+      const builder = stageBuilder();
+      const events = [];
+      const unsubscribe = builder.onChange((event) => events.push(event));
+
+      unsubscribe();
+      unsubscribe();
+      builder.withContext({ stage: 'prod' });
+      expect(events).toEqual([]);
+    });
+
+    test('should pass evaluation errors to onError', () => {
+      let fail = false;
+      const builder = createEnvironmentNameBuilder([
+        { check: () => { if (fail) throw new Error('Flag read failed'); return true; }, name: 'flag' }
+      ]);
+      const errors = [];
+      builder.onChange(() => {}, { onError: (error) => errors.push(error.message) });
+
+      fail = true;
+      expect(builder.refresh()).toBe(null);
+      expect(errors).toEqual(["Error evaluating condition 'flag': Flag read failed"]);
+    });
+
+    test('should pass listener errors to onError without interrupting withContext()', () => {
+      const builder = stageBuilder().withContext({ stage: 'dev' });
+      const errors = [];
+      const events = [];
+      builder.onChange(() => { throw new Error('Listener failed'); }, { onError: (error) => errors.push(error.message) });
+      builder.onChange(() => { throw new Error('Unhandled'); });
+      builder.onChange((event) => events.push(event.added));
+
+      expect(() => builder.withContext({ stage: 'prod' })).not.toThrow();
+      expect(builder.getContext()).toEqual({ stage: 'prod' });
+      expect(errors).toEqual(['Listener failed']);
+      expect(events).toEqual([['prod']]);
+    });
+
+    test('should keep watching when a listener or its onError throws', async () => {
+      let enabled = false;
+      const builder = createEnvironmentNameBuilder([{ check: () => enabled, name: 'flag' }]);
+      const errors = [];
+      builder.onChange(() => { throw new Error('Listener failed'); }, {
+        onError: (error) => {
+          errors.push(error.message);
+          throw new Error('onError failed');
+        }
+      });
+
+      const stop = builder.watch(5);
+      enabled = true;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      enabled = false;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      stop();
+      expect(errors).toEqual(['Listener failed', 'Listener failed']);
+    });
+
+    test('should re-evaluate on an interval and stop cleanly', async () => {
+      let enabled = false;
+      const builder = createEnvironmentNameBuilder([{ check: () => enabled, name: 'flag' }]);
+      const events = [];
+      builder.onChange((event) => events.push(event));
+
+      const stop = builder.watch(5);
+      enabled = true;
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      stop();
+      stop();
+
+      enabled = false;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(events).toEqual([{ added: ['flag'], removed: [], current: [[true, 'flag']] }]);
+    });
+
+    test('should re-evaluate when a trigger fires and run its cleanup on stop', () => {
+      let enabled = false;
+      let fire;
+      let cleaned = false;
+      const builder = createEnvironmentNameBuilder([{ check: () => enabled, name: 'flag' }]);
+      const events = [];
+      builder.onChange((event) => events.push(event));
+
+      const stop = builder.watch((refresh) => {
+        fire = refresh;
+        return () => { cleaned = true; };
+      });
+
+      enabled = true;
+      fire();
+      expect(events).toHaveLength(1);
+      stop();
+      expect(cleaned).toBe(true);
+    });
+
+    test('should validate arguments', () => {
+      const builder = stageBuilder();
+      expect(() => builder.onChange('nope')).toThrow('onChange listener must be a function');
+      expect(() => builder.watch(0)).toThrow('watch() interval must be a positive number');
+      expect(() => builder.watch('5s')).toThrow(
+        'watch() expects an interval in milliseconds or a trigger function'
+      );
+    });
+  });
+
   describe('withContext() method', () => {
     test('should set context and return this for chaining', () => {
       const builder = createEnvironmentNameBuilder([
@@ -450,6 +964,318 @@ describe('createEnvironmentNameBuilder', () => {
     });
   });
 
+  describe('fork(), derive() and freeze()', () => {
+    const conditions = [
+      { check: (ctx) => ctx.tenant === 'acme', name: 'acme' },
+      { check: (ctx) => ctx.debug === true, name: 'debug' }
+    ];
+
+    test('should fork with a copy of the accumulated context', () => {
+      const base = createEnvironmentNameBuilder(conditions, ['none']).withContext({ debug: true });
+      const fork = base.fork().withContext({ tenant: 'acme' });
+
+      expect(fork.conditions).toBe(base.conditions);
+      expect(fork.defaultValue).toBe(base.defaultValue);
+      expect(fork.evaluate()).toEqual([[true, 'acme'], [true, 'debug']]);
+      expect(base.evaluate()).toEqual([[true, 'debug']]);
+    });
+
+    test('should derive a builder with extra context', () => {
+      const base = createEnvironmentNameBuilder(conditions).withContext({ debug: true });
+      const derived = base.derive({ tenant: 'acme', debug: false });
+
+      expect(derived.evaluate()).toEqual([[true, 'acme']]);
+      expect(base.getContext()).toEqual({ debug: true });
+    });
+
+    test('should copy providers without sharing loaded values', () => {
+      let loads = 0;
+      const base = createEnvironmentNameBuilder(conditions)
+        .withProvider({ name: 'tenant', load: () => { loads++; return { tenant: 'acme' }; } });
+      const fork = base.fork();
+
+      expect(fork.evaluate()).toEqual([[true, 'acme']]);
+      expect(base.evaluate()).toEqual([[true, 'acme']]);
+      expect(loads).toBe(2);
+    });
+
+    test('should not carry onChange() subscriptions into forks', () => {
+      const base = createEnvironmentNameBuilder(conditions);
+      const events = [];
+      base.onChange((event) => events.push(event));
+
+      base.fork().withContext({ debug: true });
+      expect(events).toEqual([]);
+    });
+
+    test('should reject changes to a frozen builder', () => {
+      const builder = createEnvironmentNameBuilder(conditions).withContext({ debug: true }).freeze();
+
+      expect(builder.isFrozen()).toBe(true);
+      expect(() => builder.withContext({ tenant: 'acme' }))
+        .toThrow('Cannot call withContext() on a frozen builder; use fork() or derive() instead');
+      expect(() => builder.resetContext()).toThrow('Cannot call resetContext() on a frozen builder');
+      expect(() => builder.withProvider({ name: 'p', load: () => ({}) }))
+        .toThrow('Cannot call withProvider() on a frozen builder');
+      expect(() => { builder.conditions = []; }).toThrow(TypeError);
+      expect(() => { builder.defaultValue = null; }).toThrow(TypeError);
+      expect(() => { builder._context = {}; }).toThrow(TypeError);
+      expect(() => { builder._context.tenant = 'acme'; }).toThrow(TypeError);
+      expect(() => builder.conditions.push({ check: true, name: 'x' })).toThrow(TypeError);
+      expect(builder.evaluate()).toEqual([[true, 'debug']]);
+    });
+
+    test('should freeze a copy of the conditions, not the caller\'s array', () => {
+      const own = [{ check: true, name: 'a' }];
+      const immutable = createEnvironmentNameBuilder(own, [], { immutable: true });
+      const frozen = createEnvironmentNameBuilder(own).freeze();
+
+      own.push({ check: true, name: 'b' });
+      expect(Object.isFrozen(own)).toBe(false);
+      expect(immutable.evaluate()).toEqual([[true, 'a']]);
+      expect(frozen.evaluate()).toEqual([[true, 'a']]);
+      expect(Object.isFrozen(frozen.conditions)).toBe(true);
+
+      const fork = frozen.fork();
+      fork.conditions.push({ check: true, name: 'c' });
+      expect(fork.evaluate()).toEqual([[true, 'a'], [true, 'c']]);
+      expect(frozen.evaluate()).toEqual([[true, 'a']]);
+    });
+
+    test('should derive unfrozen builders from a frozen one', () => {
+      const frozen = createEnvironmentNameBuilder(conditions).freeze();
+      const derived = frozen.derive({ tenant: 'acme' });
+
+      expect(derived.isFrozen()).toBe(false);
+      expect(derived.withContext({ debug: true }).evaluate()).toEqual([[true, 'acme'], [true, 'debug']]);
+    });
+
+    test('should return new builders in immutable mode', () => {
+      const base = createEnvironmentNameBuilder(conditions, [], { immutable: true });
+      const withTenant = base.withContext({ tenant: 'acme' });
+      const withDebug = withTenant.withContext({ debug: true });
+
+      expect(base.isFrozen()).toBe(true);
+      expect(withTenant).not.toBe(base);
+      expect(withTenant.isFrozen()).toBe(true);
+      expect(base.evaluate()).toEqual([]);
+      expect(withTenant.evaluate()).toEqual([[true, 'acme']]);
+      expect(withDebug.evaluate()).toEqual([[true, 'acme'], [true, 'debug']]);
+      expect(withDebug.resetContext().evaluate()).toEqual([]);
+      expect(() => { base._context = { tenant: 'acme' }; }).toThrow(TypeError);
+    });
+
+    test('should add providers to a new builder in immutable mode', () => {
+      const base = createEnvironmentNameBuilder(conditions, [], { immutable: true });
+      const withProvider = base.withProvider({ name: 'tenant', load: () => ({ tenant: 'acme' }) });
+
+      expect(withProvider.evaluate()).toEqual([[true, 'acme']]);
+      expect(base.evaluate()).toEqual([]);
+    });
+
+    test('should isolate concurrent request contexts', async () => {
+      const base = createEnvironmentNameBuilder([
+        { check: async (ctx) => ctx.tenant === 'acme', name: 'acme' }
+      ], [], { immutable: true });
+
+      const results = await Promise.all(['acme', 'globex'].map((tenant) => base.withContext({ tenant }).evaluateAsync()));
+      expect(results).toEqual([[[true, 'acme']], []]);
+    });
+
+    test('should validate the immutable option', () => {
+      expect(() => createEnvironmentNameBuilder([], [], { immutable: 'yes' }))
+        .toThrow("Option 'immutable' must be a boolean");
+    });
+  });
+
+  describe('runWithContext() method', () => {
+    const conditions = [
+      { check: (ctx) => ctx.tenant === 'acme', name: 'acme' },
+      { check: (ctx) => ctx.beta === true, name: 'beta' }
+    ];
+
+    test('should expose scoped context to evaluations inside the scope', () => {
+      const builder = createEnvironmentNameBuilder(conditions);
+      const result = builder.runWithContext({ tenant: 'acme' }, () => builder.evaluate());
+
+      expect(result).toEqual([[true, 'acme']]);
+      expect(builder.evaluate()).toEqual([]);
+    });
+
+    test('should apply between accumulated and runtime context', () => {
+      const builder = createEnvironmentNameBuilder(conditions).withContext({ tenant: 'globex', beta: true });
+
+      builder.runWithContext({ tenant: 'acme' }, () => {
+        expect(builder.evaluate()).toEqual([[true, 'acme'], [true, 'beta']]);
+        expect(builder.evaluate({ tenant: 'initech' })).toEqual([[true, 'beta']]);
+      });
+    });
+
+    test('should follow the async scope across awaits and concurrent requests', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: async (ctx) => ctx.tenant === 'acme', name: 'acme' }
+      ]);
+      const handle = (tenant) => builder.runWithContext({ tenant }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, tenant === 'acme' ? 10 : 0));
+        return builder.evaluateAsync();
+      });
+
+      expect(await Promise.all([handle('acme'), handle('globex')])).toEqual([[[true, 'acme']], []]);
+    });
+
+    test('should merge nested scopes', () => {
+      const builder = createEnvironmentNameBuilder(conditions);
+      builder.runWithContext({ tenant: 'acme' }, () => {
+        builder.runWithContext({ beta: true }, () => {
+          expect(builder.evaluate()).toEqual([[true, 'acme'], [true, 'beta']]);
+        });
+        expect(builder.evaluate()).toEqual([[true, 'acme']]);
+      });
+    });
+
+    test('should rank scoped context above providers and report its source', () => {
+      const builder = createEnvironmentNameBuilder(conditions)
+        .withProvider({ name: 'config', load: () => ({ tenant: 'globex' }) });
+
+      builder.runWithContext({ tenant: 'acme' }, () => {
+        expect(builder.evaluate()).toEqual([[true, 'acme']]);
+        expect(builder.getContext({ sources: true }).sources).toEqual({ tenant: 'runWithContext' });
+      });
+    });
+
+    test('should apply to forks and frozen builders', () => {
+      const base = createEnvironmentNameBuilder(conditions).freeze();
+      const derived = base.derive({ beta: true });
+
+      base.runWithContext({ tenant: 'acme' }, () => {
+        expect(base.evaluate()).toEqual([[true, 'acme']]);
+        expect(derived.evaluate()).toEqual([[true, 'acme'], [true, 'beta']]);
+      });
+    });
+
+    test('should not leak scoped context through the cache', () => {
+      const builder = createEnvironmentNameBuilder(conditions, [], { cache: true });
+      expect(builder.runWithContext({ tenant: 'acme' }, () => builder.evaluate())).toEqual([[true, 'acme']]);
+      expect(builder.evaluate()).toEqual([]);
+    });
+
+    test('should validate arguments', () => {
+      const builder = createEnvironmentNameBuilder(conditions);
+      expect(() => builder.runWithContext(null, () => {})).toThrow('runWithContext() expects a context object');
+      expect(() => builder.runWithContext({})).toThrow('runWithContext() expects a function');
+    });
+  });
+
+  describe('Error policies', () => {
+    const failing = (message) => () => { throw new Error(message); };
+
+    test('should preserve the original error as cause', () => {
+      const original = new Error('boom');
+      const builder = createEnvironmentNameBuilder([
+        { check: () => { throw original; }, name: 'broken' }
+      ]);
+
+      let caught;
+      try {
+        builder.evaluate();
+      } catch (error) {
+        caught = error;
+      }
+      expect(caught.message).toBe("Error evaluating condition 'broken': boom");
+      expect(caught.cause).toBe(original);
+    });
+
+    test('should treat failing checks as false or true', () => {
+      const conditions = [
+        { check: failing('boom'), name: 'broken' },
+        { check: true, name: 'ok' }
+      ];
+      expect(createEnvironmentNameBuilder(conditions, [], { onError: 'treat-as-false' }).evaluate())
+        .toEqual([[true, 'ok']]);
+      expect(createEnvironmentNameBuilder(conditions, [], { onError: 'treat-as-true' }).evaluate())
+        .toEqual([[true, 'broken'], [true, 'ok']]);
+    });
+
+    test('should let a condition override the builder policy', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: failing('optional'), name: 'optional', onError: 'treat-as-false' },
+        { check: failing('required'), name: 'required' }
+      ], [], { onError: 'throw' });
+      expect(() => builder.evaluate()).toThrow("Error evaluating condition 'required': required");
+
+      const lenient = createEnvironmentNameBuilder([
+        { check: failing('strict'), name: 'strict', onError: 'throw' },
+        { check: true, name: 'ok' }
+      ], [], { onError: 'treat-as-true' });
+      expect(() => lenient.evaluate()).toThrow("Error evaluating condition 'strict': strict");
+    });
+
+    test('should return collected errors alongside matches', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: failing('first'), name: 'a' },
+        { check: true, name: 'ok' },
+        { check: failing('second'), name: 'b' }
+      ], [['fallback']], { onError: 'collect' });
+
+      const { matches, errors } = builder.evaluate();
+      expect(matches).toEqual([[true, 'ok']]);
+      expect(errors.map(({ message }) => message)).toEqual([
+        "Error evaluating condition 'a': first",
+        "Error evaluating condition 'b': second"
+      ]);
+      expect(errors[0].cause.message).toBe('first');
+      expect(createEnvironmentNameBuilder([{ check: true, name: 'ok' }], [], { onError: 'collect' }).evaluate())
+        .toEqual({ matches: [[true, 'ok']], errors: [] });
+    });
+
+    test('should keep the default value identity when collecting', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: failing('boom'), name: 'broken', onError: 'collect' }
+      ], [['fallback']]);
+
+      const result = builder.evaluate();
+      expect(result.matches).toBe(builder.defaultValue);
+      expect(result.errors).toHaveLength(1);
+    });
+
+    test('should apply policies in evaluateAsync() in condition order', async () => {
+      const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+      const builder = createEnvironmentNameBuilder([
+        { check: () => delay(20).then(failing('slow')), name: 'slow' },
+        { check: async () => { throw new Error('fast'); }, name: 'fast' },
+        { check: () => delay(50), name: 'hung', timeout: 5, onError: 'treat-as-true' }
+      ], [], { onError: 'collect' });
+
+      const { matches, errors } = await builder.evaluateAsync();
+      expect(matches).toEqual([[true, 'hung']]);
+      expect(errors.map(({ message }) => message)).toEqual([
+        "Error evaluating condition 'slow': slow",
+        "Error evaluating condition 'fast': fast"
+      ]);
+
+      const strict = createEnvironmentNameBuilder([{ check: async () => { throw new Error('nope'); }, name: 'x' }]);
+      await expect(strict.evaluateAsync()).rejects.toMatchObject({ cause: { message: 'nope' } });
+    });
+
+    test('should reflect policies in explain() and resolve()', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: failing('boom'), name: 'broken', onError: 'treat-as-true', priority: 1 },
+        { check: true, name: 'ok' }
+      ]);
+      const { matches, conditions } = builder.explain();
+      expect(matches).toEqual([[true, 'broken'], [true, 'ok']]);
+      expect(conditions[0].error.message).toBe('boom');
+      expect(builder.resolve()).toBe('broken');
+    });
+
+    test('should validate policies', () => {
+      expect(() => createEnvironmentNameBuilder([], [], { onError: 'ignore' }))
+        .toThrow("Option 'onError' must be 'throw', 'treat-as-false', 'treat-as-true' or 'collect'");
+      expect(() => createEnvironmentNameBuilder([{ check: true, name: 'a', onError: false }]))
+        .toThrow("Condition at index 0 'onError' must be 'throw', 'treat-as-false', 'treat-as-true' or 'collect'");
+    });
+  });
+
   describe('Edge cases', () => {
     test('should handle empty conditions array', () => {
       const builder = createEnvironmentNameBuilder([]);
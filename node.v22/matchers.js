@@ -0,0 +1,220 @@
+/**
+ * Runtime Matchers
+ * Semver, CIDR and hostname checks, validated when the builder is constructed
+ */
+
+import { hostname as osHostname, networkInterfaces } from 'node:os';
+import { parseRange, satisfies } from './semver.js';
+import { readPath } from './paths.js';
+
+const MATCHER = Symbol('matcher');
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const HOST_GLOB_PATTERN = /^[a-z0-9*?._-]+$/i;
+
+/**
+ * Creates a matcher check. The test is compiled once, either by the builder constructor
+ * (through validateMatcher) or on first use.
+ * @param {Function} compile - () => (value) => boolean; throws on invalid input
+ * @param {Object} options - { field } dotted context path; without it `fallback` supplies the value
+ * @param {Function} fallback - () => value (or array of values, any of which may match) read when no field is given
+ * @returns {Function} Check function
+ */
+function createMatcher(compile, options, fallback) {
+  const { field } = options || {};
+  let test = null;
+  const prepare = () => {
+    if (field !== undefined && (typeof field !== 'string' || field === '')) {
+      throw new Error("option 'field' must be a non-empty string");
+    }
+    test ??= compile();
+    return test;
+  };
+
+  const check = (ctx) => {
+    const value = field === undefined ? fallback() : readPath(ctx, field);
+    const values = Array.isArray(value) ? value : [value];
+    return values.some((item) => item !== undefined && item !== null && prepare()(item));
+  };
+  check[MATCHER] = prepare;
+  return check;
+}
+
+/**
+ * Validates a matcher check, compiling it so malformed input fails immediately
+ * @param {*} check - Condition check
+ * @throws {Error} If the check is a matcher with invalid input
+ */
+export function validateMatcher(check) {
+  if (typeof check === 'function' && typeof check[MATCHER] === 'function') {
+    check[MATCHER]();
+  }
+}
+
+/**
+ * Matches a version against a semver range
+ * @param {string} range - Range such as '>=22', '^1.4.0 || ~2.0.1' or '1.x'
+ * @param {Object} options - Matcher options
+ * @param {string} options.field - Dotted context path of the version (default: process.versions.node)
+ * @returns {Function} Check function
+ */
+export function semver(range, options = {}) {
+  return createMatcher(() => {
+    const parsed = parseRange(range);
+    return (version) => satisfies(String(version), parsed);
+  }, options, () => process.versions.node);
+}
+
+/**
+ * Parses an IPv4 or IPv6 address; IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) become IPv4
+ * @param {string} text - Address, optionally with an IPv6 zone index ('fe80::1%eth0')
+ * @returns {Object|null} { bits: 32|128, value: bigint } or null when invalid
+ */
+function parseIp(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const address = text.trim().replace(/%.*$/, '');
+
+  const ipv4 = IPV4_PATTERN.exec(address);
+  if (ipv4) {
+    const octets = ipv4.slice(1).map(Number);
+    return octets.every((octet) => octet <= 255)
+      ? { bits: 32, value: octets.reduce((value, octet) => (value << 8n) | BigInt(octet), 0n) }
+      : null;
+  }
+
+  if (!address.includes(':')) {
+    return null;
+  }
+  let head = address;
+  let tail = [];
+  // An embedded IPv4 suffix counts as the last two groups
+  const embedded = /:(\d{1,3}(?:\.\d{1,3}){3})$/.exec(address);
+  if (embedded) {
+    const ipv4Part = parseIp(embedded[1]);
+    if (!ipv4Part) {
+      return null;
+    }
+    head = address.slice(0, -embedded[1].length) + '0:0';
+    tail = [ipv4Part.value];
+  }
+
+  const halves = head.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+  const toGroups = (part) => (part === '' ? [] : part.split(':'));
+  const left = toGroups(halves[0]);
+  const right = halves.length === 2 ? toGroups(halves[1]) : [];
+  const missing = 8 - left.length - right.length;
+  if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) {
+    return null;
+  }
+  const groups = [...left, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...right];
+  if (!groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) {
+    return null;
+  }
+
+  let value = groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+  if (tail.length > 0) {
+    value = (value & ~0xffffffffn) | tail[0];
+  }
+  // IPv4-mapped: ::ffff:0:0/96
+  if (value >> 32n === 0xffffn) {
+    return { bits: 32, value: value & 0xffffffffn };
+  }
+  return { bits: 128, value };
+}
+
+/**
+ * Parses a CIDR range; a bare address is a single-address range
+ * @param {string} range - Range such as '10.0.0.0/8' or '2001:db8::/32'
+ * @returns {Object} { bits, prefix, network }
+ * @throws {Error} If the range is malformed
+ */
+function parseCidr(range) {
+  const [address, prefixText, extra] = typeof range === 'string' ? range.split('/') : [];
+  const ip = parseIp(address);
+  const prefix = prefixText === undefined ? ip?.bits : /^\d{1,3}$/.test(prefixText) ? Number(prefixText) : NaN;
+  if (!ip || extra !== undefined || !(prefix >= 0 && prefix <= ip.bits)) {
+    throw new Error(`Invalid CIDR range '${range}'`);
+  }
+  const shift = BigInt(ip.bits - prefix);
+  return { bits: ip.bits, prefix, network: ip.value >> shift };
+}
+
+/**
+ * Lists the addresses of the host's network interfaces
+ * @returns {Array<string>} Addresses
+ */
+function hostAddresses() {
+  return Object.values(networkInterfaces()).flat().map(({ address }) => address);
+}
+
+/**
+ * Matches IPv4/IPv6 addresses against CIDR ranges
+ * @param {string|Array<string>} ranges - One or more ranges such as '10.0.0.0/8' or 'fd00::/8'
+ * @param {Object} options - Matcher options
+ * @param {string} options.field - Dotted context path of the address, e.g. 'request.ip'
+ *   (default: any address of the host's network interfaces)
+ * @returns {Function} Check function
+ */
+export function cidr(ranges, options = {}) {
+  return createMatcher(() => {
+    const list = Array.isArray(ranges) ? ranges : [ranges];
+    if (list.length === 0) {
+      throw new Error('Invalid CIDR range list: expected at least one range');
+    }
+    const parsed = list.map(parseCidr);
+    return (address) => {
+      const ip = parseIp(String(address));
+      return !!ip && parsed.some(({ bits, prefix, network }) => (
+        bits === ip.bits && ip.value >> BigInt(bits - prefix) === network
+      ));
+    };
+  }, options, hostAddresses);
+}
+
+/**
+ * Compiles a hostname pattern
+ * @param {string|RegExp} pattern - Glob ('*' within a label, '**' across labels, '?' one character) or RegExp
+ * @returns {RegExp} Anchored, case-insensitive pattern (RegExps are used as given)
+ * @throws {Error} If the pattern is malformed
+ */
+function compileHostPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  if (typeof pattern !== 'string' || !HOST_GLOB_PATTERN.test(pattern)) {
+    throw new Error(`Invalid hostname pattern '${pattern}'`);
+  }
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\-]/g, '\\$&')
+    .replace(/\*\*|\*|\?/g, (token) => (token === '**' ? '.*' : token === '*' ? '[^.]*' : '[^.]'));
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Matches hostnames against glob or RegExp patterns
+ * @param {string|RegExp|Array} patterns - One or more patterns such as '*.prod.example.com' or /^web-\d+$/
+ * @param {Object} options - Matcher options
+ * @param {string} options.field - Dotted context path of the hostname, e.g. 'request.host'
+ *   (default: os.hostname())
+ * @returns {Function} Check function
+ */
+export function hostname(patterns, options = {}) {
+  return createMatcher(() => {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    if (list.length === 0) {
+      throw new Error('Invalid hostname pattern list: expected at least one pattern');
+    }
+    const compiled = list.map(compileHostPattern);
+    return (host) => {
+      const name = String(host).replace(/\.$/, '');
+      return compiled.some((regex) => {
+        regex.lastIndex = 0;
+        return regex.test(name);
+      });
+    };
+  }, options, osHostname);
+}
@@ -0,0 +1,123 @@
+/**
+ * Tests for Runtime Matchers
+ */
+
+import { hostname as osHostname, networkInterfaces } from 'node:os';
+import createEnvironmentNameBuilder, { semver, cidr, hostname } from './index.js';
+
+describe('Runtime matchers', () => {
+  describe('semver()', () => {
+    test('should match the running Node version by default', () => {
+      const major = Number(process.versions.node.split('.')[0]);
+      expect(semver(`>=${major}`)({})).toBe(true);
+      expect(semver(`<${major}`)({})).toBe(false);
+    });
+
+    test('should match a context field', () => {
+      const check = semver('^1.4.0 || ~2.0.1', { field: 'app.version' });
+      expect(check({ app: { version: '1.9.3' } })).toBe(true);
+      expect(check({ app: { version: 'v2.0.5' } })).toBe(true);
+      expect(check({ app: { version: '2.1.0' } })).toBe(false);
+      expect(check({ app: {} })).toBe(false);
+      expect(check({})).toBe(false);
+    });
+  });
+
+  describe('cidr()', () => {
+    test('should match IPv4 ranges', () => {
+      const check = cidr(['10.0.0.0/8', '192.168.1.0/24'], { field: 'ip' });
+      expect(check({ ip: '10.20.30.40' })).toBe(true);
+      expect(check({ ip: '192.168.1.255' })).toBe(true);
+      expect(check({ ip: '192.168.2.1' })).toBe(false);
+      expect(check({ ip: 'not-an-ip' })).toBe(false);
+      expect(check({ ip: '10.0.0.256' })).toBe(false);
+    });
+
+    test('should match IPv6 ranges', () => {
+      const check = cidr('2001:db8::/32', { field: 'ip' });
+      expect(check({ ip: '2001:db8:85a3::8a2e:370:7334' })).toBe(true);
+      expect(check({ ip: '2001:0DB8:0000:0000:0000:0000:0000:0001' })).toBe(true);
+      expect(check({ ip: '2001:db9::1' })).toBe(false);
+      expect(check({ ip: 'fe80::1%eth0' })).toBe(false);
+      expect(cidr('fe80::/10', { field: 'ip' })({ ip: 'fe80::1%eth0' })).toBe(true);
+      expect(cidr('::1', { field: 'ip' })({ ip: '::1' })).toBe(true);
+    });
+
+    test('should treat IPv4-mapped IPv6 addresses as IPv4', () => {
+      const check = cidr('127.0.0.0/8', { field: 'ip' });
+      expect(check({ ip: '::ffff:127.0.0.1' })).toBe(true);
+      expect(check({ ip: '::ffff:7f00:1' })).toBe(true);
+      expect(check({ ip: '::1' })).toBe(false);
+    });
+
+    test('should match any host address by default', () => {
+      const addresses = Object.values(networkInterfaces()).flat().map(({ address }) => address);
+      const ipv4 = addresses.find((address) => address.includes('.'));
+      if (ipv4) {
+        expect(cidr(`${ipv4}/32`)({})).toBe(true);
+      }
+      expect(cidr('203.0.113.0/24')({})).toBe(addresses.some((address) => address.startsWith('203.0.113.')));
+    });
+  });
+
+  describe('hostname()', () => {
+    test('should match globs case-insensitively', () => {
+      const check = hostname(['*.prod.example.com', 'api-??.example.com'], { field: 'host' });
+      expect(check({ host: 'web.prod.example.com' })).toBe(true);
+      expect(check({ host: 'WEB.PROD.EXAMPLE.COM.' })).toBe(true);
+      expect(check({ host: 'a.b.prod.example.com' })).toBe(false);
+      expect(check({ host: 'api-eu.example.com' })).toBe(true);
+      expect(check({ host: 'api-eu1.example.com' })).toBe(false);
+    });
+
+    test('should match ** across labels and RegExps', () => {
+      expect(hostname('**.example.com', { field: 'host' })({ host: 'a.b.example.com' })).toBe(true);
+      const check = hostname(/^web-\d+$/g, { field: 'host' });
+      expect(check({ host: 'web-12' })).toBe(true);
+      expect(check({ host: 'web-12' })).toBe(true);
+      expect(check({ host: 'web-x' })).toBe(false);
+    });
+
+    test('should match os.hostname() by default', () => {
+      expect(hostname(osHostname())({})).toBe(true);
+      expect(hostname('no-such-host.invalid')({})).toBe(false);
+    });
+  });
+
+  describe('with a builder', () => {
+    test('should evaluate matchers as checks', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: cidr('10.0.0.0/8', { field: 'request.ip' }), name: 'internal' },
+        { check: hostname('*.eu.example.com', { field: 'request.host' }), name: 'eu' },
+        { check: semver('>=2.0.0', { field: 'app.version' }), name: 'v2' }
+      ]).withContext({ app: { version: '2.3.0' } });
+
+      expect(builder.evaluate({ request: { ip: '10.1.2.3', host: 'api.eu.example.com' } }))
+        .toEqual([[true, 'internal'], [true, 'eu'], [true, 'v2']]);
+    });
+
+    test('should reject malformed input at construction', () => {
+      expect(() => createEnvironmentNameBuilder([
+        { check: true, name: 'ok' },
+        { check: semver('>=banana'), name: 'node' }
+      ])).toThrow("Condition at index 1 has an invalid check: Invalid semver range '>=banana'");
+      expect(() => createEnvironmentNameBuilder([{ check: cidr('10.0.0.0/33'), name: 'net' }]))
+        .toThrow("Condition at index 0 has an invalid check: Invalid CIDR range '10.0.0.0/33'");
+      expect(() => createEnvironmentNameBuilder([{ check: cidr(['10.0.0.0/8', '1.2.3'], { field: 'ip' }), name: 'net' }]))
+        .toThrow("Invalid CIDR range '1.2.3'");
+      expect(() => createEnvironmentNameBuilder([{ check: hostname('web server'), name: 'host' }]))
+        .toThrow("Condition at index 0 has an invalid check: Invalid hostname pattern 'web server'");
+      expect(() => createEnvironmentNameBuilder([{ check: hostname([]), name: 'host' }]))
+        .toThrow('Invalid hostname pattern list: expected at least one pattern');
+      expect(() => createEnvironmentNameBuilder([{ check: cidr('::1', { field: '' }), name: 'host' }]))
+        .toThrow("Condition at index 0 has an invalid check: option 'field' must be a non-empty string");
+    });
+
+    test('should reject malformed IPv6 ranges', () => {
+      for (const range of ['2001:db8:::/32', '1:2:3:4:5:6:7:8:9/64', '1::2::3/64', 'gggg::/16', '::/129']) {
+        expect(() => createEnvironmentNameBuilder([{ check: cidr(range), name: 'net' }]))
+          .toThrow(`Invalid CIDR range '${range}'`);
+      }
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * HTTP Middleware
+ * Adapters for node:http, Express and Fastify that annotate requests with matched environment names
+ */
+
+import { names, matchesOf } from './results.js';
+
+const DEFAULT_PROPERTY = 'envNames';
+const DEFAULT_HEADER = 'X-Environment-Names';
+const UNMATCHED_MESSAGE = 'No matching environment';
+
+/**
+ * Default extractor: builds runtime context from an incoming request under ctx.request
+ * (works with node:http IncomingMessage, Express and Fastify requests)
+ * @param {Object} req - Incoming request
+ * @returns {Object} { request: { method, host, path, headers, query, ip } }
+ */
+export function requestContext(req) {
+  const url = new URL(req.originalUrl ?? req.url ?? '/', 'http://localhost');
+  return {
+    request: {
+      method: req.method,
+      host: (req.hostname ?? req.headers?.host ?? '').replace(/:\d+$/, ''),
+      path: url.pathname,
+      headers: req.headers ?? {},
+      query: req.query ?? Object.fromEntries(url.searchParams),
+      ip: req.ip ?? req.socket?.remoteAddress
+    }
+  };
+}
+
+/**
+ * Validates and normalizes middleware options
+ * @param {Object} builder - Environment name builder instance
+ * @param {Object} options - Middleware options
+ * @returns {Object} { extract, property, header, rejectStatus }
+ * @throws {Error} If the builder or an option is invalid
+ */
+function normalizeOptions(builder, options = {}) {
+  if (!builder || typeof builder.evaluateAsync !== 'function') {
+    throw new Error('Middleware requires an environment name builder');
+  }
+
+  const { extract = requestContext, property = DEFAULT_PROPERTY, header = false, rejectUnmatched = false } = options || {};
+  if (typeof extract !== 'function') {
+    throw new Error("Option 'extract' must be a function");
+  }
+  if (typeof property !== 'string' || property === '') {
+    throw new Error("Option 'property' must be a non-empty string");
+  }
+  if (header !== false && header !== true && (typeof header !== 'string' || header === '')) {
+    throw new Error("Option 'header' must be a boolean or a header name");
+  }
+  if (rejectUnmatched !== false && rejectUnmatched !== true &&
+    !(Number.isInteger(rejectUnmatched) && rejectUnmatched >= 400 && rejectUnmatched <= 499)) {
+    throw new Error("Option 'rejectUnmatched' must be a boolean or a 4xx status code");
+  }
+
+  return {
+    extract,
+    property,
+    header: header === true ? DEFAULT_HEADER : header,
+    rejectStatus: rejectUnmatched === true ? 403 : rejectUnmatched
+  };
+}
+
+/**
+ * Evaluates the builder for a request and attaches the matched names to it
+ * @param {Object} builder - Environment name builder instance
+ * @param {Object} req - Incoming request
+ * @param {Object} options - Normalized middleware options
+ * @returns {Promise<Object>} { names, matched } where matched is false when only the default value was returned
+ */
+async function annotate(builder, req, { extract, property }) {
+  const result = matchesOf(await builder.evaluateAsync(await extract(req)));
+  const matched = result !== builder.defaultValue;
+  const matchedNames = matched ? names(result) : [];
+  req[property] = matchedNames;
+  return { names: matchedNames, matched };
+}
+
+/**
+ * Answers a failed request with a plain 500, or ends the response if the headers already went out
+ * @param {Object} res - Server response
+ */
+function respondWithError(res) {
+  if (!res.headersSent) {
+    res.statusCode = 500;
+    res.setHeader('Content-Type', 'text/plain');
+  }
+  if (!res.writableEnded) {
+    res.end('Internal Server Error');
+  }
+}
+
+/**
+ * Wraps a node:http request handler so every request is annotated before the handler runs
+ * @param {Object} builder - Environment name builder instance
+ * @param {Function} handler - (req, res) request handler
+ * @param {Object} options - Middleware options
+ * @param {Function} options.extract - (req) => runtime context, may be async (default: requestContext)
+ * @param {string} options.property - Request property receiving the matched names (default: 'envNames')
+ * @param {boolean|string} options.header - Response header listing the names; true uses 'X-Environment-Names'
+ * @param {boolean|number} options.rejectUnmatched - Respond with this 4xx status (403 for true) instead of
+ *   calling the handler when only the default value matched
+ * @param {Function} options.onError - (error, req, res) called instead of the default 500 response when
+ *   evaluation or the handler fails, may be async; the 500 response is still sent if it throws
+ * @returns {Function} (req, res) => Promise that never rejects, suitable for http.createServer()
+ */
+export function createHttpHandler(builder, handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new Error('createHttpHandler() expects a request handler');
+  }
+  const settings = normalizeOptions(builder, options);
+  const onError = options?.onError;
+  if (onError !== undefined && typeof onError !== 'function') {
+    throw new Error("Option 'onError' must be a function");
+  }
+
+  // http.createServer() ignores the returned promise, so a rejection here would be unhandled
+  const fail = async (error, req, res) => {
+    if (onError) {
+      try {
+        await onError(error, req, res);
+        return;
+      } catch {
+        // Fall back to the default response
+      }
+    }
+    respondWithError(res);
+  };
+
+  return async (req, res) => {
+    let outcome;
+    try {
+      outcome = await annotate(builder, req, settings);
+    } catch (error) {
+      await fail(error, req, res);
+      return;
+    }
+
+    if (settings.header && outcome.matched) {
+      res.setHeader(settings.header, outcome.names.join(', '));
+    }
+    if (settings.rejectStatus && !outcome.matched) {
+      res.statusCode = settings.rejectStatus;
+      res.setHeader('Content-Type', 'text/plain');
+      res.end(UNMATCHED_MESSAGE);
+      return;
+    }
+    try {
+      await handler(req, res);
+    } catch (error) {
+      await fail(error, req, res);
+    }
+  };
+}
+
+/**
+ * Creates Express middleware that annotates requests; evaluation errors are passed to next()
+ * @param {Object} builder - Environment name builder instance
+ * @param {Object} options - Middleware options (see createHttpHandler)
+ * @returns {Function} (req, res, next) middleware
+ */
+export function expressMiddleware(builder, options = {}) {
+  const settings = normalizeOptions(builder, options);
+
+  return (req, res, next) => {
+    annotate(builder, req, settings).then(({ names: matchedNames, matched }) => {
+      if (settings.header && matched) {
+        res.setHeader(settings.header, matchedNames.join(', '));
+      }
+      if (settings.rejectStatus && !matched) {
+        res.status(settings.rejectStatus).type('text/plain').send(UNMATCHED_MESSAGE);
+        return;
+      }
+      next();
+    }, next);
+  };
+}
+
+/**
+ * Creates a Fastify onRequest hook that annotates requests; evaluation errors reject the hook
+ * @param {Object} builder - Environment name builder instance
+ * @param {Object} options - Middleware options (see createHttpHandler)
+ * @returns {Function} async (request, reply) hook for fastify.addHook('onRequest', ...)
+ */
+export function fastifyHook(builder, options = {}) {
+  const settings = normalizeOptions(builder, options);
+
+  return async (request, reply) => {
+    const { names: matchedNames, matched } = await annotate(builder, request, settings);
+    if (settings.header && matched) {
+      reply.header(settings.header, matchedNames.join(', '));
+    }
+    if (settings.rejectStatus && !matched) {
+      reply.code(settings.rejectStatus).type('text/plain').send(UNMATCHED_MESSAGE);
+      return reply;
+    }
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * Tests for HTTP Middleware
+ */
+
+import { createServer } from 'node:http';
+import createEnvironmentNameBuilder, {
+  requestContext,
+  createHttpHandler,
+  expressMiddleware,
+  fastifyHook
+} from './index.js';
+
+/**
+ * Starts an http server on a random port and sends one GET request to it
+ * @param {Function} handler - (req, res) request handler
+ * @param {string} path - Request path
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+async function request(handler, path = '/', headers = {}) {
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { headers });
+    return { status: response.status, headers: response.headers, body: await response.text() };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+/**
+ * Creates a minimal Express-like response recording what was sent
+ * @returns {Object} Fake response
+ */
+function fakeExpressResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: undefined,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    type(value) { this.headers['Content-Type'] = value; return this; },
+    send(body) { this.body = body; return this; }
+  };
+}
+
+describe('HTTP middleware', () => {
+  const builder = createEnvironmentNameBuilder([
+    { check: (ctx) => ctx.request.host === 'api.acme.test', name: 'acme' },
+    { check: (ctx) => ctx.request.headers['x-canary'] === '1', name: 'canary' },
+    { check: (ctx) => ctx.request.query.debug === 'true', name: 'debug' }
+  ]);
+
+  describe('requestContext()', () => {
+    test('should extract host, path, query, headers and ip from node:http requests', () => {
+      expect(requestContext({
+        method: 'GET',
+        url: '/orders?debug=true',
+        headers: { host: 'api.acme.test:8080' },
+        socket: { remoteAddress: '10.0.0.1' }
+      })).toEqual({
+        request: {
+          method: 'GET',
+          host: 'api.acme.test',
+          path: '/orders',
+          headers: { host: 'api.acme.test:8080' },
+          query: { debug: 'true' },
+          ip: '10.0.0.1'
+        }
+      });
+    });
+
+    test('should prefer framework-parsed values', () => {
+      const { request: ctx } = requestContext({
+        method: 'GET',
+        originalUrl: '/v1/orders',
+        url: '/orders',
+        hostname: 'api.acme.test',
+        headers: { host: 'internal:3000' },
+        query: { page: 2 },
+        ip: '203.0.113.5'
+      });
+      expect(ctx).toMatchObject({ host: 'api.acme.test', path: '/v1/orders', query: { page: 2 }, ip: '203.0.113.5' });
+    });
+  });
+
+  describe('createHttpHandler()', () => {
+    test('should attach names and emit a header', async () => {
+      const handler = createHttpHandler(builder, (req, res) => {
+        res.end(JSON.stringify(req.envNames));
+      }, { header: true });
+
+      const response = await request(handler, '/?debug=true', { 'x-canary': '1' });
+      expect(response.status).toBe(200);
+      expect(JSON.parse(response.body)).toEqual(['canary', 'debug']);
+      expect(response.headers.get('x-environment-names')).toBe('canary, debug');
+    });
+
+    test('should reject unmatched requests with a 4xx status', async () => {
+      let called = false;
+      const handler = createHttpHandler(builder, (req, res) => {
+        called = true;
+        res.end();
+      }, { rejectUnmatched: 421 });
+
+      const response = await request(handler);
+      expect(response.status).toBe(421);
+      expect(response.body).toBe('No matching environment');
+      expect(called).toBe(false);
+    });
+
+    test('should use a custom extractor and property', async () => {
+      const tenantBuilder = createEnvironmentNameBuilder([
+        { check: (ctx) => ctx.tenant === 'acme', name: 'acme' }
+      ]);
+      const handler = createHttpHandler(tenantBuilder, (req, res) => {
+        res.end(req.environments.join(','));
+      }, { extract: async (req) => ({ tenant: req.headers['x-tenant'] }), property: 'environments' });
+
+      expect((await request(handler, '/', { 'x-tenant': 'acme' })).body).toBe('acme');
+    });
+
+    test('should respond 500 when evaluation fails', async () => {
+      const failing = createEnvironmentNameBuilder([
+        { check: () => { throw new Error('Boom'); }, name: 'broken' }
+      ]);
+      const handler = createHttpHandler(failing, (req, res) => res.end());
+      expect((await request(handler)).status).toBe(500);
+    });
+
+    test('should pass evaluation errors to onError', async () => {
+      const failing = createEnvironmentNameBuilder([
+        { check: () => { throw new Error('Boom'); }, name: 'broken' }
+      ]);
+      const errors = [];
+      const handler = createHttpHandler(failing, (req, res) => res.end(), {
+        onError: async (error, req, res) => {
+          errors.push([error.message, req.url]);
+          res.statusCode = 503;
+          res.end('Unavailable');
+        }
+      });
+
+      const response = await request(handler, '/health');
+      expect(response).toMatchObject({ status: 503, body: 'Unavailable' });
+      expect(errors).toEqual([["Error evaluating condition 'broken': Boom", '/health']]);
+    });
+
+    test('should respond 500 when onError or the handler throws', async () => {
+      const failing = createEnvironmentNameBuilder([
+        { check: () => { throw new Error('Boom'); }, name: 'broken' }
+      ]);
+      const throwingOnError = createHttpHandler(failing, (req, res) => res.end(), {
+        onError: async () => { throw new Error('logger down'); }
+      });
+      expect(await request(throwingOnError)).toMatchObject({ status: 500, body: 'Internal Server Error' });
+
+      const errors = [];
+      const throwingHandler = createHttpHandler(builder, async () => { throw new Error('handler failed'); }, {
+        onError: (error) => { errors.push(error.message); throw error; }
+      });
+      expect(await request(throwingHandler)).toMatchObject({ status: 500, body: 'Internal Server Error' });
+      expect(errors).toEqual(['handler failed']);
+
+      const plain = createHttpHandler(builder, () => { throw new Error('handler failed'); });
+      await expect(plain({ url: '/', headers: {} }, { headersSent: true, writableEnded: true })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('expressMiddleware()', () => {
+    test('should attach names, set the header and call next()', async () => {
+      const req = { method: 'GET', url: '/', hostname: 'api.acme.test', headers: {}, query: {} };
+      const res = fakeExpressResponse();
+      const middleware = expressMiddleware(builder, { header: 'X-Env' });
+
+      await new Promise((resolve) => middleware(req, res, resolve));
+      expect(req.envNames).toEqual(['acme']);
+      expect(res.headers['X-Env']).toBe('acme');
+    });
+
+    test('should read matches from builders collecting errors', async () => {
+      const collecting = createEnvironmentNameBuilder([
+        ...builder.conditions,
+        { check: (ctx) => ctx.request.user.id > 0, name: 'signed-in' }
+      ], [], { onError: 'collect' });
+      const req = { method: 'GET', url: '/', hostname: 'api.acme.test', headers: {}, query: {} };
+
+      await new Promise((resolve) => expressMiddleware(collecting)(req, fakeExpressResponse(), resolve));
+      expect(req.envNames).toEqual(['acme']);
+    });
+
+    test('should short-circuit unmatched requests', async () => {
+      const res = fakeExpressResponse();
+      let nextCalled = false;
+      await new Promise((resolve) => {
+        res.send = function send(body) { this.body = body; resolve(); return this; };
+        expressMiddleware(builder, { rejectUnmatched: true })(
+          { method: 'GET', url: '/', headers: {}, query: {} }, res, () => { nextCalled = true; resolve(); }
+        );
+      });
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toBe('No matching environment');
+    });
+
+    test('should pass evaluation errors to next()', async () => {
+      const failing = createEnvironmentNameBuilder([
+        { check: () => { throw new Error('Boom'); }, name: 'broken' }
+      ]);
+      const error = await new Promise((resolve) => expressMiddleware(failing)(
+        { method: 'GET', url: '/', headers: {}, query: {} }, fakeExpressResponse(), resolve
+      ));
+      expect(error.message).toBe("Error evaluating condition 'broken': Boom");
+    });
+  });
+
+  describe('fastifyHook()', () => {
+    /**
+     * Creates a minimal Fastify-like reply recording what was sent
+     * @returns {Object} Fake reply
+     */
+    const fakeReply = () => ({
+      headers: {},
+      statusCode: 200,
+      sent: undefined,
+      header(name, value) { this.headers[name] = value; return this; },
+      code(status) { this.statusCode = status; return this; },
+      type(value) { this.headers['content-type'] = value; return this; },
+      send(body) { this.sent = body; return this; }
+    });
+
+    test('should attach names and set the header', async () => {
+      const request = { method: 'GET', url: '/?debug=true', hostname: 'localhost', headers: {}, query: { debug: 'true' } };
+      const reply = fakeReply();
+
+      expect(await fastifyHook(builder, { header: true })(request, reply)).toBeUndefined();
+      expect(request.envNames).toEqual(['debug']);
+      expect(reply.headers['X-Environment-Names']).toBe('debug');
+    });
+
+    test('should short-circuit unmatched requests', async () => {
+      const reply = fakeReply();
+      const hook = fastifyHook(builder, { rejectUnmatched: 404 });
+
+      expect(await hook({ method: 'GET', url: '/', headers: {}, query: {} }, reply)).toBe(reply);
+      expect(reply.statusCode).toBe(404);
+      expect(reply.sent).toBe('No matching environment');
+    });
+  });
+
+  test('should validate options', () => {
+    expect(() => expressMiddleware({})).toThrow('Middleware requires an environment name builder');
+    expect(() => expressMiddleware(builder, { extract: 'host' })).toThrow("Option 'extract' must be a function");
+    expect(() => fastifyHook(builder, { header: 42 })).toThrow("Option 'header' must be a boolean or a header name");
+    expect(() => fastifyHook(builder, { rejectUnmatched: 500 }))
+      .toThrow("Option 'rejectUnmatched' must be a boolean or a 4xx status code");
+    expect(() => createHttpHandler(builder)).toThrow('createHttpHandler() expects a request handler');
+    expect(() => createHttpHandler(builder, () => {}, { onError: 'log' })).toThrow("Option 'onError' must be a function");
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Observability Adapters
+ * Metrics and tracing built on the builder's lifecycle hooks
+ */
+
+// SpanStatusCode.ERROR in OpenTelemetry; successful spans keep the default (unset) status
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Creates an empty duration summary
+ * @returns {Object} { count, total, min, max }
+ */
+function emptyDuration() {
+  return { count: 0, total: 0, min: Infinity, max: 0 };
+}
+
+/**
+ * Adds a duration to a summary
+ * @param {Object} summary - Summary from emptyDuration()
+ * @param {number} duration - Duration in milliseconds
+ */
+function recordDuration(summary, duration) {
+  summary.count++;
+  summary.total += duration;
+  summary.min = Math.min(summary.min, duration);
+  summary.max = Math.max(summary.max, duration);
+}
+
+/**
+ * Copies a duration summary and adds its mean
+ * @param {Object} summary - Summary from emptyDuration()
+ * @returns {Object} { count, total, min, max, mean } in milliseconds
+ */
+function reportDuration({ count, total, min, max }) {
+  return count === 0
+    ? { count, total, min: 0, max: 0, mean: 0 }
+    : { count, total, min, max, mean: total / count };
+}
+
+/**
+ * Creates an in-memory metrics adapter. Pass it in the builder's `hooks` option; it counts
+ * evaluations, matches per name, default-value fallbacks and errors, and records how long
+ * evaluations and function checks take.
+ * @returns {Object} Hook object with snapshot() and reset() methods
+ */
+export function createMetrics() {
+  let state;
+
+  /**
+   * Clears every counter and duration
+   */
+  const reset = () => {
+    state = {
+      evaluations: 0,
+      matches: new Map(),
+      defaults: 0,
+      errors: 0,
+      conditionErrors: new Map(),
+      evaluationDuration: emptyDuration(),
+      checkDurations: new Map()
+    };
+  };
+  reset();
+
+  return {
+    afterCondition({ name, type, duration }) {
+      if (type !== 'function') {
+        return;
+      }
+      if (!state.checkDurations.has(name)) {
+        state.checkDurations.set(name, emptyDuration());
+      }
+      recordDuration(state.checkDurations.get(name), duration);
+    },
+
+    afterEvaluate({ names, defaulted, duration }) {
+      state.evaluations++;
+      if (defaulted) {
+        state.defaults++;
+      }
+      for (const name of names) {
+        state.matches.set(name, (state.matches.get(name) ?? 0) + 1);
+      }
+      recordDuration(state.evaluationDuration, duration);
+    },
+
+    onError({ name }) {
+      state.errors++;
+      if (name !== null) {
+        state.conditionErrors.set(name, (state.conditionErrors.get(name) ?? 0) + 1);
+      }
+    },
+
+    /**
+     * Reads the current metrics
+     * @returns {Object} { evaluations, matches, defaults, errors, conditionErrors, evaluationDuration,
+     *   checkDurations } where `matches` and `conditionErrors` map names to counts, and durations are
+     *   { count, total, min, max, mean } in milliseconds (`checkDurations` maps names to one each).
+     *   Evaluations that threw count in `errors` only.
+     */
+    snapshot() {
+      return {
+        evaluations: state.evaluations,
+        matches: Object.fromEntries(state.matches),
+        defaults: state.defaults,
+        errors: state.errors,
+        conditionErrors: Object.fromEntries(state.conditionErrors),
+        evaluationDuration: reportDuration(state.evaluationDuration),
+        checkDurations: Object.fromEntries(
+          [...state.checkDurations].map(([name, summary]) => [name, reportDuration(summary)])
+        )
+      };
+    },
+
+    reset
+  };
+}
+
+/**
+ * Creates a tracing adapter that wraps each evaluation in a span. Works with an OpenTelemetry
+ * tracer, or any object with the same startSpan() shape.
+ * @param {Object} tracer - { startSpan(name, { attributes }) } returning a span with setAttribute()
+ *   and end(), and optionally addEvent(), recordException() and setStatus()
+ * @param {Object} options - Tracing options
+ * @param {string} options.spanName - Span name (default: 'env_name.<method>', e.g. 'env_name.evaluate')
+ * @param {boolean} options.conditionEvents - Add a 'condition' span event per condition (default: true)
+ * @returns {Object} Hook object for the builder's `hooks` option
+ * @throws {Error} If the tracer or an option is invalid
+ */
+export function createTracing(tracer, options = {}) {
+  if (!tracer || typeof tracer.startSpan !== 'function') {
+    throw new Error('Tracer must have a startSpan() function');
+  }
+  const { spanName, conditionEvents = true } = options || {};
+  if (spanName !== undefined && (typeof spanName !== 'string' || spanName === '')) {
+    throw new Error("Option 'spanName' must be a non-empty string");
+  }
+
+  // Open span of each evaluation in progress
+  const spans = new WeakMap();
+
+  return {
+    beforeEvaluate(evaluation) {
+      const span = tracer.startSpan(spanName ?? `env_name.${evaluation.method}`, {
+        attributes: { 'env_name.method': evaluation.method }
+      });
+      spans.set(evaluation, span);
+    },
+
+    afterCondition({ evaluation, name, type, result, duration, error }) {
+      const span = spans.get(evaluation);
+      if (conditionEvents && span?.addEvent) {
+        span.addEvent('condition', {
+          'env_name.condition': name,
+          'env_name.type': type,
+          'env_name.result': result,
+          'env_name.duration_ms': duration,
+          ...(error ? { 'env_name.error': String(error.message ?? error) } : {})
+        });
+      }
+    },
+
+    afterEvaluate({ evaluation, names, defaulted, errors }) {
+      const span = spans.get(evaluation);
+      if (!span) {
+        return;
+      }
+      spans.delete(evaluation);
+      span.setAttribute('env_name.matches', names);
+      span.setAttribute('env_name.defaulted', defaulted);
+      span.setAttribute('env_name.errors', errors.length);
+      span.end();
+    },
+
+    onError({ evaluation, error, handled }) {
+      const span = spans.get(evaluation);
+      if (!span) {
+        return;
+      }
+      span.recordException?.(error);
+      if (!handled) {
+        // The evaluation threw, so afterEvaluate will not end the span
+        spans.delete(evaluation);
+        span.setStatus?.({ code: SPAN_STATUS_ERROR, message: String(error?.message ?? error) });
+        span.end();
+      }
+    }
+  };
+}
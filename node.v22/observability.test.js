@@ -0,0 +1,169 @@
+/**
+ * Tests for Observability Adapters
+ */
+
+import createEnvironmentNameBuilder, { createMetrics, createTracing } from './index.js';
+
+/**
+ * Creates a tracer that keeps every span it starts
+ * @returns {Object} { tracer, spans } where each span records its name, attributes, events and status
+ */
+function stubTracer() {
+  const spans = [];
+  const tracer = {
+    startSpan(name, { attributes }) {
+      const span = {
+        name,
+        attributes: { ...attributes },
+        events: [],
+        exceptions: [],
+        status: null,
+        ended: false,
+        setAttribute(key, value) {
+          this.attributes[key] = value;
+        },
+        addEvent(eventName, eventAttributes) {
+          this.events.push({ name: eventName, attributes: eventAttributes });
+        },
+        recordException(error) {
+          this.exceptions.push(error.message);
+        },
+        setStatus(status) {
+          this.status = status;
+        },
+        end() {
+          this.ended = true;
+        }
+      };
+      spans.push(span);
+      return span;
+    }
+  };
+  return { tracer, spans };
+}
+
+describe('Observability adapters', () => {
+  const conditions = [
+    { check: (ctx) => ctx.region === 'eu', name: 'eu' },
+    { check: (ctx) => ctx.tier === 'gold', name: 'gold' },
+    { check: (ctx) => ctx.probe(), name: 'probe', onError: 'treat-as-false' }
+  ];
+
+  describe('createMetrics()', () => {
+    test('should count matches, fallbacks and errors', async () => {
+      const metrics = createMetrics();
+      const builder = createEnvironmentNameBuilder(conditions, [['fallback']], { hooks: metrics });
+
+      builder.evaluate({ region: 'eu', probe: () => false });
+      builder.evaluate({ region: 'eu', tier: 'gold', probe: () => false });
+      builder.evaluate({ region: 'us', probe: () => false });
+      await builder.evaluateAsync({ region: 'us' });
+      expect(builder.resolve({ tier: 'gold', probe: () => true })).toBe('gold');
+
+      const snapshot = metrics.snapshot();
+      expect(snapshot).toMatchObject({
+        evaluations: 5,
+        matches: { eu: 2, gold: 2, probe: 1 },
+        defaults: 2,
+        errors: 1,
+        conditionErrors: { probe: 1 }
+      });
+      expect(snapshot.evaluationDuration.count).toBe(5);
+      expect(Object.keys(snapshot.checkDurations)).toEqual(['eu', 'gold', 'probe']);
+      const { count, total, min, max, mean } = snapshot.checkDurations.eu;
+      expect(count).toBe(5);
+      expect(min).toBeLessThanOrEqual(mean);
+      expect(max).toBeGreaterThanOrEqual(mean);
+      expect(mean).toBeCloseTo(total / count);
+    });
+
+    test('should count evaluations that throw as errors only', () => {
+      const metrics = createMetrics();
+      const builder = createEnvironmentNameBuilder([
+        { check: (ctx) => ctx.probe(), name: 'probe' }
+      ], [], { hooks: metrics });
+
+      expect(() => builder.evaluate()).toThrow("Error evaluating condition 'probe'");
+      expect(metrics.snapshot()).toMatchObject({ evaluations: 0, errors: 1, conditionErrors: { probe: 1 } });
+    });
+
+    test('should skip durations for static and composite checks and reset', () => {
+      const metrics = createMetrics();
+      createEnvironmentNameBuilder([{ check: true, name: 'on' }], [], { hooks: metrics }).evaluate();
+      expect(metrics.snapshot().checkDurations).toEqual({});
+      expect(metrics.snapshot().matches).toEqual({ on: 1 });
+
+      metrics.reset();
+      expect(metrics.snapshot()).toEqual({
+        evaluations: 0,
+        matches: {},
+        defaults: 0,
+        errors: 0,
+        conditionErrors: {},
+        evaluationDuration: { count: 0, total: 0, min: 0, max: 0, mean: 0 },
+        checkDurations: {}
+      });
+    });
+  });
+
+  describe('createTracing()', () => {
+    test('should wrap each evaluation in a span', async () => {
+      const { tracer, spans } = stubTracer();
+      const builder = createEnvironmentNameBuilder(conditions, [], { hooks: createTracing(tracer) });
+
+      builder.evaluate({ region: 'eu', probe: () => { throw new Error('offline'); } });
+      await builder.evaluateAsync({ tier: 'gold', probe: () => true });
+
+      expect(spans.map(({ name, ended }) => ({ name, ended }))).toEqual([
+        { name: 'env_name.evaluate', ended: true },
+        { name: 'env_name.evaluateAsync', ended: true }
+      ]);
+      expect(spans[0].attributes).toEqual({
+        'env_name.method': 'evaluate',
+        'env_name.matches': ['eu'],
+        'env_name.defaulted': false,
+        'env_name.errors': 0
+      });
+      expect(spans[0].events.map(({ attributes }) => attributes['env_name.condition'])).toEqual(['eu', 'gold', 'probe']);
+      expect(spans[0].events[2].attributes).toMatchObject({ 'env_name.result': false, 'env_name.error': 'offline' });
+      expect(spans[0].exceptions).toEqual(["Error evaluating condition 'probe': offline"]);
+      expect(spans[0].status).toBeNull();
+      expect(spans[1].attributes['env_name.matches']).toEqual(['gold', 'probe']);
+    });
+
+    test('should end the span with an error status when evaluation throws', () => {
+      const { tracer, spans } = stubTracer();
+      const builder = createEnvironmentNameBuilder([
+        { check: () => { throw new Error('offline'); }, name: 'probe' }
+      ], [], { hooks: createTracing(tracer, { spanName: 'routing', conditionEvents: false }) });
+
+      expect(() => builder.resolve()).toThrow();
+      expect(spans).toHaveLength(1);
+      expect(spans[0]).toMatchObject({
+        name: 'routing',
+        ended: true,
+        events: [],
+        status: { code: 2, message: "Error evaluating condition 'probe': offline" }
+      });
+    });
+
+    test('should work with a minimal span', () => {
+      const ended = [];
+      const tracer = {
+        startSpan: (name) => ({ setAttribute() {}, end: () => ended.push(name) })
+      };
+      const metrics = createMetrics();
+      const builder = createEnvironmentNameBuilder(conditions, [], { hooks: [createTracing(tracer), metrics] });
+
+      builder.evaluate({ region: 'eu', probe: () => { throw new Error('offline'); } });
+      expect(ended).toEqual(['env_name.evaluate']);
+      expect(metrics.snapshot().errors).toBe(1);
+    });
+
+    test('should validate the tracer and options', () => {
+      expect(() => createTracing({})).toThrow('Tracer must have a startSpan() function');
+      expect(() => createTracing(stubTracer().tracer, { spanName: '' }))
+        .toThrow("Option 'spanName' must be a non-empty string");
+    });
+  });
+});
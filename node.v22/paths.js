@@ -0,0 +1,15 @@
+/**
+ * Context Paths
+ * Reads dotted paths such as 'user.id' from evaluation contexts
+ */
+
+/**
+ * Reads a dotted path from a context
+ * @param {Object} ctx - Context
+ * @param {string|Array<string>} path - Dotted path such as 'geo.region', or its segments
+ * @returns {*} Value at the path, or undefined if any segment is missing
+ */
+export function readPath(ctx, path) {
+  const segments = typeof path === 'string' ? path.split('.') : path;
+  return segments.reduce((node, segment) => (node == null ? undefined : node[segment]), ctx);
+}
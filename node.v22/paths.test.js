@@ -0,0 +1,21 @@
+/**
+ * Tests for Context Paths
+ */
+
+import { readPath } from './paths.js';
+
+describe('readPath()', () => {
+  const ctx = { env: { NODE_ENV: 'production' }, user: { id: 0, tags: ['beta'] }, missing: null };
+
+  test('should read dotted paths and segment arrays', () => {
+    expect(readPath(ctx, 'env.NODE_ENV')).toBe('production');
+    expect(readPath(ctx, ['user', 'id'])).toBe(0);
+    expect(readPath(ctx, 'user.tags.0')).toBe('beta');
+  });
+
+  test('should return undefined when a segment is missing', () => {
+    expect(readPath(ctx, 'geo.region')).toBeUndefined();
+    expect(readPath(ctx, 'missing.value')).toBeUndefined();
+    expect(readPath(undefined, 'env')).toBeUndefined();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Context Providers
+ * Factories for context sources beyond process.env: .env files, JSON files, argv and mounted directories
+ */
+
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { basename, join } from 'node:path';
+
+/**
+ * Default precedence for providers; built-in layers are process.env (0),
+ * withContext() (100) and runtime context (200)
+ */
+export const DEFAULT_PROVIDER_PRECEDENCE = 50;
+
+/**
+ * Validates a provider object
+ * @param {Object} provider - { name, load, namespace?, precedence? }
+ * @throws {Error} If the provider is malformed
+ */
+export function validateProvider(provider) {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error('Context provider must be an object');
+  }
+  if (typeof provider.name !== 'string' || provider.name === '') {
+    throw new Error("Context provider missing required property 'name'");
+  }
+  if (typeof provider.load !== 'function') {
+    throw new Error(`Context provider '${provider.name}' 'load' must be a function`);
+  }
+  if ('namespace' in provider && provider.namespace !== undefined
+    && (typeof provider.namespace !== 'string' || provider.namespace === '')) {
+    throw new Error(`Context provider '${provider.name}' 'namespace' must be a non-empty string`);
+  }
+  if ('precedence' in provider && !Number.isFinite(provider.precedence)) {
+    throw new Error(`Context provider '${provider.name}' 'precedence' must be a finite number`);
+  }
+}
+
+/**
+ * Parses the contents of a .env file
+ * @param {string} contents - File contents
+ * @returns {Object} Map of variable name to string value
+ */
+export function parseDotenv(contents) {
+  const values = {};
+
+  for (const line of contents.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)?\s*$/.exec(line);
+    if (!match) {
+      continue; // Blank line, comment or malformed entry
+    }
+
+    let value = (match[2] ?? '').trim();
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+      }
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+
+  return values;
+}
+
+/**
+ * Parses command-line arguments into an object
+ * Supports --key=value, --key value, --flag (true) and --no-flag (false);
+ * positional arguments are collected in `_`.
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Object} Parsed arguments
+ */
+export function parseArgv(argv) {
+  const values = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--') || arg === '--') {
+      values._.push(arg);
+      continue;
+    }
+
+    const body = arg.slice(2);
+    const equals = body.indexOf('=');
+    if (equals !== -1) {
+      values[body.slice(0, equals)] = body.slice(equals + 1);
+    } else if (body.startsWith('no-')) {
+      values[body.slice(3)] = false;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      values[body] = argv[++i];
+    } else {
+      values[body] = true;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Reads a file, treating a missing optional file as empty
+ * @param {string} filePath - File to read
+ * @param {boolean} optional - Whether a missing file is allowed
+ * @returns {string|null} Contents, or null for a missing optional file
+ */
+function readOptional(filePath, optional) {
+  try {
+    return readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Provider for a .env file, merged into ctx.env below process.env by default
+ * (so real environment variables win, like dotenv)
+ * @param {string} filePath - Path to the .env file
+ * @param {Object} options - { name, namespace = 'env', precedence = -10, optional = false }
+ * @returns {Object} Context provider
+ */
+export function envFileProvider(filePath, { name = basename(filePath), namespace = 'env', precedence = -10, optional = false } = {}) {
+  return {
+    name,
+    namespace,
+    precedence,
+    load() {
+      const contents = readOptional(filePath, optional);
+      return contents === null ? {} : parseDotenv(contents);
+    }
+  };
+}
+
+/**
+ * Provider for a JSON config file
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} options - { name, namespace = 'file', precedence, optional = false }
+ * @returns {Object} Context provider
+ */
+export function jsonFileProvider(filePath, { name = basename(filePath), namespace = 'file', precedence = DEFAULT_PROVIDER_PRECEDENCE, optional = false } = {}) {
+  return {
+    name,
+    namespace,
+    precedence,
+    load() {
+      const contents = readOptional(filePath, optional);
+      return contents === null ? {} : JSON.parse(contents);
+    }
+  };
+}
+
+/**
+ * Provider for command-line arguments
+ * @param {Array<string>} argv - Arguments to parse (default: process.argv.slice(2))
+ * @param {Object} options - { name = 'argv', namespace = 'argv', precedence }
+ * @returns {Object} Context provider
+ */
+export function argvProvider(argv = process.argv.slice(2), { name = 'argv', namespace = 'argv', precedence = DEFAULT_PROVIDER_PRECEDENCE } = {}) {
+  return {
+    name,
+    namespace,
+    precedence,
+    load() {
+      return parseArgv(argv);
+    }
+  };
+}
+
+/**
+ * Provider for a directory of files, one value per file, such as a
+ * Kubernetes downward-API volume. Hidden entries (e.g. '..data') are skipped.
+ * @param {string} dirPath - Directory to read
+ * @param {Object} options - { name, namespace = basename(dirPath), precedence, optional = false }
+ * @returns {Object} Context provider
+ */
+export function directoryProvider(dirPath, { name = dirPath, namespace = basename(dirPath), precedence = DEFAULT_PROVIDER_PRECEDENCE, optional = false } = {}) {
+  return {
+    name,
+    namespace,
+    precedence,
+    load() {
+      let entries;
+      try {
+        entries = readdirSync(dirPath);
+      } catch (error) {
+        if (optional && error.code === 'ENOENT') {
+          return {};
+        }
+        throw error;
+      }
+
+      const values = {};
+      for (const entry of entries.sort()) {
+        const filePath = join(dirPath, entry);
+        if (!entry.startsWith('.') && statSync(filePath).isFile()) {
+          values[entry] = readFileSync(filePath, 'utf8').trim();
+        }
+      }
+      return values;
+    }
+  };
+}
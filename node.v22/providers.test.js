@@ -0,0 +1,196 @@
+/**
+ * Tests for Context Providers
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import createEnvironmentNameBuilder, {
+  envFileProvider,
+  jsonFileProvider,
+  argvProvider,
+  directoryProvider
+} from './index.js';
+import { parseDotenv, parseArgv } from './providers.js';
+
+describe('Provider parsers', () => {
+  test('should parse .env contents', () => {
+    expect(parseDotenv([
+      '# comment',
+      'NODE_ENV=production',
+      'export REGION = us-east-1',
+      'GREETING="hello\\nworld"',
+      "RAW='a #b'",
+      'TRAILING=value # note',
+      'EMPTY=',
+      'not a line'
+    ].join('\n'))).toEqual({
+      NODE_ENV: 'production',
+      REGION: 'us-east-1',
+      GREETING: 'hello\nworld',
+      RAW: 'a #b',
+      TRAILING: 'value',
+      EMPTY: ''
+    });
+  });
+
+  test('should parse argv', () => {
+    expect(parseArgv(['deploy', '--stage=prod', '--region', 'eu-west-1', '--verbose', '--no-color']))
+      .toEqual({ _: ['deploy'], stage: 'prod', region: 'eu-west-1', verbose: true, color: false });
+  });
+});
+
+describe('Builder providers', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'env-name-providers-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.PROVIDER_STAGE;
+  });
+
+  test('should merge .env files into ctx.env below process.env', () => {
+    const file = join(dir, 'app.env');
+    writeFileSync(file, 'PROVIDER_STAGE=from-file\nPROVIDER_ONLY_FILE=yes\n');
+    process.env.PROVIDER_STAGE = 'from-process';
+
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.env.PROVIDER_STAGE === 'from-process', name: 'process-wins' },
+      { check: (ctx) => ctx.env.PROVIDER_ONLY_FILE === 'yes', name: 'file-value' }
+    ]).withProvider(envFileProvider(file));
+
+    expect(builder.evaluate()).toEqual([[true, 'process-wins'], [true, 'file-value']]);
+  });
+
+  test('should let a higher precedence .env override process.env', () => {
+    const file = join(dir, 'override.env');
+    writeFileSync(file, 'PROVIDER_STAGE=from-file\n');
+    process.env.PROVIDER_STAGE = 'from-process';
+
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.env.PROVIDER_STAGE === 'from-file', name: 'file-wins' }
+    ]).withProvider(envFileProvider(file, { precedence: 10 }));
+
+    expect(builder.evaluate()).toEqual([[true, 'file-wins']]);
+  });
+
+  test('should namespace JSON config files under ctx.file', () => {
+    const file = join(dir, 'config.json');
+    writeFileSync(file, JSON.stringify({ region: 'eu-west-1', replicas: 3 }));
+
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.file.region === 'eu-west-1', name: 'eu' }
+    ]).withProvider(jsonFileProvider(file));
+
+    expect(builder.evaluate()).toEqual([[true, 'eu']]);
+  });
+
+  test('should namespace argv under ctx.argv', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.argv.stage === 'canary', name: 'canary' }
+    ]).withProvider(argvProvider(['--stage', 'canary']));
+
+    expect(builder.evaluate()).toEqual([[true, 'canary']]);
+  });
+
+  test('should read downward-API style directories', () => {
+    const podinfo = join(dir, 'podinfo');
+    mkdirSync(join(podinfo, '..data'), { recursive: true });
+    writeFileSync(join(podinfo, '..data', 'namespace'), 'payments\n');
+    symlinkSync(join('..data', 'namespace'), join(podinfo, 'namespace'));
+    writeFileSync(join(podinfo, 'zone'), 'us-east-1a');
+
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.podinfo.namespace === 'payments', name: 'payments' }
+    ]).withProvider(directoryProvider(podinfo));
+
+    expect(builder.evaluate()).toEqual([[true, 'payments']]);
+    expect(builder.getContext()).toEqual({ podinfo: { namespace: 'payments', zone: 'us-east-1a' } });
+  });
+
+  test('should support optional missing files', () => {
+    const builder = createEnvironmentNameBuilder([{ check: true, name: 'ok' }])
+      .withProvider(envFileProvider(join(dir, 'missing.env'), { optional: true }))
+      .withProvider(jsonFileProvider(join(dir, 'missing.json'), { optional: true }))
+      .withProvider(directoryProvider(join(dir, 'missing'), { optional: true }));
+    expect(builder.evaluate()).toEqual([[true, 'ok']]);
+  });
+
+  test('should wrap provider load errors', () => {
+    const builder = createEnvironmentNameBuilder([{ check: true, name: 'ok' }])
+      .withProvider(jsonFileProvider(join(dir, 'missing.json')));
+    expect(() => builder.evaluate()).toThrow("Error loading context provider 'missing.json': ENOENT");
+  });
+
+  test('should order top-level providers by precedence around withContext and runtime', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.tier, name: 'tier' }
+    ])
+      .withProvider({ name: 'low', load: () => ({ tier: 'low', region: 'low' }), precedence: 10 })
+      .withProvider({ name: 'high', load: () => ({ region: 'high', zone: 'high' }), precedence: 150 })
+      .withContext({ tier: 'context', region: 'context' });
+
+    const { context, sources } = builder.getContext({ sources: true });
+    expect(context).toEqual({ tier: 'context', region: 'high', zone: 'high' });
+    expect(sources).toEqual({ tier: 'withContext', region: 'high', zone: 'high' });
+    expect(builder.explain({ zone: 'runtime' }).context.zone).toBe('runtime');
+  });
+
+  test('should report namespaced sources', () => {
+    const builder = createEnvironmentNameBuilder([])
+      .withProvider({ name: 'flags.json', namespace: 'flags', load: () => ({ beta: true }) })
+      .withProvider({ name: 'remote', namespace: 'flags', precedence: 60, load: () => ({ dark: true }) });
+
+    expect(builder.getContext({ sources: true }).sources).toEqual({
+      'flags.beta': 'flags.json',
+      'flags.dark': 'remote'
+    });
+  });
+
+  test('should load providers once and reload on loadProviders()', async () => {
+    let loads = 0;
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.meta.loads === 1, name: 'first-load' }
+    ]).withProvider({ name: 'counter', namespace: 'meta', load: () => ({ loads: ++loads }) });
+
+    expect(builder.evaluate()).toEqual([[true, 'first-load']]);
+    expect(builder.evaluate()).toEqual([[true, 'first-load']]);
+    await builder.loadProviders();
+    expect(builder.evaluate()).toEqual([]);
+    expect(loads).toBe(2);
+  });
+
+  test('should require loading asynchronous providers before evaluate()', async () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.cloud.zone === 'us-east-1a', name: 'us-east' }
+    ]).withProvider({ name: 'metadata', namespace: 'cloud', load: async () => ({ zone: 'us-east-1a' }) });
+
+    expect(() => builder.evaluate()).toThrow(
+      "Context provider 'metadata' is asynchronous; call loadProviders() or use evaluateAsync()"
+    );
+    await expect(builder.evaluateAsync()).resolves.toEqual([[true, 'us-east']]);
+    expect(builder.evaluate()).toEqual([[true, 'us-east']]);
+  });
+
+  test('should return the builder from loadProviders()', async () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: (ctx) => ctx.cloud.zone === 'a', name: 'zone-a' }
+    ]).withProvider({ name: 'metadata', namespace: 'cloud', load: async () => ({ zone: 'a' }) });
+
+    expect((await builder.loadProviders()).evaluate()).toEqual([[true, 'zone-a']]);
+  });
+
+  test('should validate providers', () => {
+    const builder = createEnvironmentNameBuilder([]);
+    expect(() => builder.withProvider(null)).toThrow('Context provider must be an object');
+    expect(() => builder.withProvider({ load: () => ({}) }))
+      .toThrow("Context provider missing required property 'name'");
+    expect(() => builder.withProvider({ name: 'x' }))
+      .toThrow("Context provider 'x' 'load' must be a function");
+    expect(() => builder.withProvider({ name: 'x', load: () => ({}), precedence: 'high' }))
+      .toThrow("Context provider 'x' 'precedence' must be a finite number");
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Match Results
+ * Result formats for evaluate() and helpers that read names from either format
+ */
+
+import { isComposite, describeComposite } from './dependencies.js';
+import { isRollout } from './rollout.js';
+
+export const RESULT_FORMATS = ['tuples', 'objects'];
+
+/**
+ * Reads the environment name of one result entry
+ * @param {*} entry - [true, name] tuple, { name } object, or a default value entry such as ['fallback']
+ * @returns {*} Name
+ */
+function nameOf(entry) {
+  if (Array.isArray(entry)) {
+    return entry[entry.length - 1];
+  }
+  return entry !== null && typeof entry === 'object' ? entry.name : entry;
+}
+
+/**
+ * Unwraps the matches of a result; builders using the 'collect' error policy return { matches, errors }
+ * @param {*} result - Result of evaluate()/evaluateAsync()
+ * @returns {*} Matches (or the default value) without collected errors
+ */
+export function matchesOf(result) {
+  const collected = result !== null && typeof result === 'object' && !Array.isArray(result) &&
+    'matches' in result && Array.isArray(result.errors);
+  return collected ? result.matches : result;
+}
+
+/**
+ * Lists the distinct names in a result (tuples, objects or an array default value)
+ * @param {*} result - Result of evaluate()/evaluateAsync()
+ * @returns {Array<string>} Names in result order; empty when the result is not an array
+ */
+export function names(result) {
+  const matches = matchesOf(result);
+  return Array.isArray(matches) ? [...new Set(matches.map(nameOf))] : [];
+}
+
+/**
+ * Checks whether a result contains a name
+ * @param {*} result - Result of evaluate()/evaluateAsync()
+ * @param {string} name - Environment name
+ * @returns {boolean} True if the name is present
+ */
+export function has(result, name) {
+  const matches = matchesOf(result);
+  return Array.isArray(matches) && matches.some((entry) => nameOf(entry) === name);
+}
+
+/**
+ * Returns the first entry of a result
+ * @param {*} result - Result of evaluate()/evaluateAsync()
+ * @returns {*} First tuple or match object, or null when the result is empty or not an array
+ */
+export function first(result) {
+  const matches = matchesOf(result);
+  return Array.isArray(matches) && matches.length > 0 ? matches[0] : null;
+}
+
+/**
+ * Describes why a condition matched
+ * @param {Object} condition - Matching condition
+ * @returns {string} 'static', 'function' or the composite expression such as "allOf('a', not('b'))"
+ */
+function reasonOf(condition) {
+  if (isComposite(condition.check)) {
+    return describeComposite(condition.check);
+  }
+  return typeof condition.check === 'function' ? 'function' : 'static';
+}
+
+/**
+ * Formats matching conditions
+ * @param {Array} matched - Matching condition objects
+ * @param {string} format - 'tuples' ([true, name]) or 'objects' ({ name, meta, reason } with
+ *   names(), has() and first() methods)
+ * @param {Object} ctx - Evaluation context, used to report the bucket of rollout() and variants() matches
+ * @returns {Array} Formatted matches; match objects of rollout checks also carry `bucket`
+ *   ({ key, bucket, variant? })
+ */
+export function formatMatches(matched, format, ctx = {}) {
+  if (format !== 'objects') {
+    return matched.map(({ name }) => [true, name]);
+  }
+
+  const result = matched.map((condition) => {
+    const match = { name: condition.name, meta: condition.meta ?? {}, reason: reasonOf(condition) };
+    if (isRollout(condition.check)) {
+      match.bucket = condition.check.bucket(ctx);
+    }
+    return match;
+  });
+  // Non-enumerable so the result still compares and serializes as a plain array
+  Object.defineProperties(result, {
+    names: { value: () => names(result) },
+    has: { value: (name) => has(result, name) },
+    first: { value: () => first(result) }
+  });
+  return result;
+}
@@ -0,0 +1,107 @@
+/**
+ * Tests for Match Results
+ */
+
+import createEnvironmentNameBuilder, { names, has, first, matchesOf, allOf, not, createEndpointResolver } from './index.js';
+
+describe('Match results', () => {
+  const conditions = [
+    { check: true, name: 'prod', meta: { owner: 'platform', endpoint: 'https://api.example.com' } },
+    { check: (ctx) => ctx.debug, name: 'debug', meta: { tags: ['diagnostics'] } },
+    { check: allOf('prod', not('debug')), name: 'stable' }
+  ];
+
+  test('should keep tuples as the default format', () => {
+    const builder = createEnvironmentNameBuilder(conditions);
+    expect(builder.evaluate()).toEqual([[true, 'prod'], [true, 'stable']]);
+  });
+
+  test('should return match objects with meta and reason', () => {
+    const builder = createEnvironmentNameBuilder(conditions, [], { resultFormat: 'objects' });
+
+    expect(builder.evaluate()).toEqual([
+      { name: 'prod', meta: { owner: 'platform', endpoint: 'https://api.example.com' }, reason: 'static' },
+      { name: 'stable', meta: {}, reason: "allOf('prod', not('debug'))" }
+    ]);
+    expect(builder.evaluate({ debug: true })[1]).toEqual({
+      name: 'debug',
+      meta: { tags: ['diagnostics'] },
+      reason: 'function'
+    });
+  });
+
+  test('should expose names(), has() and first() on object results', () => {
+    const result = createEnvironmentNameBuilder(conditions, [], { resultFormat: 'objects' }).evaluate({ debug: true });
+
+    expect(result.names()).toEqual(['prod', 'debug']);
+    expect(result.has('debug')).toBe(true);
+    expect(result.has('stable')).toBe(false);
+    expect(result.first()).toMatchObject({ name: 'prod', meta: { owner: 'platform' } });
+    expect(JSON.parse(JSON.stringify(result))).toHaveLength(2);
+  });
+
+  test('should use object results in evaluateAsync() and explain()', async () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: async () => true, name: 'async', meta: { owner: 'search' } }
+    ], [], { resultFormat: 'objects' });
+
+    expect((await builder.evaluateAsync()).first()).toEqual({ name: 'async', meta: { owner: 'search' }, reason: 'function' });
+    expect(builder.explain().matches.names()).toEqual(['async']);
+  });
+
+  test('should return the default value when nothing matches', () => {
+    const fallback = [['fallback']];
+    const builder = createEnvironmentNameBuilder([{ check: false, name: 'never' }], fallback, { resultFormat: 'objects' });
+    expect(builder.evaluate()).toBe(fallback);
+  });
+
+  describe('standalone helpers', () => {
+    test('should read tuples, objects and default values', () => {
+      const tuples = createEnvironmentNameBuilder(conditions).evaluate({ debug: true });
+      expect(names(tuples)).toEqual(['prod', 'debug']);
+      expect(has(tuples, 'debug')).toBe(true);
+      expect(first(tuples)).toEqual([true, 'prod']);
+
+      expect(names([['fallback']])).toEqual(['fallback']);
+      expect(names([{ name: 'a' }, { name: 'a' }])).toEqual(['a']);
+      expect(names(null)).toEqual([]);
+      expect(has(undefined, 'a')).toBe(false);
+      expect(first([])).toBeNull();
+    });
+
+    test('should unwrap results with collected errors', () => {
+      const fallback = [['fallback']];
+      const builder = createEnvironmentNameBuilder([
+        ...conditions,
+        { check: () => { throw new Error('boom'); }, name: 'broken', onError: 'collect' }
+      ], fallback);
+
+      const result = builder.evaluate({ debug: true });
+      expect(matchesOf(result)).toEqual([[true, 'prod'], [true, 'debug']]);
+      expect(names(result)).toEqual(['prod', 'debug']);
+      expect(has(result, 'broken')).toBe(false);
+      expect(first(result)).toEqual([true, 'prod']);
+      expect(matchesOf(fallback)).toBe(fallback);
+    });
+  });
+
+  test('should work with consumers of evaluate() results', () => {
+    const builder = createEnvironmentNameBuilder(conditions, [], { resultFormat: 'objects' });
+    expect(createEndpointResolver(builder, { stable: 'https://stable.example.com' }).resolve().name).toBe('stable');
+
+    const events = [];
+    builder.onChange((event) => events.push(event));
+    builder.withContext({ debug: true });
+    expect(events[0]).toMatchObject({ added: ['debug'], removed: ['stable'] });
+
+    const collecting = createEnvironmentNameBuilder(conditions, [], { onError: 'collect' });
+    expect(createEndpointResolver(collecting, { stable: 'https://stable.example.com' }).resolve().name).toBe('stable');
+  });
+
+  test('should validate options and meta', () => {
+    expect(() => createEnvironmentNameBuilder([], [], { resultFormat: 'records' }))
+      .toThrow("Option 'resultFormat' must be 'tuples' or 'objects'");
+    expect(() => createEnvironmentNameBuilder([{ check: true, name: 'a', meta: 'owner' }]))
+      .toThrow("Condition at index 0 'meta' must be an object");
+  });
+});
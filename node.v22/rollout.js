@@ -0,0 +1,129 @@
+/**
+ * Percentage Rollout
+ * Condition checks that place context keys (user id, tenant id) into stable percentage buckets
+ */
+
+import { createHash } from 'node:crypto';
+import { readPath } from './paths.js';
+
+const ROLLOUT = Symbol('rollout');
+
+/**
+ * Computes the stable bucket of a key: the same key and salt always give the same bucket
+ * @param {*} key - Bucketing key (stringified)
+ * @param {string} salt - Salt separating independent rollouts (default: '')
+ * @returns {number} Bucket between 0 (inclusive) and 100 (exclusive), in steps of 0.01
+ */
+export function bucketOf(key, salt = '') {
+  const digest = createHash('sha256').update(`${salt}:${key}`).digest();
+  return (digest.readUInt32BE(0) % 10000) / 100;
+}
+
+/**
+ * Validates the shared rollout arguments
+ * @param {string} field - Dotted context path of the bucketing key
+ * @param {Object} options - { salt }
+ * @param {string} helper - Helper name used in error messages
+ * @returns {Object} { segments, salt }
+ * @throws {Error} If the field or salt is invalid
+ */
+function rolloutSettings(field, options, helper) {
+  if (typeof field !== 'string' || field === '') {
+    throw new Error(`${helper}() expects a context field such as 'user.id'`);
+  }
+  const { salt = '' } = options || {};
+  if (typeof salt !== 'string') {
+    throw new Error(`${helper}() option 'salt' must be a string`);
+  }
+  return { segments: field.split('.'), salt };
+}
+
+/**
+ * Creates a rollout check
+ * @param {Function} assign - (key, bucket) => details merged into bucket() results
+ * @param {Function} matches - (details) => boolean
+ * @param {Object} settings - { segments, salt }
+ * @returns {Function} Check function with a bucket(ctx) method
+ */
+function createRolloutCheck(assign, matches, { segments, salt }) {
+  const bucket = (ctx) => {
+    const key = readPath(ctx, segments);
+    if (key === undefined || key === null) {
+      return null;
+    }
+    const value = bucketOf(key, salt);
+    return { key: String(key), bucket: value, ...assign(value) };
+  };
+
+  const check = (ctx) => {
+    const details = bucket(ctx);
+    return details !== null && matches(details);
+  };
+  check.bucket = bucket;
+  check[ROLLOUT] = true;
+  return check;
+}
+
+/**
+ * Checks whether a condition check was created by rollout() or variants()
+ * @param {*} check - Condition check
+ * @returns {boolean} True for rollout checks
+ */
+export function isRollout(check) {
+  return typeof check === 'function' && check[ROLLOUT] === true;
+}
+
+/**
+ * Creates a check matching a percentage of keys. Keys in a lower bucket stay included when the
+ * percentage grows. Contexts without the key never match.
+ * @param {string} field - Dotted context path of the bucketing key, e.g. 'user.id'
+ * @param {number} percentage - Share of keys that match, 0 to 100
+ * @param {Object} options - Rollout options
+ * @param {string} options.salt - Salt so independent rollouts pick different keys (default: '')
+ * @returns {Function} Check function; check.bucket(ctx) returns { key, bucket } or null without a key
+ */
+export function rollout(field, percentage, options = {}) {
+  const settings = rolloutSettings(field, options, 'rollout');
+  if (!(Number.isFinite(percentage) && percentage >= 0 && percentage <= 100)) {
+    throw new Error('rollout() percentage must be a number between 0 and 100');
+  }
+  return createRolloutCheck(() => ({}), ({ bucket }) => bucket < percentage, settings);
+}
+
+/**
+ * Creates one condition per weighted variant; each key lands in at most one variant.
+ * Weights are percentages assigned in order. If they sum below 100, the remaining keys match no variant.
+ * @param {string} field - Dotted context path of the bucketing key, e.g. 'user.id'
+ * @param {Object} weights - Map of variant name to weight, e.g. { control: 50, treatment: 50 }
+ * @param {Object} options - Rollout options
+ * @param {string} options.salt - Salt so independent experiments split keys differently (default: '')
+ * @returns {Array} Conditions [{ check, name }] to include in a builder; check.bucket(ctx) returns
+ *   { key, bucket, variant } (variant null outside every range) or null without a key
+ */
+export function variants(field, weights, options = {}) {
+  const settings = rolloutSettings(field, options, 'variants');
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights) || Object.keys(weights).length === 0) {
+    throw new Error('variants() expects an object mapping variant names to weights');
+  }
+
+  let upper = 0;
+  const ranges = Object.entries(weights).map(([name, weight]) => {
+    if (!(Number.isFinite(weight) && weight >= 0)) {
+      throw new Error(`variants() weight for '${name}' must be a non-negative number`);
+    }
+    const range = { name, from: upper, to: upper + weight };
+    upper = range.to;
+    return range;
+  });
+  if (upper > 100) {
+    throw new Error(`variants() weights must sum to at most 100 (got ${upper})`);
+  }
+
+  const assign = (bucket) => ({
+    variant: ranges.find(({ from, to }) => bucket >= from && bucket < to)?.name ?? null
+  });
+  return ranges.map(({ name }) => ({
+    check: createRolloutCheck(assign, ({ variant }) => variant === name, settings),
+    name
+  }));
+}
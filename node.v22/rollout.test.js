@@ -0,0 +1,144 @@
+/**
+ * Tests for Percentage Rollout
+ */
+
+import createEnvironmentNameBuilder, { rollout, variants, bucketOf } from './index.js';
+
+describe('Percentage rollout', () => {
+  const users = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+
+  describe('bucketOf()', () => {
+    test('should be stable and within range', () => {
+      expect(bucketOf('user-1')).toBe(bucketOf('user-1'));
+      for (const user of users.slice(0, 200)) {
+        const bucket = bucketOf(user, 'salt');
+        expect(bucket).toBeGreaterThanOrEqual(0);
+        expect(bucket).toBeLessThan(100);
+        expect(bucket * 100).toBeCloseTo(Math.round(bucket * 100), 6);
+      }
+    });
+
+    test('should depend on the salt', () => {
+      const unchanged = users.slice(0, 100).filter((user) => bucketOf(user, 'a') === bucketOf(user, 'b'));
+      expect(unchanged.length).toBeLessThan(5);
+    });
+  });
+
+  describe('rollout()', () => {
+    test('should match roughly the requested share of keys', () => {
+      const check = rollout('user.id', 10, { salt: 'canary' });
+      const share = users.filter((id) => check({ user: { id } })).length / users.length;
+      expect(share).toBeGreaterThan(0.07);
+      expect(share).toBeLessThan(0.13);
+    });
+
+    test('should keep included keys when the percentage grows', () => {
+      const small = rollout('userId', 5);
+      const large = rollout('userId', 50);
+      for (const userId of users.slice(0, 500)) {
+        if (small({ userId })) {
+          expect(large({ userId })).toBe(true);
+        }
+      }
+    });
+
+    test('should handle 0, 100 and missing keys', () => {
+      expect(users.slice(0, 100).some((userId) => rollout('userId', 0)({ userId }))).toBe(false);
+      expect(users.slice(0, 100).every((userId) => rollout('userId', 100)({ userId }))).toBe(true);
+      expect(rollout('userId', 100)({})).toBe(false);
+    });
+
+    test('should expose the bucket', () => {
+      const check = rollout('tenant.id', 25, { salt: 'beta' });
+      expect(check.bucket({ tenant: { id: 42 } })).toEqual({ key: '42', bucket: bucketOf(42, 'beta') });
+      expect(check.bucket({})).toBeNull();
+    });
+
+    test('should validate arguments', () => {
+      expect(() => rollout('', 10)).toThrow("rollout() expects a context field such as 'user.id'");
+      expect(() => rollout('userId', 101)).toThrow('rollout() percentage must be a number between 0 and 100');
+      expect(() => rollout('userId', 10, { salt: 1 })).toThrow("rollout() option 'salt' must be a string");
+    });
+  });
+
+  describe('variants()', () => {
+    test('should assign each key to exactly one weighted variant', () => {
+      const conditions = variants('userId', { control: 50, treatment: 30, holdout: 20 }, { salt: 'exp-1' });
+      const counts = { control: 0, treatment: 0, holdout: 0 };
+
+      for (const userId of users) {
+        const matched = conditions.filter(({ check }) => check({ userId }));
+        expect(matched).toHaveLength(1);
+        counts[matched[0].name]++;
+      }
+      expect(counts.control / users.length).toBeGreaterThan(0.45);
+      expect(counts.treatment / users.length).toBeGreaterThan(0.25);
+      expect(counts.holdout / users.length).toBeGreaterThan(0.15);
+    });
+
+    test('should leave keys outside the weights unassigned', () => {
+      const [{ check }] = variants('userId', { beta: 10 });
+      const outside = users.find((userId) => !check({ userId }));
+      expect(check.bucket({ userId: outside })).toMatchObject({ variant: null });
+    });
+
+    test('should validate weights', () => {
+      expect(() => variants('userId', {})).toThrow('variants() expects an object mapping variant names to weights');
+      expect(() => variants('userId', { a: -1 })).toThrow("variants() weight for 'a' must be a non-negative number");
+      expect(() => variants('userId', { a: 60, b: 50 })).toThrow('variants() weights must sum to at most 100 (got 110)');
+    });
+  });
+
+  describe('with a builder', () => {
+    const builder = createEnvironmentNameBuilder([
+      { check: rollout('user.id', 20, { salt: 'canary' }), name: 'canary' },
+      ...variants('user.id', { control: 50, treatment: 50 }, { salt: 'checkout' })
+    ]);
+
+    test('should route the same user consistently', () => {
+      const first = builder.evaluate({ user: { id: 'user-7' } });
+      expect(builder.evaluate({ user: { id: 'user-7' } })).toEqual(first);
+    });
+
+    test('should report buckets in explain()', () => {
+      const { conditions } = builder.explain({ user: { id: 'user-7' } });
+      const bucket = bucketOf('user-7', 'checkout');
+
+      expect(conditions[0].bucket).toEqual({ key: 'user-7', bucket: bucketOf('user-7', 'canary') });
+      expect(conditions[1].bucket).toEqual({ key: 'user-7', bucket, variant: bucket < 50 ? 'control' : 'treatment' });
+      expect(conditions[1].result).toBe(bucket < 50);
+    });
+
+    test('should report buckets on match objects', async () => {
+      const objects = createEnvironmentNameBuilder([
+        { check: rollout('user.id', 100, { salt: 'canary' }), name: 'canary' },
+        ...variants('user.id', { control: 50, treatment: 50 }, { salt: 'checkout' }),
+        { check: true, name: 'always' }
+      ], [], { resultFormat: 'objects', cache: true });
+      const bucket = bucketOf('user-7', 'checkout');
+      const variant = bucket < 50 ? 'control' : 'treatment';
+      const expected = [
+        { name: 'canary', meta: {}, reason: 'function', bucket: { key: 'user-7', bucket: bucketOf('user-7', 'canary') } },
+        { name: variant, meta: {}, reason: 'function', bucket: { key: 'user-7', bucket, variant } },
+        { name: 'always', meta: {}, reason: 'static' }
+      ];
+
+      expect(objects.evaluate({ user: { id: 'user-7' } })).toEqual(expected);
+      expect(objects.evaluate({ user: { id: 'user-7' } })).toEqual(expected);
+      expect(await objects.evaluateAsync({ user: { id: 'user-7' } })).toEqual(expected);
+      expect(objects.explain({ user: { id: 'user-7' } }).matches).toEqual(expected);
+      expect(objects.evaluate({ user: { id: 'user-8' } })[1].bucket.key).toBe('user-8');
+    });
+
+    test('should work with the evaluation cache', () => {
+      const cached = createEnvironmentNameBuilder([
+        { check: rollout('userId', 50), name: 'half' }
+      ], [], { cache: true });
+      const inside = users.find((userId) => rollout('userId', 50)({ userId }));
+      const outside = users.find((userId) => !rollout('userId', 50)({ userId }));
+
+      expect(cached.evaluate({ userId: inside })).toEqual([[true, 'half']]);
+      expect(cached.evaluate({ userId: outside })).toEqual([]);
+    });
+  });
+});
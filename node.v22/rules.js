@@ -0,0 +1,229 @@
+/**
+ * Declarative Rules
+ * Compiles JSON/YAML-style rule documents into { check, name } conditions
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseRange, satisfies } from './semver.js';
+import { readPath } from './paths.js';
+
+const OPERATORS = ['eq', 'ne', 'in', 'regex', 'exists', 'semver'];
+// Rule properties copied to the condition as-is; the builder validates them
+const CONDITION_FIELDS = ['timeout', 'priority', 'group', 'requires', 'excludes', 'meta', 'onError', 'version'];
+
+/**
+ * Creates an error pointing at a location in the rule document
+ * @param {string} path - Location in the document, e.g. "rules[1].when['env.NODE_ENV'].regex"
+ * @param {string} message - What is wrong at that location
+ * @returns {Error} Error with a path-prefixed message
+ */
+function ruleError(path, message) {
+  return new Error(`Invalid rule document at ${path}: ${message}`);
+}
+
+/**
+ * Checks for a plain (non-null, non-array) object
+ * @param {*} value - Value to test
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compiles a single operator into a predicate over a field value
+ * @param {string} operator - Operator name
+ * @param {*} operand - Operator argument from the document
+ * @param {string} path - Location of the operator in the document
+ * @returns {Function} Predicate (value) => boolean
+ */
+function compileOperator(operator, operand, path) {
+  switch (operator) {
+    case 'eq':
+      return (value) => value === operand;
+    case 'ne':
+      return (value) => value !== operand;
+    case 'in':
+      if (!Array.isArray(operand)) {
+        throw ruleError(path, "'in' expects an array");
+      }
+      return (value) => operand.includes(value);
+    case 'regex': {
+      const source = isPlainObject(operand) ? operand.pattern : operand;
+      const flags = isPlainObject(operand) ? operand.flags : undefined;
+      if (typeof source !== 'string') {
+        throw ruleError(path, "'regex' expects a pattern string or { pattern, flags }");
+      }
+      let pattern;
+      try {
+        pattern = new RegExp(source, flags);
+      } catch (error) {
+        throw ruleError(path, error.message);
+      }
+      return (value) => value !== null && value !== undefined && pattern.test(String(value));
+    }
+    case 'exists':
+      if (typeof operand !== 'boolean') {
+        throw ruleError(path, "'exists' expects a boolean");
+      }
+      return (value) => (value !== undefined) === operand;
+    case 'semver': {
+      let range;
+      try {
+        range = parseRange(operand);
+      } catch (error) {
+        throw ruleError(path, error.message);
+      }
+      return (value) => typeof value === 'string' && satisfies(value, range);
+    }
+    default:
+      throw ruleError(path, `unknown operator '${operator}' (expected one of ${OPERATORS.join(', ')})`);
+  }
+}
+
+/**
+ * Compiles a field matcher such as { eq: 'production' } or a bare value (shorthand for eq)
+ * @param {string} field - Dotted context path
+ * @param {*} spec - Operator object or literal value
+ * @param {string} path - Location of the field in the document
+ * @returns {Function} Predicate (ctx) => boolean
+ */
+function compileField(field, spec, path) {
+  const segments = field.split('.');
+  if (segments.some((segment) => segment === '')) {
+    throw ruleError(path, `invalid field path '${field}'`);
+  }
+
+  if (!isPlainObject(spec)) {
+    return (ctx) => readPath(ctx, segments) === spec;
+  }
+
+  const operators = Object.keys(spec);
+  if (operators.length === 0) {
+    throw ruleError(path, 'expected at least one operator');
+  }
+
+  const predicates = operators.map((operator) =>
+    compileOperator(operator, spec[operator], `${path}.${operator}`)
+  );
+  return (ctx) => {
+    const value = readPath(ctx, segments);
+    return predicates.every((predicate) => predicate(value));
+  };
+}
+
+/**
+ * Compiles a `when` clause: field matchers combined with all/any/not
+ * @param {Object} when - Clause from the document
+ * @param {string} path - Location of the clause in the document
+ * @returns {Function} Predicate (ctx) => boolean
+ */
+function compileWhen(when, path) {
+  if (!isPlainObject(when)) {
+    throw ruleError(path, 'expected an object');
+  }
+
+  const keys = Object.keys(when);
+  if (keys.length === 0) {
+    throw ruleError(path, 'expected at least one field or logical operator');
+  }
+
+  const predicates = keys.map((key) => {
+    const value = when[key];
+
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw ruleError(`${path}.${key}`, `'${key}' expects a non-empty array of clauses`);
+      }
+      const clauses = value.map((clause, i) => compileWhen(clause, `${path}.${key}[${i}]`));
+      return key === 'all'
+        ? (ctx) => clauses.every((clause) => clause(ctx))
+        : (ctx) => clauses.some((clause) => clause(ctx));
+    }
+
+    if (key === 'not') {
+      const clause = compileWhen(value, `${path}.not`);
+      return (ctx) => !clause(ctx);
+    }
+
+    return compileField(key, value, `${path}['${key}']`);
+  });
+
+  return (ctx) => predicates.every((predicate) => predicate(ctx));
+}
+
+/**
+ * Compiles a declarative rule document into conditions for createEnvironmentNameBuilder
+ *
+ * Document shape: an array of rules, or { rules: [...] }. Each rule is { name, when } plus any of
+ * the condition fields timeout, priority, group, requires, excludes, meta, onError and version,
+ * where `when` maps dotted context paths to operator
+ * objects ({ eq, ne, in, regex, exists, semver }) or literal values, and may
+ * combine clauses with { all: [...] }, { any: [...] } and { not: {...} }.
+ *
+ * @param {Array|Object} document - Parsed rule document
+ * @returns {Array} Array of { check, name, source } conditions
+ * @throws {Error} If the document is malformed, with the path of the offending rule and field
+ */
+export function compileRules(document) {
+  const rules = Array.isArray(document) ? document : document?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error("Rule document must be an array or an object with a 'rules' array");
+  }
+
+  return rules.map((rule, i) => {
+    const path = `rules[${i}]`;
+    if (!isPlainObject(rule)) {
+      throw ruleError(path, 'rule must be an object');
+    }
+    if (typeof rule.name !== 'string' || rule.name === '') {
+      throw ruleError(`${path}.name`, 'expected a non-empty string');
+    }
+    if (!('when' in rule)) {
+      throw ruleError(path, `rule '${rule.name}' missing required property 'when'`);
+    }
+
+    for (const key of Object.keys(rule)) {
+      if (key !== 'name' && key !== 'when' && !CONDITION_FIELDS.includes(key)) {
+        throw ruleError(`${path}.${key}`, 'unknown property');
+      }
+    }
+
+    const condition = {
+      check: compileWhen(rule.when, `${path}.when`),
+      name: rule.name,
+      source: path
+    };
+    for (const key of CONDITION_FIELDS) {
+      if (key in rule) {
+        condition[key] = rule[key];
+      }
+    }
+    return condition;
+  });
+}
+
+/**
+ * Loads and compiles a rule document from disk
+ * @param {string} filePath - Path to a .json file, or any file when `parse` is given
+ * @param {Object} options - Loader options
+ * @param {Function} options.parse - Parser for the file contents (e.g. a YAML parser's parse function)
+ * @returns {Array} Array of { check, name, source } conditions
+ * @throws {Error} If the file cannot be parsed or the document is malformed
+ */
+export function loadRules(filePath, { parse } = {}) {
+  const extension = extname(filePath).toLowerCase();
+  if (!parse && extension !== '.json') {
+    throw new Error(`No parser for '${filePath}': pass { parse } to load ${extension || 'extensionless'} rule files`);
+  }
+
+  const contents = readFileSync(filePath, 'utf8');
+  let document;
+  try {
+    document = (parse || JSON.parse)(contents);
+  } catch (error) {
+    throw new Error(`Failed to parse rule file '${filePath}': ${error.message}`);
+  }
+  return compileRules(document);
+}
@@ -0,0 +1,233 @@
+/**
+ * Tests for Declarative Rules
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import createEnvironmentNameBuilder, { compileRules, loadRules } from './index.js';
+
+describe('compileRules', () => {
+  describe('Document shape', () => {
+    test('should accept an array of rules', () => {
+      const conditions = compileRules([{ name: 'prod', when: { stage: 'prod' } }]);
+      expect(conditions).toHaveLength(1);
+      expect(conditions[0].name).toBe('prod');
+      expect(typeof conditions[0].check).toBe('function');
+      expect(conditions[0].source).toBe('rules[0]');
+    });
+
+    test('should accept an object with a rules array', () => {
+      const conditions = compileRules({ rules: [{ name: 'prod', when: { stage: 'prod' } }] });
+      expect(conditions.map(({ name }) => name)).toEqual(['prod']);
+    });
+
+    test('should throw error if document has no rules array', () => {
+      expect(() => compileRules({ name: 'prod' })).toThrow(
+        "Rule document must be an array or an object with a 'rules' array"
+      );
+    });
+
+    test('should produce conditions accepted by the builder', () => {
+      const builder = createEnvironmentNameBuilder(compileRules([
+        {
+          name: 'prod',
+          when: {
+            'env.NODE_ENV': { eq: 'production' },
+            region: { in: ['us-east-1', 'us-west-2'] }
+          }
+        },
+        { name: 'eu', when: { region: { regex: '^eu-' } } }
+      ]));
+
+      expect(builder.evaluate({ env: { NODE_ENV: 'production' }, region: 'us-west-2' }))
+        .toEqual([[true, 'prod']]);
+      expect(builder.evaluate({ env: { NODE_ENV: 'production' }, region: 'eu-west-1' }))
+        .toEqual([[true, 'eu']]);
+    });
+
+    test('should pass rule timeout through to the condition', () => {
+      const [condition] = compileRules([{ name: 'slow', when: { a: 1 }, timeout: 50 }]);
+      expect(condition.timeout).toBe(50);
+    });
+
+    test('should pass condition fields through to the condition', () => {
+      const fields = {
+        priority: 10,
+        group: 'stage',
+        requires: ['eu'],
+        excludes: ['debug'],
+        meta: { owner: 'platform' },
+        onError: 'treat-as-false',
+        version: 2
+      };
+      const [, condition] = compileRules([{ name: 'eu', when: { region: 'eu' } }, { name: 'prod', when: { a: 1 }, ...fields }]);
+      expect(condition).toMatchObject({ name: 'prod', source: 'rules[1]', ...fields });
+    });
+  });
+
+  describe('Operators', () => {
+    const matches = (when, ctx) => compileRules([{ name: 'rule', when }])[0].check(ctx);
+
+    test('should treat literal values as eq', () => {
+      expect(matches({ tier: 'premium' }, { tier: 'premium' })).toBe(true);
+      expect(matches({ tier: 'premium' }, { tier: 'basic' })).toBe(false);
+    });
+
+    test('should support eq and ne', () => {
+      expect(matches({ tier: { eq: 'premium' } }, { tier: 'premium' })).toBe(true);
+      expect(matches({ tier: { ne: 'premium' } }, { tier: 'premium' })).toBe(false);
+      expect(matches({ tier: { ne: 'premium' } }, {})).toBe(true);
+    });
+
+    test('should support in', () => {
+      expect(matches({ region: { in: ['us', 'eu'] } }, { region: 'eu' })).toBe(true);
+      expect(matches({ region: { in: ['us', 'eu'] } }, { region: 'ap' })).toBe(false);
+    });
+
+    test('should support regex as string or { pattern, flags }', () => {
+      expect(matches({ host: { regex: '^api\\.' } }, { host: 'api.example.com' })).toBe(true);
+      expect(matches({ host: { regex: { pattern: '^API', flags: 'i' } } }, { host: 'api.x' })).toBe(true);
+      expect(matches({ host: { regex: '^api' } }, {})).toBe(false);
+    });
+
+    test('should support exists', () => {
+      expect(matches({ 'env.CI': { exists: true } }, { env: { CI: '1' } })).toBe(true);
+      expect(matches({ 'env.CI': { exists: true } }, { env: {} })).toBe(false);
+      expect(matches({ 'env.CI': { exists: false } }, {})).toBe(true);
+    });
+
+    test('should support semver ranges', () => {
+      expect(matches({ version: { semver: '>=20 <23' } }, { version: '22.1.0' })).toBe(true);
+      expect(matches({ version: { semver: '^1.2.0' } }, { version: '2.0.0' })).toBe(false);
+      expect(matches({ version: { semver: '^1.2.0' } }, { version: 'not-a-version' })).toBe(false);
+    });
+
+    test('should require every operator on a field to match', () => {
+      const when = { region: { regex: '^us-', ne: 'us-gov-west-1' } };
+      expect(matches(when, { region: 'us-east-1' })).toBe(true);
+      expect(matches(when, { region: 'us-gov-west-1' })).toBe(false);
+    });
+
+    test('should support all, any and not', () => {
+      const when = {
+        any: [{ tier: 'premium' }, { tier: 'enterprise' }],
+        not: { region: { in: ['cn-north-1'] } },
+        all: [{ 'env.NODE_ENV': 'production' }]
+      };
+      const env = { NODE_ENV: 'production' };
+      expect(matches(when, { env, tier: 'enterprise', region: 'us' })).toBe(true);
+      expect(matches(when, { env, tier: 'basic', region: 'us' })).toBe(false);
+      expect(matches(when, { env, tier: 'premium', region: 'cn-north-1' })).toBe(false);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should point at a rule that is not an object', () => {
+      expect(() => compileRules([{ name: 'ok', when: { a: 1 } }, 'prod'])).toThrow(
+        'Invalid rule document at rules[1]: rule must be an object'
+      );
+    });
+
+    test('should point at a missing name', () => {
+      expect(() => compileRules([{ when: { a: 1 } }])).toThrow(
+        'Invalid rule document at rules[0].name: expected a non-empty string'
+      );
+    });
+
+    test('should point at a missing when', () => {
+      expect(() => compileRules([{ name: 'prod' }])).toThrow(
+        "Invalid rule document at rules[0]: rule 'prod' missing required property 'when'"
+      );
+    });
+
+    test('should point at the offending field and operator', () => {
+      expect(() => compileRules([
+        { name: 'ok', when: { a: 1 } },
+        { name: 'prod', when: { region: { in: 'us-east-1' } } }
+      ])).toThrow("Invalid rule document at rules[1].when['region'].in: 'in' expects an array");
+    });
+
+    test('should report unknown operators', () => {
+      expect(() => compileRules([{ name: 'prod', when: { 'env.NODE_ENV': { equals: 'x' } } }]))
+        .toThrow("Invalid rule document at rules[0].when['env.NODE_ENV'].equals: unknown operator 'equals'");
+    });
+
+    test('should report invalid regular expressions', () => {
+      expect(() => compileRules([{ name: 'prod', when: { host: { regex: '(' } } }]))
+        .toThrow("Invalid rule document at rules[0].when['host'].regex:");
+    });
+
+    test('should report invalid semver ranges', () => {
+      expect(() => compileRules([{ name: 'node', when: { version: { semver: 'latest' } } }]))
+        .toThrow("Invalid rule document at rules[0].when['version'].semver: Invalid semver range 'latest'");
+    });
+
+    test('should report paths inside nested logical clauses', () => {
+      expect(() => compileRules([
+        { name: 'prod', when: { any: [{ a: 1 }, { b: { exists: 'yes' } }] } }
+      ])).toThrow("Invalid rule document at rules[0].when.any[1]['b'].exists: 'exists' expects a boolean");
+    });
+
+    test('should reject empty logical clauses', () => {
+      expect(() => compileRules([{ name: 'prod', when: { all: [] } }])).toThrow(
+        "Invalid rule document at rules[0].when.all: 'all' expects a non-empty array of clauses"
+      );
+    });
+
+    test('should point at unknown rule properties', () => {
+      expect(() => compileRules([{ name: 'prod', when: { a: 1 }, priorty: 1 }])).toThrow(
+        'Invalid rule document at rules[0].priorty: unknown property'
+      );
+    });
+
+    test('should include the rule location in builder validation errors', () => {
+      const conditions = compileRules([{ name: 'slow', when: { a: 1 }, timeout: -1 }]);
+      expect(() => createEnvironmentNameBuilder(conditions)).toThrow(
+        "Condition at index 0 (rules[0]) 'timeout' must be a positive number"
+      );
+    });
+  });
+});
+
+describe('loadRules', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'env-name-rules-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should load a JSON rule file', () => {
+    const file = join(dir, 'rules.json');
+    writeFileSync(file, JSON.stringify({ rules: [{ name: 'prod', when: { stage: 'prod' } }] }));
+    const builder = createEnvironmentNameBuilder(loadRules(file));
+    expect(builder.evaluate({ stage: 'prod' })).toEqual([[true, 'prod']]);
+  });
+
+  test('should use a custom parser for other formats', () => {
+    const file = join(dir, 'rules.yaml');
+    writeFileSync(file, 'prod:stage=prod');
+    const parse = (text) => text.split('\n').map((line) => {
+      const [name, expr] = line.split(':');
+      const [field, value] = expr.split('=');
+      return { name, when: { [field]: value } };
+    });
+    expect(loadRules(file, { parse })[0].check({ stage: 'prod' })).toBe(true);
+  });
+
+  test('should require a parser for non-JSON files', () => {
+    const file = join(dir, 'rules.yaml');
+    writeFileSync(file, 'rules: []');
+    expect(() => loadRules(file)).toThrow("pass { parse } to load .yaml rule files");
+  });
+
+  test('should report parse failures with the file path', () => {
+    const file = join(dir, 'rules.json');
+    writeFileSync(file, '{ not json');
+    expect(() => loadRules(file)).toThrow(`Failed to parse rule file '${file}'`);
+  });
+});
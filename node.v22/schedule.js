@@ -0,0 +1,334 @@
+/**
+ * Schedule Conditions
+ * Cron expressions, date ranges and maintenance windows evaluated in IANA time zones
+ * against the builder's clock
+ */
+
+import { parseDuration } from './env-schema.js';
+
+/**
+ * Context key holding the builder's clock; set by the builder, read through now(ctx)
+ */
+export const CLOCK = Symbol('clock');
+
+const MINUTE = 60000;
+const MAX_WINDOW_DURATION = 7 * 24 * 60 * MINUTE;
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAYS, offset: 0 }
+];
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const SCHEDULE_KEYS = ['cron', 'from', 'until', 'timeZone', 'windows'];
+
+/**
+ * Returns the current time from the builder's clock (the real clock when none is configured).
+ * Use it in custom checks instead of new Date() so tests can freeze time.
+ * @param {Object} ctx - Evaluation context
+ * @returns {Date} Current time
+ */
+export function now(ctx) {
+  const clock = ctx?.[CLOCK];
+  const value = clock ? clock() : Date.now();
+  return value instanceof Date ? value : new Date(value);
+}
+
+const formatters = new Map();
+
+/**
+ * Reads the wall-clock fields of an instant in a time zone
+ * @param {number} time - Timestamp in milliseconds
+ * @param {string} timeZone - IANA time zone, or undefined for the local zone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } with month 1-12 and weekday 0-6 (Sunday 0)
+ */
+function zonedFields(time, timeZone) {
+  const key = timeZone ?? '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(key).formatToParts(time)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toUpperCase())
+  };
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a timestamp
+ * @param {Array<number>} fields - [year, month, day, hour, minute, second] with month 1-12
+ * @param {string} timeZone - IANA time zone, or undefined for the local zone
+ * @returns {number} Timestamp in milliseconds
+ */
+function zonedTimeToTimestamp([year, month, day, hour, minute, second], timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = (time) => {
+    const f = zonedFields(time, timeZone);
+    return Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second) - time;
+  };
+  // The offset at the first guess may differ across a DST change, so check it once more
+  const guess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(guess);
+}
+
+/**
+ * Validates a time zone name
+ * @param {string} timeZone - IANA time zone
+ * @throws {Error} If the time zone is unknown
+ */
+function validateTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Invalid time zone '${timeZone}'`);
+  }
+}
+
+/**
+ * Converts a schedule date to a timestamp. Strings without an offset ('2024-12-20' or
+ * '2024-12-20T18:00') are wall-clock times in the schedule's time zone.
+ * @param {Date|number|string} value - Date, timestamp or ISO 8601 string
+ * @param {string} timeZone - IANA time zone, or undefined for the local zone
+ * @param {string} label - Option name used in error messages
+ * @returns {number} Timestamp in milliseconds
+ * @throws {Error} If the value is not a valid date
+ */
+function toTimestamp(value, timeZone, label) {
+  let time = NaN;
+  if (value instanceof Date) {
+    time = value.getTime();
+  } else if (typeof value === 'number') {
+    time = value;
+  } else if (typeof value === 'string') {
+    const local = LOCAL_DATE_TIME.exec(value);
+    time = local
+      ? zonedTimeToTimestamp(local.slice(1).map((part) => Number(part ?? 0)), timeZone)
+      : Date.parse(value);
+  }
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid schedule '${label}' date '${value}'`);
+  }
+  return time;
+}
+
+/**
+ * Parses one cron field value (a number or a month/weekday name)
+ * @param {string} text - Field value
+ * @param {Object} field - Field definition
+ * @param {string} expression - Full expression for error messages
+ * @returns {number} Numeric value
+ */
+function parseCronValue(text, field, expression) {
+  const nameIndex = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = nameIndex !== -1 ? nameIndex + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw new Error(`Invalid cron expression '${expression}': '${text}' is not a valid ${field.name}`);
+  }
+  return value;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week).
+ * Supports '*', lists, ranges, steps and JAN-DEC / SUN-SAT names; day of week 7 is Sunday.
+ * @param {string} expression - Cron expression such as '*\/15 9-17 * * MON-FRI'
+ * @returns {Object} { fields: Array<Set<number>>, domRestricted, dowRestricted }
+ * @throws {Error} If the expression is malformed
+ */
+export function parseCron(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression '${expression}': expected 5 fields`);
+  }
+
+  const fields = parts.map((part, index) => {
+    const field = CRON_FIELDS[index];
+    const values = new Set();
+    for (const item of part.split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!(Number.isInteger(step) && step > 0)) {
+        throw new Error(`Invalid cron expression '${expression}': invalid step in '${item}'`);
+      }
+
+      let from;
+      let to;
+      if (range === '*') {
+        [from, to] = [field.min, field.max];
+      } else if (range.includes('-')) {
+        [from, to] = range.split('-').map((text) => parseCronValue(text, field, expression));
+      } else {
+        from = parseCronValue(range, field, expression);
+        to = stepText === undefined ? from : field.max;
+      }
+      if (from > to) {
+        throw new Error(`Invalid cron expression '${expression}': range '${range}' is reversed`);
+      }
+      for (let value = from; value <= to; value += step) {
+        // Day of week 7 is Sunday
+        values.add(index === 4 && value === 7 ? 0 : value);
+      }
+    }
+    return values;
+  });
+
+  return { fields, domRestricted: parts[2] !== '*', dowRestricted: parts[4] !== '*' };
+}
+
+/**
+ * Checks whether a parsed cron expression selects an hour (every field except the minute)
+ * @param {Object} cron - Result of parseCron()
+ * @param {Object} zoned - Wall-clock fields from zonedFields()
+ * @returns {boolean} True if the hour matches
+ */
+function cronHourMatches({ fields, domRestricted, dowRestricted }, { month, day, hour, weekday }) {
+  if (!fields[1].has(hour) || !fields[3].has(month)) {
+    return false;
+  }
+  // As in cron, a restricted day of month and day of week match when either one does
+  const dom = fields[2].has(day);
+  const dow = fields[4].has(weekday);
+  return domRestricted && dowRestricted ? dom || dow : dom && dow;
+}
+
+/**
+ * Checks whether a parsed cron expression matches the minute containing an instant
+ * @param {Object} cron - Result of parseCron()
+ * @param {number} time - Timestamp in milliseconds
+ * @param {string} timeZone - IANA time zone, or undefined for the local zone
+ * @returns {boolean} True if the minute matches
+ */
+function cronMatches(cron, time, timeZone) {
+  const zoned = zonedFields(time, timeZone);
+  return cron.fields[0].has(zoned.minute) && cronHourMatches(cron, zoned);
+}
+
+/**
+ * Normalizes a maintenance window: a fixed { from, until } range or a recurring { cron, duration }
+ * @param {Object} window - Window definition
+ * @param {number} index - Position in the windows array
+ * @param {string} timeZone - IANA time zone, or undefined for the local zone
+ * @returns {Function} (time) => boolean
+ */
+function compileWindow(window, index, timeZone) {
+  const label = `windows[${index}]`;
+  if (!window || typeof window !== 'object') {
+    throw new Error(`Schedule '${label}' must be { from, until } or { cron, duration }`);
+  }
+
+  if ('cron' in window) {
+    const cron = parseCron(window.cron);
+    const duration = typeof window.duration === 'number' ? window.duration : parseDuration(window.duration ?? '');
+    if (!(duration > 0 && duration <= MAX_WINDOW_DURATION)) {
+      throw new Error(`Schedule '${label}.duration' must be a duration between 1ms and 7d`);
+    }
+    const minutes = [...cron.fields[0]].sort((a, b) => b - a);
+    // Active when the cron fired within the last `duration`. Walks back one wall-clock hour at a time
+    // and picks the latest selected minute of the first matching hour, so a 7d window reads about
+    // 170 hours instead of 10080 minutes.
+    return (time) => {
+      let tick = time - (time % MINUTE);
+      while (time - tick < duration) {
+        const zoned = zonedFields(tick, timeZone);
+        const minute = cronHourMatches(cron, zoned) ? minutes.find((value) => value <= zoned.minute) : undefined;
+        if (minute !== undefined) {
+          const fired = tick - (zoned.minute - minute) * MINUTE;
+          if (cronMatches(cron, fired, timeZone)) {
+            return time - fired < duration;
+          }
+          // The wall clock jumped inside this hour (a half-hour DST change), so go minute by minute
+          tick -= MINUTE;
+        } else {
+          // Last minute of the previous hour
+          tick -= (zoned.minute + 1) * MINUTE;
+        }
+      }
+      return false;
+    };
+  }
+
+  if (!('from' in window) || !('until' in window)) {
+    throw new Error(`Schedule '${label}' must be { from, until } or { cron, duration }`);
+  }
+  const from = toTimestamp(window.from, timeZone, `${label}.from`);
+  const until = toTimestamp(window.until, timeZone, `${label}.until`);
+  return (time) => time >= from && time < until;
+}
+
+/**
+ * Creates a check that matches while the clock is inside a schedule. Every given part must match.
+ * @param {Object} spec - Schedule definition
+ * @param {string} spec.cron - Five-field cron expression; matches during every minute it selects
+ * @param {Date|number|string} spec.from - Start of the active date range (inclusive)
+ * @param {Date|number|string} spec.until - End of the active date range (exclusive)
+ * @param {Array<Object>} spec.windows - Windows where at least one must be active: { from, until } or
+ *   { cron, duration } (active for `duration`, e.g. '2h', after each cron minute)
+ * @param {string} spec.timeZone - IANA time zone for cron fields and offset-less dates (default: local zone)
+ * @returns {Function} Check function reading the time through now(ctx)
+ * @throws {Error} If the schedule is malformed
+ */
+export function schedule(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('schedule() expects an object with cron, from/until or windows');
+  }
+  for (const key of Object.keys(spec)) {
+    if (!SCHEDULE_KEYS.includes(key)) {
+      throw new Error(`Unknown schedule option '${key}'`);
+    }
+  }
+  if (!['cron', 'from', 'until', 'windows'].some((key) => key in spec)) {
+    throw new Error('schedule() expects an object with cron, from/until or windows');
+  }
+
+  const { timeZone } = spec;
+  if (timeZone !== undefined) {
+    validateTimeZone(timeZone);
+  }
+
+  const tests = [];
+  if ('cron' in spec) {
+    const cron = parseCron(spec.cron);
+    tests.push((time) => cronMatches(cron, time, timeZone));
+  }
+  if ('from' in spec) {
+    const from = toTimestamp(spec.from, timeZone, 'from');
+    tests.push((time) => time >= from);
+  }
+  if ('until' in spec) {
+    const until = toTimestamp(spec.until, timeZone, 'until');
+    tests.push((time) => time < until);
+  }
+  if ('windows' in spec) {
+    if (!Array.isArray(spec.windows) || spec.windows.length === 0) {
+      throw new Error("Schedule 'windows' must be a non-empty array");
+    }
+    const windows = spec.windows.map((window, index) => compileWindow(window, index, timeZone));
+    tests.push((time) => windows.some((active) => active(time)));
+  }
+
+  return (ctx) => {
+    const time = now(ctx).getTime();
+    return tests.every((test) => test(time));
+  };
+}
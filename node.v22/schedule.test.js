@@ -0,0 +1,233 @@
+/**
+ * Tests for Schedule Conditions
+ */
+
+import createEnvironmentNameBuilder, { schedule, now } from './index.js';
+import { parseCron } from './schedule.js';
+
+/**
+ * Creates a builder with a frozen clock that tests can move
+ * @param {Array} conditions - Conditions
+ * @param {string} start - ISO timestamp to start at
+ * @param {Object} options - Extra builder options
+ * @returns {Object} { builder, setTime }
+ */
+function withClock(conditions, start, options = {}) {
+  let time = new Date(start);
+  const builder = createEnvironmentNameBuilder(conditions, [], { ...options, clock: () => time });
+  return { builder, setTime: (iso) => { time = new Date(iso); } };
+}
+
+describe('Schedule conditions', () => {
+  describe('parseCron()', () => {
+    test('should parse lists, ranges, steps and names', () => {
+      const { fields, domRestricted, dowRestricted } = parseCron('*/20 9-11,14 * jan-mar MON-FRI');
+      expect([...fields[0]]).toEqual([0, 20, 40]);
+      expect([...fields[1]]).toEqual([9, 10, 11, 14]);
+      expect([...fields[3]]).toEqual([1, 2, 3]);
+      expect([...fields[4]]).toEqual([1, 2, 3, 4, 5]);
+      expect(domRestricted).toBe(false);
+      expect(dowRestricted).toBe(true);
+    });
+
+    test('should treat day of week 7 as Sunday', () => {
+      expect([...parseCron('0 0 * * 5-7').fields[4]]).toEqual([5, 6, 0]);
+    });
+
+    test('should reject malformed expressions', () => {
+      expect(() => parseCron('* * *')).toThrow("Invalid cron expression '* * *': expected 5 fields");
+      expect(() => parseCron('60 * * * *')).toThrow("Invalid cron expression '60 * * * *': '60' is not a valid minute");
+      expect(() => parseCron('* * * * FUNDAY')).toThrow("'FUNDAY' is not a valid day of week");
+      expect(() => parseCron('*/0 * * * *')).toThrow("invalid step in '*/0'");
+      expect(() => parseCron('* 17-9 * * *')).toThrow("range '17-9' is reversed");
+    });
+  });
+
+  describe('cron schedules', () => {
+    test('should match business hours in a time zone', () => {
+      const { builder, setTime } = withClock([
+        { check: schedule({ cron: '* 9-16 * * MON-FRI', timeZone: 'America/New_York' }), name: 'business-hours' }
+      ], '2024-03-06T14:30:00Z'); // Wednesday 09:30 in New York
+
+      expect(builder.evaluate()).toEqual([[true, 'business-hours']]);
+      setTime('2024-03-06T22:00:00Z'); // 17:00 in New York
+      expect(builder.evaluate()).toEqual([]);
+      setTime('2024-03-09T15:00:00Z'); // Saturday
+      expect(builder.evaluate()).toEqual([]);
+    });
+
+    test('should follow daylight saving time', () => {
+      const check = schedule({ cron: '0 9 * * *', timeZone: 'Europe/Berlin' });
+      const evaluate = (iso) => withClock([{ check, name: 'nine' }], iso).builder.evaluate();
+
+      expect(evaluate('2024-01-15T08:00:00Z')).toEqual([[true, 'nine']]); // CET, UTC+1
+      expect(evaluate('2024-07-15T07:00:00Z')).toEqual([[true, 'nine']]); // CEST, UTC+2
+      expect(evaluate('2024-07-15T08:00:00Z')).toEqual([]);
+    });
+
+    test('should match either restricted day field like cron', () => {
+      const check = schedule({ cron: '* * 1 * MON', timeZone: 'UTC' });
+      const evaluate = (iso) => withClock([{ check, name: 'day' }], iso).builder.evaluate();
+
+      expect(evaluate('2024-05-01T12:00:00Z')).toEqual([[true, 'day']]); // 1st, Wednesday
+      expect(evaluate('2024-05-06T12:00:00Z')).toEqual([[true, 'day']]); // Monday
+      expect(evaluate('2024-05-07T12:00:00Z')).toEqual([]);
+    });
+  });
+
+  describe('date ranges and windows', () => {
+    test('should match a date range with offset-less dates in the time zone', () => {
+      const { builder, setTime } = withClock([
+        {
+          check: schedule({ from: '2024-12-20', until: '2025-01-02T09:00', timeZone: 'Asia/Tokyo' }),
+          name: 'freeze'
+        }
+      ], '2024-12-19T14:59:59Z'); // 23:59:59 in Tokyo
+
+      expect(builder.evaluate()).toEqual([]);
+      setTime('2024-12-19T15:00:00Z');
+      expect(builder.evaluate()).toEqual([[true, 'freeze']]);
+      setTime('2025-01-01T23:59:59Z');
+      expect(builder.evaluate()).toEqual([[true, 'freeze']]);
+      setTime('2025-01-02T00:00:00Z');
+      expect(builder.evaluate()).toEqual([]);
+    });
+
+    test('should accept Date objects, timestamps and offsets', () => {
+      const check = schedule({ from: new Date('2024-06-01T00:00:00Z'), until: Date.parse('2024-06-02T00:00:00Z') });
+      const offsetCheck = schedule({ from: '2024-06-01T02:00:00+02:00', until: '2024-06-02T00:00:00Z' });
+      const { builder } = withClock([
+        { check, name: 'dates' },
+        { check: offsetCheck, name: 'offsets' }
+      ], '2024-06-01T00:00:00Z');
+
+      expect(builder.evaluate()).toEqual([[true, 'dates'], [true, 'offsets']]);
+    });
+
+    test('should match recurring maintenance windows', () => {
+      const { builder, setTime } = withClock([
+        {
+          check: schedule({
+            windows: [
+              { cron: '0 2 * * SUN', duration: '2h' },
+              { from: '2024-06-05T10:00:00Z', until: '2024-06-05T10:30:00Z' }
+            ],
+            timeZone: 'UTC'
+          }),
+          name: 'maintenance'
+        }
+      ], '2024-06-09T01:59:59Z');
+
+      expect(builder.evaluate()).toEqual([]);
+      setTime('2024-06-09T02:00:00Z');
+      expect(builder.evaluate()).toEqual([[true, 'maintenance']]);
+      setTime('2024-06-09T03:59:59Z');
+      expect(builder.evaluate()).toEqual([[true, 'maintenance']]);
+      setTime('2024-06-09T04:00:00Z');
+      expect(builder.evaluate()).toEqual([]);
+      setTime('2024-06-05T10:15:00Z');
+      expect(builder.evaluate()).toEqual([[true, 'maintenance']]);
+    });
+
+    test('should find the last firing of long windows hour by hour', () => {
+      const { builder, setTime } = withClock([
+        {
+          check: schedule({ windows: [{ cron: '15,45 2 * * SUN', duration: '6d' }], timeZone: 'Europe/Berlin' }),
+          name: 'freeze'
+        }
+      ], '2024-06-09T00:14:59Z');
+      const formatToParts = Intl.DateTimeFormat.prototype.formatToParts;
+      let calls = 0;
+      Intl.DateTimeFormat.prototype.formatToParts = function (...args) {
+        calls += 1;
+        return formatToParts.apply(this, args);
+      };
+
+      try {
+        // From 02:15 local time on Sunday until six days after the 02:45 firing
+        expect(builder.evaluate()).toEqual([]);
+        setTime('2024-06-09T00:15:00Z');
+        expect(builder.evaluate()).toEqual([[true, 'freeze']]);
+        setTime('2024-06-15T00:44:59Z');
+        expect(builder.evaluate()).toEqual([[true, 'freeze']]);
+        calls = 0;
+        setTime('2024-06-15T00:45:00Z');
+        expect(builder.evaluate()).toEqual([]);
+        // One read per hour of the window plus a few, where a minute-by-minute scan needs 8640
+        expect(calls).toBeLessThanOrEqual(6 * 24 + 2);
+      } finally {
+        Intl.DateTimeFormat.prototype.formatToParts = formatToParts;
+      }
+    });
+
+    test('should require every given part to match', () => {
+      const { builder, setTime } = withClock([
+        { check: schedule({ cron: '* 9-17 * * *', from: '2024-01-01T00:00:00Z', timeZone: 'UTC' }), name: 'after-launch' }
+      ], '2023-12-31T10:00:00Z');
+
+      expect(builder.evaluate()).toEqual([]);
+      setTime('2024-01-01T10:00:00Z');
+      expect(builder.evaluate()).toEqual([[true, 'after-launch']]);
+    });
+  });
+
+  describe('clock', () => {
+    test('should expose the clock to custom checks through now()', () => {
+      const { builder } = withClock([
+        { check: (ctx) => now(ctx).getUTCFullYear() === 2030, name: 'future' }
+      ], '2030-01-01T00:00:00Z');
+      expect(builder.evaluate()).toEqual([[true, 'future']]);
+    });
+
+    test('should default to the real clock and accept timestamps', () => {
+      const year = new Date().getUTCFullYear();
+      const builder = createEnvironmentNameBuilder([
+        { check: schedule({ from: `${year - 1}-01-01T00:00:00Z`, until: `${year + 1}-12-31T00:00:00Z` }), name: 'now' }
+      ]);
+      expect(builder.evaluate()).toEqual([[true, 'now']]);
+      expect(now({}).getTime()).toBeLessThanOrEqual(Date.now());
+
+      const timestampBuilder = createEnvironmentNameBuilder([
+        { check: (ctx) => now(ctx).getTime() === 0, name: 'epoch' }
+      ], [], { clock: () => 0 });
+      expect(timestampBuilder.evaluate()).toEqual([[true, 'epoch']]);
+    });
+
+    test('should not leak the clock into the context', () => {
+      const { builder } = withClock([], '2030-01-01T00:00:00Z');
+      expect(builder.explain({ tier: 'a' }).context).toEqual(expect.objectContaining({ tier: 'a' }));
+      expect(Object.keys(builder.explain().context)).toEqual(['env']);
+    });
+
+    test('should bypass the cache for clock-dependent results', () => {
+      const calls = { tier: 0 };
+      const { builder, setTime } = withClock([
+        { check: (ctx) => { calls.tier++; return ctx.tier === 'premium'; }, name: 'premium' },
+        { check: schedule({ cron: '* 9-16 * * *', timeZone: 'UTC' }), name: 'business-hours' }
+      ], '2024-03-06T10:00:00Z', { cache: true });
+
+      expect(builder.evaluate({ tier: 'premium' })).toEqual([[true, 'premium'], [true, 'business-hours']]);
+      setTime('2024-03-06T20:00:00Z');
+      expect(builder.evaluate({ tier: 'premium' })).toEqual([[true, 'premium']]);
+      expect(calls.tier).toBe(2);
+    });
+
+    test('should validate the clock option', () => {
+      expect(() => createEnvironmentNameBuilder([], [], { clock: 'now' }))
+        .toThrow("Option 'clock' must be a function returning a Date or timestamp");
+    });
+  });
+
+  test('should validate schedules', () => {
+    expect(() => schedule()).toThrow('schedule() expects an object with cron, from/until or windows');
+    expect(() => schedule({ timeZone: 'UTC' })).toThrow('schedule() expects an object with cron, from/until or windows');
+    expect(() => schedule({ cron: '* * * * *', tz: 'UTC' })).toThrow("Unknown schedule option 'tz'");
+    expect(() => schedule({ cron: '* * * * *', timeZone: 'Mars/Olympus' })).toThrow("Invalid time zone 'Mars/Olympus'");
+    expect(() => schedule({ from: 'soon' })).toThrow("Invalid schedule 'from' date 'soon'");
+    expect(() => schedule({ windows: [] })).toThrow("Schedule 'windows' must be a non-empty array");
+    expect(() => schedule({ windows: [{ from: '2024-01-01' }] }))
+      .toThrow("Schedule 'windows[0]' must be { from, until } or { cron, duration }");
+    expect(() => schedule({ windows: [{ cron: '0 2 * * *', duration: '8d' }] }))
+      .toThrow("Schedule 'windows[0].duration' must be a duration between 1ms and 7d");
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Semver Helpers
+ * Minimal semantic version parsing and range matching used by rule and matcher conditions
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(<=|>=|<|>|=|\^|~)?v?(x|X|\*|\d+)(?:\.(x|X|\*|\d+))?(?:\.(x|X|\*|\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parses a full semantic version string
+ * @param {string} version - Version such as '22.1.0' or 'v1.2.3-beta.1'
+ * @returns {Object|null} Parsed { major, minor, patch, prerelease } or null when invalid
+ */
+export function parseVersion(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+  const match = VERSION_PATTERN.exec(version.trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compares two parsed versions
+ * @param {Object} a - Parsed version
+ * @param {Object} b - Parsed version
+ * @returns {number} Negative, zero or positive like Array#sort comparators
+ */
+function compareVersions(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) {
+      return a[part] - b[part];
+    }
+  }
+
+  // A version without prerelease identifiers has higher precedence
+  if (!a.prerelease.length || !b.prerelease.length) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    const xNumeric = /^\d+$/.test(x);
+    const yNumeric = /^\d+$/.test(y);
+    if (xNumeric && yNumeric) return Number(x) - Number(y);
+    if (xNumeric) return -1;
+    if (yNumeric) return 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Builds a primitive comparator
+ * @param {string} operator - One of '<', '<=', '>', '>=', '='
+ * @param {number} major - Major version
+ * @param {number} minor - Minor version
+ * @param {number} patch - Patch version
+ * @param {Array} prerelease - Prerelease identifiers
+ * @returns {Object} Comparator { operator, version }
+ */
+function comparator(operator, major, minor, patch, prerelease = []) {
+  return { operator, version: { major, minor, patch, prerelease } };
+}
+
+/**
+ * Expands a single range token (e.g. '^1.2', '>=2', '1.x') into primitive comparators
+ * @param {string} token - Range token
+ * @returns {Array} Primitive comparators
+ */
+function expandToken(token) {
+  const match = COMPARATOR_PATTERN.exec(token);
+  if (!match) {
+    throw new Error(`Invalid comparator '${token}'`);
+  }
+
+  const [, operator = '', ...rest] = match;
+  const isWildcard = (part) => part === undefined || part === 'x' || part === 'X' || part === '*';
+  const prerelease = rest[3] ? rest[3].split('.') : [];
+  const parts = rest.slice(0, 3);
+  const firstWildcard = parts.findIndex(isWildcard);
+  const precision = firstWildcard === -1 ? 3 : firstWildcard;
+  const [major, minor, patch] = parts.map((part) => (isWildcard(part) ? 0 : Number(part)));
+
+  if (precision === 0) {
+    // '*' or 'x' matches everything, except for strict bounds that can never match
+    return operator === '<' || operator === '>' ? [comparator('<', 0, 0, 0)] : [];
+  }
+
+  const next = precision === 1
+    ? [major + 1, 0, 0]
+    : [major, minor + 1, 0];
+
+  switch (operator) {
+    case '^': {
+      let upper;
+      if (major > 0 || precision === 1) upper = [major + 1, 0, 0];
+      else if (minor > 0 || precision === 2) upper = [0, minor + 1, 0];
+      else upper = [0, 0, patch + 1];
+      return [comparator('>=', major, minor, patch, prerelease), comparator('<', ...upper)];
+    }
+    case '~': {
+      const upper = precision === 1 ? [major + 1, 0, 0] : [major, minor + 1, 0];
+      return [comparator('>=', major, minor, patch, prerelease), comparator('<', ...upper)];
+    }
+    case '>':
+      return precision === 3
+        ? [comparator('>', major, minor, patch, prerelease)]
+        : [comparator('>=', ...next)];
+    case '<=':
+      return precision === 3
+        ? [comparator('<=', major, minor, patch, prerelease)]
+        : [comparator('<', ...next)];
+    case '>=':
+    case '<':
+      return [comparator(operator, major, minor, patch, prerelease)];
+    default:
+      return precision === 3
+        ? [comparator('=', major, minor, patch, prerelease)]
+        : [comparator('>=', major, minor, patch), comparator('<', ...next)];
+  }
+}
+
+/**
+ * Expands a hyphen range ('1.2 - 2.3.4') into primitive comparators
+ * @param {string} from - Lower bound (inclusive)
+ * @param {string} to - Upper bound (inclusive)
+ * @returns {Array} Primitive comparators
+ */
+function expandHyphen(from, to) {
+  const lower = expandToken(from);
+  const upper = expandToken(to);
+  // Lower bound: the '>=' part of the token; upper bound: its '<' part or the exact version
+  const lowerBound = lower.filter(({ operator }) => operator !== '<')
+    .map(({ version }) => ({ operator: '>=', version }));
+  const upperBound = upper.filter(({ operator }) => operator !== '>=')
+    .map(({ operator, version }) => ({ operator: operator === '=' ? '<=' : operator, version }));
+  return [...lowerBound, ...upperBound];
+}
+
+/**
+ * Parses a semver range into comparator sets
+ * @param {string} range - Range such as '>=20 <23', '^1.2.0 || ~2.1', '1.x'
+ * @returns {Array<Array>} Comparator sets (any set matching satisfies the range)
+ * @throws {Error} If the range is malformed
+ */
+export function parseRange(range) {
+  if (typeof range !== 'string') {
+    throw new Error(`Invalid semver range '${range}'`);
+  }
+
+  try {
+    return range.split('||').map((set) => {
+      const normalized = set.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1');
+      const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(normalized);
+      if (hyphen) {
+        return expandHyphen(hyphen[1], hyphen[2]);
+      }
+      if (normalized === '') {
+        return [];
+      }
+      return normalized.split(/\s+/).flatMap(expandToken);
+    });
+  } catch (error) {
+    throw new Error(`Invalid semver range '${range}': ${error.message}`);
+  }
+}
+
+/**
+ * Tests a parsed version against a comparator set
+ * @param {Object} version - Parsed version
+ * @param {Array} set - Primitive comparators
+ * @returns {boolean} True if every comparator accepts the version
+ */
+function testSet(version, set) {
+  for (const { operator, version: bound } of set) {
+    const diff = compareVersions(version, bound);
+    const ok = operator === '<' ? diff < 0
+      : operator === '<=' ? diff <= 0
+        : operator === '>' ? diff > 0
+          : operator === '>=' ? diff >= 0
+            : diff === 0;
+    if (!ok) {
+      return false;
+    }
+  }
+
+  // Prereleases only match when a comparator opts into the same major.minor.patch
+  if (version.prerelease.length) {
+    return set.some(({ version: bound }) => bound.prerelease.length
+      && bound.major === version.major
+      && bound.minor === version.minor
+      && bound.patch === version.patch);
+  }
+  return true;
+}
+
+/**
+ * Checks whether a version satisfies a range
+ * @param {string} version - Version to test
+ * @param {string|Array} range - Range string or the result of parseRange()
+ * @returns {boolean} True if the version is valid and satisfies the range
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return false;
+  }
+  const sets = Array.isArray(range) ? range : parseRange(range);
+  return sets.some((set) => testSet(parsed, set));
+}
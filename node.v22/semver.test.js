@@ -0,0 +1,67 @@
+/**
+ * Tests for Semver Helpers
+ */
+
+import { parseVersion, parseRange, satisfies } from './semver.js';
+
+describe('semver', () => {
+  describe('parseVersion()', () => {
+    test('should parse full versions', () => {
+      expect(parseVersion('v22.1.0')).toEqual({ major: 22, minor: 1, patch: 0, prerelease: [] });
+      expect(parseVersion('1.2.3-beta.1+build.5')).toEqual({
+        major: 1, minor: 2, patch: 3, prerelease: ['beta', '1']
+      });
+    });
+
+    test('should return null for invalid versions', () => {
+      expect(parseVersion('1.2')).toBe(null);
+      expect(parseVersion('latest')).toBe(null);
+      expect(parseVersion(undefined)).toBe(null);
+    });
+  });
+
+  describe('satisfies()', () => {
+    test.each([
+      ['22.1.0', '>=20 <23', true],
+      ['23.0.0', '>=20 <23', false],
+      ['22.1.0', '>= 20', true],
+      ['1.2.5', '^1.2.0', true],
+      ['2.0.0', '^1.2.0', false],
+      ['0.2.5', '^0.2.1', true],
+      ['0.3.0', '^0.2.1', false],
+      ['1.2.9', '~1.2.3', true],
+      ['1.3.0', '~1.2.3', false],
+      ['1.5.0', '1.x', true],
+      ['2.0.0', '1.x', false],
+      ['22.4.1', '22', true],
+      ['2.3.9', '1.2 - 2.3', true],
+      ['2.4.0', '1.2 - 2.3', false],
+      ['3.1.0', '^1 || ^3', true],
+      ['5.0.0', '*', true],
+      ['1.2.9', '>1.2', false],
+      ['1.3.0', '>1.2', true],
+      ['1.2.9', '<=1.2', true],
+      ['1.0.0-beta', '^1.0.0', false],
+      ['1.0.0-beta.2', '>=1.0.0-beta.1', true],
+      ['1.0.0', '>=1.0.0-beta.1', true]
+    ])('%s satisfies %s: %s', (version, range, expected) => {
+      expect(satisfies(version, range)).toBe(expected);
+    });
+
+    test('should return false for invalid versions', () => {
+      expect(satisfies('not-a-version', '*')).toBe(false);
+    });
+
+    test('should accept pre-parsed ranges', () => {
+      const range = parseRange('^20 || ^22');
+      expect(satisfies('22.0.0', range)).toBe(true);
+      expect(satisfies('21.0.0', range)).toBe(false);
+    });
+  });
+
+  describe('parseRange()', () => {
+    test('should throw descriptive errors from parseRange()', () => {
+      expect(() => parseRange('>=1.x.y')).toThrow("Invalid semver range '>=1.x.y'");
+    });
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Evaluation Snapshots
+ * Captures what an evaluation saw as JSON and diffs a later replay against it
+ */
+
+import { createHash } from 'node:crypto';
+import { isComposite, describeComposite } from './dependencies.js';
+import { names } from './results.js';
+
+export const SNAPSHOT_FORMAT = 'env-name-snapshot';
+export const SNAPSHOT_VERSION = 1;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Computes a short hash of everything that decides a condition's outcome. Function checks are
+ * hashed by source, so checks built by the same helper (rollout(), semver(), ...) hash alike;
+ * set `version` on conditions to track those changes.
+ * @param {Object} condition - Condition object
+ * @returns {string} 12 hex characters
+ */
+export function conditionFingerprint(condition) {
+  const { check } = condition;
+  const definition = {
+    check: typeof check === 'function' ? check.toString() : isComposite(check) ? describeComposite(check) : check,
+    priority: condition.priority ?? 0,
+    group: condition.group ?? null,
+    requires: condition.requires ?? [],
+    excludes: condition.excludes ?? [],
+    onError: condition.onError ?? null
+  };
+  return createHash('sha256').update(JSON.stringify(definition)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Copies a value into plain JSON data, redacting values whose key matches a pattern.
+ * Dates become ISO strings, bigints become strings, objects with toJSON() are copied as their
+ * JSON form, class instances with their own toString() become strings, and functions, symbols
+ * and repeated references are dropped.
+ * @param {*} value - Value to copy
+ * @param {RegExp} pattern - Pattern tested against each object key
+ * @param {Array<string>} path - Path of the value
+ * @param {Array<string>} redacted - Receives the dotted paths of redacted values
+ * @param {WeakSet} seen - Objects on the current path
+ * @returns {*} JSON-safe copy, or undefined for values JSON cannot hold
+ */
+function toSnapshotValue(value, pattern, path, redacted, seen = new WeakSet()) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'function' || typeof value === 'symbol' || value === undefined) {
+    return undefined;
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'number' && !Number.isFinite(value) ? null : value;
+  }
+  if (typeof value.toJSON === 'function') {
+    // URL and other values that define their JSON form, such as env schema 'url' values
+    return toSnapshotValue(value.toJSON(), pattern, path, redacted, seen);
+  }
+  const proto = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && proto !== Object.prototype && proto !== null &&
+    value.toString !== Object.prototype.toString) {
+    return String(value);
+  }
+  if (seen.has(value)) {
+    return undefined;
+  }
+
+  seen.add(value);
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map((item, index) => toSnapshotValue(item, pattern, [...path, String(index)], redacted, seen) ?? null);
+  } else {
+    copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (pattern.test(key)) {
+        copy[key] = REDACTED;
+        redacted.push([...path, key].join('.'));
+        continue;
+      }
+      const converted = toSnapshotValue(item, pattern, [...path, key], redacted, seen);
+      if (converted !== undefined) {
+        copy[key] = converted;
+      }
+    }
+  }
+  seen.delete(value);
+  return copy;
+}
+
+/**
+ * Summarizes an evaluate()/explain() result
+ * @param {*} matches - Matches or the default value
+ * @param {*} defaultValue - Builder default value
+ * @returns {Object} { matched, names }
+ */
+function outcomeOf(matches, defaultValue) {
+  const matched = matches !== defaultValue;
+  return { matched, names: matched ? names(matches) : [] };
+}
+
+/**
+ * Builds a snapshot from an explain() report
+ * @param {Object} report - explain() result, taken without redaction
+ * @param {Object} builder - Builder that produced the report
+ * @param {Object} details - { capturedAt: Date, redact: RegExp, error: Error|null }
+ * @returns {Object} JSON-safe snapshot
+ */
+export function createSnapshot(report, builder, { capturedAt, redact, error = null }) {
+  const redacted = [];
+  const context = toSnapshotValue(report.context, redact, [], redacted);
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    capturedAt: capturedAt.toISOString(),
+    context,
+    redacted,
+    conditions: builder.conditions.map((condition, index) => {
+      const entry = report.conditions[index];
+      return {
+        name: condition.name,
+        version: condition.version ?? null,
+        fingerprint: conditionFingerprint(condition),
+        result: entry.result,
+        error: entry.error ? String(entry.error.message ?? entry.error) : null
+      };
+    }),
+    result: {
+      ...outcomeOf(report.matches, builder.defaultValue),
+      value: toSnapshotValue(report.matches, /(?!)/, [], []) ?? null,
+      error: error ? error.message : null
+    }
+  };
+}
+
+/**
+ * Parses and validates a snapshot
+ * @param {Object|string} input - Snapshot object or its JSON text
+ * @returns {Object} Snapshot
+ * @throws {Error} If the input is not a snapshot this version can replay
+ */
+export function parseSnapshot(input) {
+  let snapshot = input;
+  if (typeof input === 'string') {
+    try {
+      snapshot = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid snapshot: ${error.message}`, { cause: error });
+    }
+  }
+
+  if (!snapshot || typeof snapshot !== 'object' || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Invalid snapshot: expected format '${SNAPSHOT_FORMAT}'`);
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  if (Number.isNaN(Date.parse(snapshot.capturedAt)) || !snapshot.context || typeof snapshot.context !== 'object' ||
+    !Array.isArray(snapshot.conditions) || !snapshot.result || typeof snapshot.result !== 'object') {
+    throw new Error('Invalid snapshot: missing capturedAt, context, conditions or result');
+  }
+  return snapshot;
+}
+
+/**
+ * Keys conditions by name and occurrence, so repeated names pair up in order
+ * @param {Array<Object>} entries - Entries with a `name`
+ * @returns {Map} 'name#n' -> entry
+ */
+function keyByName(entries) {
+  const counts = new Map();
+  const keyed = new Map();
+  for (const entry of entries) {
+    const count = counts.get(entry.name) ?? 0;
+    counts.set(entry.name, count + 1);
+    keyed.set(`${entry.name}#${count}`, entry);
+  }
+  return keyed;
+}
+
+/**
+ * Compares a replayed explain() report with a snapshot
+ * @param {Object} snapshot - Parsed snapshot
+ * @param {Object} report - explain() result of the replay, taken with trackReads
+ * @param {Object} builder - Builder whose conditions were replayed
+ * @param {Error|null} error - Error thrown by evaluation during the replay, if any
+ * @returns {Object} { changed, before, after, added, removed, conditions }
+ */
+export function diffSnapshot(snapshot, report, builder, error = null) {
+  const before = { matched: snapshot.result.matched, names: snapshot.result.names, error: snapshot.result.error };
+  const after = { ...outcomeOf(report.matches, builder.defaultValue), error: error ? error.message : null };
+  const redacted = new Set(snapshot.redacted ?? []);
+
+  const current = keyByName(builder.conditions.map((condition, index) => {
+    const entry = report.conditions[index];
+    const reads = entry.reads ?? [];
+    return {
+      name: condition.name,
+      version: condition.version ?? null,
+      fingerprint: conditionFingerprint(condition),
+      result: entry.result,
+      error: entry.error ? String(entry.error.message ?? entry.error) : null,
+      // Reads of redacted values (or of values inside them) saw '[REDACTED]' instead of the original
+      redactedReads: reads.filter((path) => [...redacted].some((hidden) => path === hidden || path.startsWith(`${hidden}.`)))
+    };
+  }));
+  const captured = keyByName(snapshot.conditions);
+
+  const conditions = [];
+  for (const [key, previous] of captured) {
+    const next = current.get(key);
+    if (!next) {
+      conditions.push({ name: previous.name, status: 'removed', before: previous, after: null, definitionChanged: true });
+      continue;
+    }
+    const { redactedReads, ...nextEntry } = next;
+    conditions.push({
+      name: previous.name,
+      status: previous.result === next.result ? 'unchanged' : 'changed',
+      before: previous,
+      after: nextEntry,
+      definitionChanged: previous.version !== next.version || previous.fingerprint !== next.fingerprint,
+      ...(redactedReads.length > 0 ? { redactedReads } : {})
+    });
+  }
+  for (const [key, next] of current) {
+    if (!captured.has(key)) {
+      const { redactedReads, ...nextEntry } = next;
+      conditions.push({
+        name: next.name,
+        status: 'added',
+        before: null,
+        after: nextEntry,
+        definitionChanged: true,
+        ...(redactedReads.length > 0 ? { redactedReads } : {})
+      });
+    }
+  }
+
+  const added = after.names.filter((name) => !before.names.includes(name));
+  const removed = before.names.filter((name) => !after.names.includes(name));
+  return {
+    changed: added.length > 0 || removed.length > 0 || before.matched !== after.matched || before.error !== after.error,
+    before,
+    after,
+    added,
+    removed,
+    conditions
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * Tests for Evaluation Snapshots
+ */
+
+import createEnvironmentNameBuilder, {
+  captureSnapshot,
+  captureSnapshotAsync,
+  replaySnapshot,
+  replaySnapshotAsync,
+  schedule,
+  compileRules
+} from './index.js';
+
+describe('Evaluation snapshots', () => {
+  const conditions = [
+    { check: (ctx) => ctx.env.SNAPSHOT_STAGE === 'production', name: 'prod', version: 3 },
+    { check: (ctx) => ctx.geo?.region === 'eu', name: 'eu' },
+    { check: (ctx) => ctx.tenant?.tier === 'gold', name: 'gold' }
+  ];
+
+  beforeEach(() => {
+    process.env.SNAPSHOT_STAGE = 'production';
+    process.env.SNAPSHOT_API_TOKEN = 'secret-token';
+  });
+
+  afterEach(() => {
+    delete process.env.SNAPSHOT_STAGE;
+    delete process.env.SNAPSHOT_API_TOKEN;
+  });
+
+  describe('captureSnapshot()', () => {
+    test('should record the merged context, conditions and result', () => {
+      const builder = createEnvironmentNameBuilder(conditions).withContext({ geo: { region: 'eu' } });
+      const snapshot = captureSnapshot(builder, { tenant: { tier: 'free' } });
+
+      expect(snapshot).toMatchObject({
+        format: 'env-name-snapshot',
+        version: 1,
+        context: { geo: { region: 'eu' }, tenant: { tier: 'free' }, env: { SNAPSHOT_STAGE: 'production' } },
+        result: { matched: true, names: ['prod', 'eu'], value: [[true, 'prod'], [true, 'eu']], error: null }
+      });
+      expect(snapshot.conditions.map(({ name, version, result }) => ({ name, version, result }))).toEqual([
+        { name: 'prod', version: 3, result: true },
+        { name: 'eu', version: null, result: true },
+        { name: 'gold', version: null, result: false }
+      ]);
+      expect(snapshot.conditions[0].fingerprint).toMatch(/^[0-9a-f]{12}$/);
+      expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    });
+
+    test('should redact secrets at any depth', () => {
+      const builder = createEnvironmentNameBuilder(conditions);
+      const snapshot = captureSnapshot(builder, { request: { headers: { authorization: 'Bearer abc', host: 'api' } } });
+
+      expect(snapshot.context.env.SNAPSHOT_API_TOKEN).toBe('[REDACTED]');
+      expect(snapshot.context.request.headers).toEqual({ authorization: '[REDACTED]', host: 'api' });
+      expect(snapshot.redacted).toEqual(expect.arrayContaining(['env.SNAPSHOT_API_TOKEN', 'request.headers.authorization']));
+      expect(JSON.stringify(snapshot)).not.toContain('secret-token');
+
+      const custom = captureSnapshot(builder, { internalId: 7 }, { redact: /^internal/ });
+      expect(custom.context.internalId).toBe('[REDACTED]');
+      expect(custom.context.env.SNAPSHOT_API_TOKEN).toBe('secret-token');
+    });
+
+    test('should convert values JSON cannot hold', () => {
+      const cyclic = { name: 'loop' };
+      cyclic.self = cyclic;
+      const snapshot = captureSnapshot(createEnvironmentNameBuilder([]), {
+        at: new Date('2024-01-01T00:00:00Z'),
+        big: 10n,
+        fn: () => {},
+        cyclic,
+        endpoint: new URL('https://example.com/api'),
+        failure: new Error('down')
+      });
+      expect(snapshot.context).toMatchObject({
+        at: '2024-01-01T00:00:00.000Z',
+        big: '10',
+        cyclic: { name: 'loop' },
+        endpoint: 'https://example.com/api',
+        failure: 'Error: down'
+      });
+      expect('fn' in snapshot.context).toBe(false);
+      expect('self' in snapshot.context.cyclic).toBe(false);
+    });
+
+    test('should record the builder clock and conflicts in exclusive groups', () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: true, name: 'a', group: 'stage' },
+        { check: true, name: 'b', group: 'stage' }
+      ], [], { groups: { stage: 'exclusive' }, clock: () => Date.parse('2024-06-01T12:00:00Z') });
+
+      const snapshot = captureSnapshot(builder);
+      expect(snapshot.capturedAt).toBe('2024-06-01T12:00:00.000Z');
+      expect(snapshot.result.error).toBe("Conflicting matches in exclusive group 'stage' at priority 0: 'a', 'b'");
+      expect(snapshot.result.names).toEqual(['a']);
+    });
+
+    test('should record the error evaluate() would throw and run each check once', () => {
+      let calls = 0;
+      const conflicting = [
+        { check: () => { calls++; return true; }, name: 'a', group: 'stage' },
+        { check: true, name: 'b', group: 'stage' }
+      ];
+      const options = { groups: { stage: 'exclusive' } };
+      expect(captureSnapshot(createEnvironmentNameBuilder(conflicting, [], options)).result.error)
+        .toBe("Conflicting matches in exclusive group 'stage' at priority 0: 'a', 'b'");
+      expect(calls).toBe(1);
+
+      const builder = createEnvironmentNameBuilder([
+        ...conflicting,
+        { check: () => { throw new Error('offline'); }, name: 'boom' },
+        { check: () => { throw new Error('ignored'); }, name: 'quiet', onError: 'treat-as-false' }
+      ], [], options);
+      expect(() => builder.evaluate()).toThrow("Error evaluating condition 'boom': offline");
+      const snapshot = captureSnapshot(builder);
+      expect(snapshot.result.error).toBe("Error evaluating condition 'boom': offline");
+      expect(snapshot.conditions.map(({ error }) => error)).toEqual([null, null, 'offline', 'ignored']);
+      expect(replaySnapshot(builder, snapshot).after.error).toBe("Error evaluating condition 'boom': offline");
+    });
+
+    test('should validate options', () => {
+      expect(() => captureSnapshot(createEnvironmentNameBuilder([]), {}, { redact: 'token' }))
+        .toThrow("Option 'redact' must be a RegExp");
+      expect(() => createEnvironmentNameBuilder([{ check: true, name: 'a', version: {} }]))
+        .toThrow("Condition at index 0 'version' must be a string or number");
+    });
+  });
+
+  describe('replaySnapshot()', () => {
+    test('should round-trip env values parsed by the env schema', () => {
+      process.env.SNAPSHOT_API_URL = 'https://api.eu.example.com/v1';
+      try {
+        const builder = createEnvironmentNameBuilder([
+          { check: (ctx) => ctx.env.SNAPSHOT_API_URL.hostname.endsWith('.eu.example.com'), name: 'eu-api' }
+        ], [], { envSchema: { SNAPSHOT_API_URL: 'url' } });
+        const snapshot = captureSnapshot(builder);
+
+        expect(snapshot.context.env.SNAPSHOT_API_URL).toBe('https://api.eu.example.com/v1');
+        expect(snapshot.result.names).toEqual(['eu-api']);
+        expect(replaySnapshot(builder, JSON.stringify(snapshot))).toMatchObject({
+          changed: false,
+          after: { matched: true, names: ['eu-api'] }
+        });
+      } finally {
+        delete process.env.SNAPSHOT_API_URL;
+      }
+    });
+
+    test('should report no change when replaying the same conditions', () => {
+      const builder = createEnvironmentNameBuilder(conditions);
+      const snapshot = captureSnapshot(builder, { geo: { region: 'eu' } });
+
+      const diff = replaySnapshot(builder, JSON.stringify(snapshot));
+      expect(diff).toMatchObject({
+        changed: false,
+        before: { matched: true, names: ['prod', 'eu'] },
+        after: { matched: true, names: ['prod', 'eu'] },
+        added: [],
+        removed: []
+      });
+      expect(diff.conditions.map(({ status, definitionChanged }) => ({ status, definitionChanged }))).toEqual([
+        { status: 'unchanged', definitionChanged: false },
+        { status: 'unchanged', definitionChanged: false },
+        { status: 'unchanged', definitionChanged: false }
+      ]);
+    });
+
+    test('should use only the captured context', () => {
+      const builder = createEnvironmentNameBuilder(conditions);
+      const snapshot = captureSnapshot(builder);
+      delete process.env.SNAPSHOT_STAGE;
+
+      const diff = replaySnapshot(builder.withContext({ geo: { region: 'eu' } }), snapshot);
+      expect(diff.changed).toBe(false);
+      expect(diff.after.names).toEqual(['prod']);
+    });
+
+    test('should diff outcomes against an updated condition set', () => {
+      const snapshot = captureSnapshot(createEnvironmentNameBuilder(conditions), { geo: { region: 'eu' } });
+      const updated = [
+        { check: (ctx) => ctx.env.SNAPSHOT_STAGE === 'prod', name: 'prod', version: 4 },
+        conditions[1],
+        { check: (ctx) => ctx.geo?.region === 'eu', name: 'eu-gdpr' }
+      ];
+
+      const diff = replaySnapshot(updated, snapshot);
+      expect(diff).toMatchObject({
+        changed: true,
+        before: { names: ['prod', 'eu'] },
+        after: { names: ['eu', 'eu-gdpr'] },
+        added: ['eu-gdpr'],
+        removed: ['prod']
+      });
+      expect(diff.conditions.map(({ name, status, definitionChanged }) => `${name}:${status}:${definitionChanged}`)).toEqual([
+        'prod:changed:true',
+        'eu:unchanged:false',
+        'gold:removed:true',
+        'eu-gdpr:added:true'
+      ]);
+      expect(diff.conditions[0]).toMatchObject({ before: { version: 3, result: true }, after: { version: 4, result: false } });
+    });
+
+    test('should evaluate schedules at the capture time', () => {
+      const window = [{ check: schedule({ from: '2024-12-20T00:00:00Z', until: '2025-01-02T00:00:00Z' }), name: 'freeze' }];
+      const snapshot = captureSnapshot(createEnvironmentNameBuilder(window, [], {
+        clock: () => new Date('2024-12-24T10:00:00Z')
+      }));
+
+      const diff = replaySnapshot(createEnvironmentNameBuilder(window), snapshot);
+      expect(diff.after.names).toEqual(['freeze']);
+      expect(replaySnapshot(window, snapshot, { clock: () => Date.parse('2025-02-01T00:00:00Z') }).removed).toEqual(['freeze']);
+    });
+
+    test('should flag checks that read redacted values', () => {
+      const tokenCheck = [{ check: (ctx) => ctx.env.SNAPSHOT_API_TOKEN === 'secret-token', name: 'token' }];
+      const snapshot = captureSnapshot(createEnvironmentNameBuilder(tokenCheck));
+
+      const diff = replaySnapshot(tokenCheck, snapshot);
+      expect(diff.removed).toEqual(['token']);
+      expect(diff.conditions[0].redactedReads).toEqual(['env.SNAPSHOT_API_TOKEN']);
+    });
+
+    test('should pick up rule versions', () => {
+      const rules = (version, tier) => compileRules([{ name: 'gold', version, when: { 'tenant.tier': tier } }]);
+      const snapshot = captureSnapshot(createEnvironmentNameBuilder(rules('1', 'gold')), { tenant: { tier: 'gold' } });
+
+      const diff = replaySnapshot(rules('2', 'platinum'), snapshot);
+      expect(diff.conditions[0]).toMatchObject({
+        status: 'changed',
+        definitionChanged: true,
+        before: { version: '1' },
+        after: { version: '2' }
+      });
+    });
+
+    test('should reject malformed snapshots', () => {
+      const builder = createEnvironmentNameBuilder(conditions);
+      expect(() => replaySnapshot(builder, '{')).toThrow(/^Invalid snapshot: /);
+      expect(() => replaySnapshot(builder, { format: 'other' })).toThrow("Invalid snapshot: expected format 'env-name-snapshot'");
+      expect(() => replaySnapshot(builder, { ...captureSnapshot(builder), version: 2 }))
+        .toThrow('Unsupported snapshot version 2 (expected 1)');
+      expect(() => replaySnapshot(builder, { format: 'env-name-snapshot', version: 1, capturedAt: 'never' }))
+        .toThrow('Invalid snapshot: missing capturedAt, context, conditions or result');
+    });
+  });
+
+  describe('captureSnapshotAsync() and replaySnapshotAsync()', () => {
+    const remote = [
+      { check: async (ctx) => ctx.tenant?.tier === 'gold', name: 'gold' },
+      { check: true, name: 'always' }
+    ];
+
+    test('should await async checks', async () => {
+      const builder = createEnvironmentNameBuilder(remote);
+      const snapshot = await captureSnapshotAsync(builder, { tenant: { tier: 'free' } });
+
+      expect(snapshot.conditions.map(({ name, result }) => [name, result])).toEqual([['gold', false], ['always', true]]);
+      expect(snapshot.result).toMatchObject({ matched: true, names: ['always'] });
+      expect(await replaySnapshotAsync(builder, snapshot)).toMatchObject({ changed: false });
+
+      const diff = await replaySnapshotAsync([{ check: async () => true, name: 'gold' }], JSON.stringify(snapshot));
+      expect(diff.conditions[0]).toMatchObject({ name: 'gold', status: 'changed' });
+      expect(diff.after.names).toEqual(['gold']);
+    });
+
+    test('should refuse async checks in the sync functions', async () => {
+      const builder = createEnvironmentNameBuilder(remote);
+      const snapshot = await captureSnapshotAsync(builder);
+      expect(() => captureSnapshot(builder))
+        .toThrow("Condition 'gold' returned a promise; use captureSnapshotAsync() instead");
+      expect(() => replaySnapshot(builder, snapshot))
+        .toThrow("Condition 'gold' returned a promise; use replaySnapshotAsync() instead");
+    });
+
+    test('should apply timeouts and error policies', async () => {
+      const builder = createEnvironmentNameBuilder([
+        { check: () => new Promise((resolve) => setTimeout(() => resolve(true), 50)), name: 'slow', onError: 'treat-as-false' }
+      ], [['fallback']]);
+      const snapshot = await captureSnapshotAsync(builder, {}, { conditionTimeout: 5 });
+
+      expect(snapshot.conditions[0]).toMatchObject({ result: false, error: 'Timed out after 5ms' });
+      expect(snapshot.result).toMatchObject({ matched: false, value: [['fallback']] });
+      const diff = await replaySnapshotAsync(builder, snapshot, { conditionTimeout: 5 });
+      expect(diff.changed).toBe(false);
+    });
+  });
+});